@@ -2,70 +2,91 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
 const csv = require('csv-parser');
+const { loadPrivateKey } = require('./lib/keyStore');
+const { getSimulationGasPrice, simulateTransaction } = require('./lib/simulation');
+const { normalizeAddress, checkRecipients, printRecipientReport } = require('./lib/recipients');
+const {
+    DEFAULT_NETWORK,
+    listNetworks,
+    getNetwork,
+    resolveNetwork,
+    createNetworkProvider,
+    reportRpcHealth,
+    connectNetwork,
+    formatNative,
+    formatTxHash
+} = require('./lib/networks');
+const { describeGasConfig, getGasFees, waitForGasFees, estimateGasLimit } = require('./lib/gas');
+const { POLL_INTERVAL, watchTransaction } = require('./lib/txWatcher');
+const { readTokenInfo } = require('./lib/erc20');
+const { createInterface, prompt, getArgValue, delay } = require('./lib/utils');
+const { addSecret, startLogging } = require('./lib/logger');
 
-/**
- * 创建用户输入接口
- */
-function createInterface() {
-    return readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
-}
+// 并发配置
+const DEFAULT_CONCURRENCY = 5;     // 默认同时在途的交易数
+const NONCE_RETRIES = 2;           // nonce冲突时的最大重试次数
 
-/**
- * 提示用户输入
- * @param {readline.Interface} rl - Readline接口
- * @param {string} question - 问题
- * @returns {Promise<string>} - 用户的回答
- */
-function prompt(rl, question) {
-    return new Promise((resolve) => {
-        rl.question(question, (answer) => {
-            resolve(answer);
-        });
-    });
-}
+// 节点校验交易时返回的错误，交易不会进入交易池，nonce可以复用
+const REJECTED_ERROR_CODES = ['INSUFFICIENT_FUNDS', 'INVALID_ARGUMENT', 'CALL_EXCEPTION', 'UNSUPPORTED_OPERATION'];
+
+// 批量分发合约配置
+const DISPERSE_ARTIFACT_FILE = path.join(__dirname, 'contracts', 'disperse.json'); // ABI、字节码和各链的默认部署地址
+const DISPERSE_DEPLOYMENTS_FILE = path.join(__dirname, 'contracts', 'disperse.deployments.json'); // 本机自动部署的地址，不提交到仓库
+const DISPERSE_GAS_CEILING = 8000000; // 单笔分发交易的默认gas上限
 
 /**
- * 从文件中读取私钥
- * @param {string} filePath - 私钥文件路径
- * @returns {Promise<string>} - 私钥
+ * 检查转账金额是否为有效的正数
+ * @param {string} amount - 转账金额
+ * @returns {boolean} - 是否有效
  */
-async function readPrivateKey(filePath) {
-    try {
-        const privateKey = fs.readFileSync(filePath, 'utf8').trim();
-        return privateKey;
-    } catch (error) {
-        throw new Error(`读取私钥文件失败: ${error.message}`);
-    }
+function isValidAmount(amount) {
+    return !!amount && !isNaN(parseFloat(amount)) && parseFloat(amount) > 0;
 }
 
 /**
- * 从CSV文件中读取钱包地址
+ * 从CSV文件中读取钱包地址，以及可选的转账金额列
+ * 地址转换为校验和格式，格式或校验和无效的地址按行号一起报告
  * @param {string} filePath - CSV文件路径
- * @returns {Promise<string[]>} - 钱包地址数组
+ * @returns {Promise<Array<{address: string, amount: string|null, row: number}>>} - 接收方数组，未指定金额时amount为null，row为CSV中的行号
  */
 async function readWalletAddresses(filePath) {
     return new Promise((resolve, reject) => {
-        const addresses = [];
+        const recipients = [];
+        const invalidAddresses = [];
+        let rowNumber = 1; // 第1行为表头
+        let invalidRow = null;
         
         fs.createReadStream(filePath)
             .pipe(csv())
             .on('data', (row) => {
-                // 尝试从不同可能的列名中获取地址
+                rowNumber++;
+                
+                // 尝试从不同可能的列名中获取地址和金额
                 const address = row['钱包地址'] || row['地址'] || row['Address'] || row['address'];
+                const amount = (row['金额'] || row['Amount'] || row['amount'] || '').trim() || null;
+                
+                if (amount && !isValidAmount(amount) && !invalidRow) {
+                    invalidRow = `CSV文件第 ${rowNumber} 行的金额无效: ${amount}`;
+                }
                 if (address) {
-                    addresses.push(address);
+                    const checksummed = normalizeAddress(address);
+                    if (checksummed) {
+                        recipients.push({ address: checksummed, amount, row: rowNumber });
+                    } else {
+                        invalidAddresses.push(`第 ${rowNumber} 行: ${address}`);
+                    }
                 }
             })
             .on('end', () => {
-                if (addresses.length === 0) {
+                if (invalidAddresses.length > 0) {
+                    reject(new Error(`CSV文件中有 ${invalidAddresses.length} 个无效的地址(格式错误或校验和不正确):\n  ${invalidAddresses.join('\n  ')}`));
+                } else if (invalidRow) {
+                    reject(new Error(invalidRow));
+                } else if (recipients.length === 0) {
                     reject(new Error('CSV文件中未找到任何钱包地址'));
                 } else {
-                    resolve(addresses);
+                    resolve(recipients);
                 }
             })
             .on('error', (error) => {
@@ -74,17 +95,461 @@ async function readWalletAddresses(filePath) {
     });
 }
 
+/**
+ * 为未单独指定金额的地址填入默认金额
+ * @param {Array<{address: string, amount: string|null}>} recipients - 接收方数组
+ * @param {string|null} amount - 默认转账金额
+ * @returns {Array<{address: string, amount: string}>} - 每个地址都有金额的接收方数组
+ */
+function resolveAmounts(recipients, amount) {
+    const resolved = recipients.map(recipient => ({
+        address: recipient.address,
+        amount: recipient.amount || amount
+    }));
+    
+    if (resolved.some(recipient => !isValidAmount(recipient.amount))) {
+        throw new Error('部分地址未指定转账金额，且没有提供默认金额');
+    }
+    return resolved;
+}
+
+/**
+ * 生成输出目录中带时间戳的文件路径，目录不存在时创建，转账日志、结果、计划和签名文件共用
+ * @param {string} prefix - 文件名前缀
+ * @param {string} extension - 扩展名
+ * @param {string} [outputDir] - 保存目录，默认为脚本所在目录
+ * @returns {string} - 文件路径
+ */
+function getOutputFile(prefix, extension, outputDir = __dirname) {
+    fs.mkdirSync(outputDir, { recursive: true });
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(outputDir, `${prefix}-${timestamp}.${extension}`);
+}
+
+/**
+ * 保存转账结果到CSV文件
+ * @param {Object[]} entries - 转账记录，包含toAddress、amount、status、txHash、error和chunk
+ * @param {string} symbol - 币种符号
+ * @param {boolean} withChunk - 是否记录批量分发的批次
+ * @param {string} [outputDir] - 保存目录，默认为脚本所在目录
+ * @returns {string} - 结果文件路径
+ */
+function writeResultCsv(entries, symbol, withChunk, outputDir = __dirname) {
+    const resultFile = getOutputFile('转账结果', 'csv', outputDir);
+    
+    // 批量分发模式下额外记录每个地址所在的批次，同一批次共用一个交易哈希
+    let csvContent = `序号,接收地址,金额,状态,${withChunk ? '批次,' : ''}交易哈希/错误信息\n`;
+    entries.forEach((result, index) => {
+        const status = result.status === 'confirmed' ? '成功' : result.status === 'unknown' ? '待核实' : '失败';
+        const hashOrError = result.status === 'confirmed' ? result.txHash : result.error;
+        const chunk = withChunk ? `"${result.chunk || ''}",` : '';
+        csvContent += `${index + 1},"${result.toAddress}","${result.amount} ${symbol}","${status}",${chunk}"${hashOrError}"\n`;
+    });
+    
+    fs.writeFileSync(resultFile, csvContent);
+    return resultFile;
+}
+
+/**
+ * 创建nonce管理器
+ * 只在开始时获取一次pending nonce，之后按顺序为每笔交易分配nonce，
+ * 并记录发送失败留下的空缺，以便后续交易复用或在结束时填补
+ * @param {ethers.Wallet} wallet - 发送方钱包
+ * @param {Object} network - 网络配置，填补空缺的交易按其gas策略和上限获取gas费
+ * @returns {Promise<Object>} - nonce管理器
+ */
+async function createNonceManager(wallet, network) {
+    let nextNonce = await wallet.getNonce('pending');
+    let highestSent = nextNonce - 1;   // 已广播的最大nonce
+    const gaps = new Set();            // 发送失败而空出的nonce
+    const inFlight = new Set();        // 已分配但尚未确定是否广播的nonce
+    
+    console.log(`起始nonce: ${nextNonce}`);
+    
+    return {
+        /**
+         * 分配下一个nonce，优先复用空缺
+         * @returns {number} - nonce
+         */
+        acquire() {
+            let nonce;
+            if (gaps.size > 0) {
+                nonce = Math.min(...gaps);
+                gaps.delete(nonce);
+            } else {
+                nonce = nextNonce++;
+            }
+            inFlight.add(nonce);
+            return nonce;
+        },
+        
+        /**
+         * 标记nonce已成功广播
+         * @param {number} nonce - nonce
+         */
+        markSent(nonce) {
+            inFlight.delete(nonce);
+            highestSent = Math.max(highestSent, nonce);
+        },
+        
+        /**
+         * 释放未能广播的nonce，留作空缺
+         * @param {number} nonce - nonce
+         */
+        release(nonce) {
+            inFlight.delete(nonce);
+            gaps.add(nonce);
+        },
+        
+        /**
+         * 与链上pending nonce重新同步（nonce已被其他交易占用或广播结果不确定时调用）
+         * @param {number} nonce - 冲突的nonce
+         */
+        async resync(nonce) {
+            inFlight.delete(nonce);
+            const pendingNonce = await wallet.getNonce('pending');
+            for (const gap of gaps) {
+                if (gap < pendingNonce) {
+                    gaps.delete(gap);
+                }
+            }
+            highestSent = Math.max(highestSent, pendingNonce - 1);
+            nextNonce = Math.max(nextNonce, pendingNonce);
+        },
+        
+        /**
+         * 处理剩余的nonce空缺，所有交易发送完成后调用一次
+         * 空缺之后已有交易广播的，发送0金额的自转账填补，否则直接回退nonce
+         * @returns {Promise<void>}
+         */
+        async settle() {
+            const ceiling = Math.max(highestSent, ...inFlight);
+            const pending = [...gaps].sort((a, b) => a - b);
+            
+            for (const nonce of pending) {
+                gaps.delete(nonce);
+                
+                if (nonce > ceiling) {
+                    // 之后没有交易，直接回退
+                    nextNonce = Math.min(nextNonce, nonce);
+                    console.log(`nonce ${nonce} 之后没有交易，已重置`);
+                    continue;
+                }
+                
+                try {
+                    console.log(`正在填补nonce空缺: ${nonce}`);
+                    const fees = await waitForGasFees(wallet.provider, network);
+                    const tx = await wallet.sendTransaction({
+                        to: wallet.address,
+                        value: 0,
+                        nonce,
+                        gasLimit: 21000,
+                        ...fees
+                    });
+                    const { receipt } = await watchTransaction(tx, network, { wallet, label: '[填补空缺]' });
+                    console.log(`nonce ${nonce} 已填补，交易哈希: ${receipt.hash}`);
+                } catch (error) {
+                    console.error(`填补nonce ${nonce} 失败，之后的交易可能无法确认: ${error.message}`);
+                }
+            }
+        }
+    };
+}
+
+/**
+ * 判断错误是否由nonce已被占用引起
+ * @param {Error} error - 错误
+ * @returns {boolean} - 是否为nonce冲突
+ */
+function isNonceConflict(error) {
+    return error.code === 'NONCE_EXPIRED' || error.code === 'REPLACEMENT_UNDERPRICED';
+}
+
+/**
+ * 判断广播失败的交易是否一定没有被节点接受
+ * 超时、网络或RPC错误时交易可能已经进入交易池，不能当作未发送
+ * @param {Error} error - 错误
+ * @returns {boolean} - 是否被节点拒绝
+ */
+function isRejected(error) {
+    return REJECTED_ERROR_CODES.includes(error.code);
+}
+
+/**
+ * 保存转账日志
+ * 先写入临时文件再重命名，避免进程中途退出时日志文件损坏
+ * @param {string} filePath - 日志文件路径
+ * @param {Object} journal - 日志内容
+ */
+function saveJournal(filePath, journal) {
+    journal.updatedAt = new Date().toISOString();
+    const tempFile = `${filePath}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(journal, null, 2));
+    fs.renameSync(tempFile, filePath);
+}
+
+/**
+ * 创建新的转账日志，所有转账初始状态为planned
+ * @param {string} filePath - 日志文件路径
+ * @param {string} fromAddress - 发送方地址
+ * @param {Array<{address: string, amount: string}>} recipients - 接收方数组
+ * @param {string|null} tokenAddress - 代币合约地址，转账原生代币时为null
+ * @param {boolean} disperse - 是否使用批量分发合约
+ * @param {string} networkName - 网络名称
+ * @returns {Object} - 日志内容
+ */
+function createJournal(filePath, fromAddress, recipients, tokenAddress, disperse, networkName) {
+    const journal = {
+        network: networkName,
+        from: fromAddress,
+        token: tokenAddress,
+        disperse,
+        createdAt: new Date().toISOString(),
+        entries: recipients.map((recipient, index) => ({
+            index,
+            toAddress: recipient.address,
+            amount: recipient.amount,
+            status: 'planned',
+            nonce: null,
+            txHash: null,
+            replacedTxHashes: [],
+            chunk: null,
+            error: null
+        }))
+    };
+    
+    saveJournal(filePath, journal);
+    return journal;
+}
+
+/**
+ * 读取转账日志
+ * @param {string} filePath - 日志文件路径
+ * @returns {Object} - 日志内容
+ */
+function readJournal(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`读取转账日志失败: ${error.message}`);
+    }
+}
+
+/**
+ * 查找一组交易中已上链的回执
+ * @param {ethers.Provider} provider - 提供者
+ * @param {string[]} hashes - 使用同一nonce发送过的交易哈希
+ * @returns {Promise<ethers.TransactionReceipt|null>} - 回执，都未上链时为null
+ */
+async function findReceipt(provider, hashes) {
+    for (const hash of hashes) {
+        const receipt = await provider.getTransactionReceipt(hash);
+        if (receipt) {
+            return receipt;
+        }
+    }
+    return null;
+}
+
+/**
+ * 根据链上数据核对日志中已广播但结果未确定的交易，交易被加速过时同时检查被替换的交易
+ * 所有记录了交易哈希且未确认的条目都会核对，包括上次运行中广播后出错的条目
+ * - 已上链: 按回执状态标记为confirmed或failed，执行失败的会重新发送
+ * - 仍在交易池: 最多等待网络配置的超时时间，仍未确认时标记为unknown，本次不会重新发送
+ * - 已丢弃，或nonce已被其他交易使用: 交易不会再上链，恢复为planned，重新发送
+ * @param {string} filePath - 日志文件路径
+ * @param {Object} journal - 日志内容
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Object} network - 网络配置，包含gas配置
+ */
+async function reconcileJournal(filePath, journal, provider, network) {
+    const sentEntries = journal.entries.filter(entry => entry.txHash && entry.status !== 'confirmed');
+    if (sentEntries.length === 0) {
+        return;
+    }
+    
+    console.log(`正在核对 ${sentEntries.length} 笔已广播但未确认的交易...`);
+    const timeout = network.gas.txTimeout * 1000;
+    
+    for (const entry of sentEntries) {
+        const prefix = `[${entry.index + 1}/${journal.entries.length}]`;
+        const hashes = [entry.txHash, ...(entry.replacedTxHashes || [])];
+        const deadline = Date.now() + timeout;
+        let receipt = await findReceipt(provider, hashes);
+        let waiting = false;
+        
+        // 交易仍在交易池时等待确认，超过超时时间不再等待
+        while (!receipt) {
+            const pending = await Promise.all(hashes.map(hash => provider.getTransaction(hash)));
+            waiting = pending.some(tx => tx !== null);
+            if (!waiting || Date.now() >= deadline) {
+                break;
+            }
+            console.log(`${prefix} 交易 ${entry.txHash} 仍在等待确认...`);
+            await delay(POLL_INTERVAL);
+            receipt = await findReceipt(provider, hashes);
+        }
+        
+        // 先读取nonce再查一次回执，排除刚好在两次查询之间上链的情况
+        const confirmedNonce = receipt ? null : await provider.getTransactionCount(journal.from, 'latest');
+        receipt = receipt || await findReceipt(provider, hashes);
+        
+        if (receipt) {
+            entry.status = receipt.status === 1 ? 'confirmed' : 'failed';
+            entry.txHash = receipt.hash;
+            entry.error = receipt.status === 1 ? null : '交易执行失败';
+            console.log(`${prefix} ${entry.toAddress}: ${receipt.status === 1 ? '已确认' : '执行失败，将重新发送'}`);
+        } else if (entry.nonce < confirmedNonce) {
+            Object.assign(entry, { status: 'planned', txHash: null, nonce: null, replacedTxHashes: [], error: null });
+            console.log(`${prefix} ${entry.toAddress}: nonce已被其他交易使用，交易不会上链，将重新发送`);
+        } else if (waiting) {
+            entry.status = 'unknown';
+            entry.error = `交易超过 ${network.gas.txTimeout} 秒仍未确认`;
+            console.log(`${prefix} ${entry.toAddress}: 交易仍未确认，本次不会重新发送，请稍后再次核对`);
+        } else {
+            Object.assign(entry, { status: 'planned', txHash: null, nonce: null, replacedTxHashes: [], error: null });
+            console.log(`${prefix} ${entry.toAddress}: 交易已被丢弃，将重新发送`);
+        }
+        
+        saveJournal(filePath, journal);
+    }
+}
+
+/**
+ * 读取批量分发合约的ABI、字节码和各链部署地址
+ * 本机自动部署的地址优先于合约配置中的默认地址
+ * @returns {Object} - 合约配置
+ */
+function readDisperseArtifact() {
+    try {
+        const artifact = JSON.parse(fs.readFileSync(DISPERSE_ARTIFACT_FILE, 'utf8'));
+        const local = fs.existsSync(DISPERSE_DEPLOYMENTS_FILE)
+            ? JSON.parse(fs.readFileSync(DISPERSE_DEPLOYMENTS_FILE, 'utf8'))
+            : {};
+        return { ...artifact, deployments: { ...artifact.deployments, ...local } };
+    } catch (error) {
+        throw new Error(`读取批量分发合约配置失败: ${error.message}`);
+    }
+}
+
+/**
+ * 记录本机自动部署的批量分发合约地址
+ * @param {string} chainId - 链ID
+ * @param {string} address - 合约地址
+ */
+function saveDisperseDeployment(chainId, address) {
+    const local = fs.existsSync(DISPERSE_DEPLOYMENTS_FILE)
+        ? JSON.parse(fs.readFileSync(DISPERSE_DEPLOYMENTS_FILE, 'utf8'))
+        : {};
+    local[chainId] = address;
+    fs.writeFileSync(DISPERSE_DEPLOYMENTS_FILE, JSON.stringify(local, null, 2) + '\n');
+}
+
+/**
+ * 获取当前链上的批量分发合约，未配置地址或地址上没有合约时自动部署，
+ * 部署后的地址记录在 contracts/disperse.deployments.json，下次运行直接使用
+ * @param {ethers.Wallet} wallet - 发送方钱包
+ * @param {Object} network - 网络配置，部署交易按其gas策略和上限获取gas费
+ * @param {Object} nonceManager - nonce管理器，部署交易从中分配nonce
+ * @returns {Promise<ethers.Contract>} - 合约实例
+ */
+async function getDisperseContract(wallet, network, nonceManager) {
+    const artifact = readDisperseArtifact();
+    const { chainId } = await wallet.provider.getNetwork();
+    const configured = artifact.deployments[chainId.toString()];
+    
+    if (configured && (await wallet.provider.getCode(configured)) !== '0x') {
+        console.log(`使用批量分发合约: ${configured}`);
+        return new ethers.Contract(configured, artifact.abi, wallet);
+    }
+    
+    console.log(`链 ${chainId} 上未配置批量分发合约，正在部署...`);
+    const factory = new ethers.ContractFactory(artifact.abi, artifact.bytecode, wallet);
+    const fees = await waitForGasFees(wallet.provider, network);
+    const nonce = nonceManager.acquire();
+    const contract = await factory.deploy({ ...fees, nonce });
+    nonceManager.markSent(nonce);
+    
+    // 部署交易超时未确认时按网络配置加速或取消
+    const { receipt, cancelled } = await watchTransaction(contract.deploymentTransaction(), network, { wallet, label: '[部署]' });
+    if (cancelled) {
+        throw new Error(`批量分发合约的部署交易超时未确认，已通过 ${receipt.hash} 取消`);
+    }
+    
+    const address = await contract.getAddress();
+    saveDisperseDeployment(chainId.toString(), address);
+    console.log(`批量分发合约已部署: ${address}`);
+    
+    return contract;
+}
+
+/**
+ * 按gas上限把待转账条目拆分成多个批次
+ * 整批估算超出上限或估算失败时对半拆分，单个地址仍估算失败则标记为失败
+ * @param {Object[]} entries - 日志条目
+ * @param {Function} estimate - 估算一组条目所需gas的函数
+ * @param {bigint} gasCeiling - 单笔交易的gas上限
+ * @returns {Promise<{chunks: Array<{entries: Object[], gasLimit: bigint}>, rejected: Array<{entry: Object, error: Error}>}>} - 批次和无法分发的条目
+ */
+async function planDisperseChunks(entries, estimate, gasCeiling) {
+    const chunks = [];
+    const rejected = [];
+    
+    const split = async (list) => {
+        let gasLimit = null;
+        let lastError = null;
+        
+        try {
+            gasLimit = await estimate(list);
+        } catch (error) {
+            lastError = error;
+        }
+        
+        if (gasLimit !== null && gasLimit <= gasCeiling) {
+            chunks.push({ entries: list, gasLimit });
+        } else if (list.length > 1) {
+            const middle = Math.ceil(list.length / 2);
+            await split(list.slice(0, middle));
+            await split(list.slice(middle));
+        } else {
+            rejected.push({ entry: list[0], error: lastError || new Error(`所需gas ${gasLimit} 超过上限 ${gasCeiling}`) });
+        }
+    };
+    
+    if (entries.length > 0) {
+        await split(entries);
+    }
+    return { chunks, rejected };
+}
+
 /**
  * 批量转账
- * @param {string} privateKey - 发送方私钥
- * @param {string[]} toAddresses - 接收方地址数组
- * @param {string} rpcUrl - RPC URL
- * @param {string} amount - 转账金额(ETH)
+ * 单笔转账失败不会中断其他转账，失败的条目记录在结果中，可通过转账日志重试
+ * @param {Object} opts - 转账参数
+ * @param {string} opts.privateKey - 发送方私钥
+ * @param {Array<{address: string, amount: string|null}>} [opts.recipients] - 接收方数组，继续执行转账日志时不需要
+ * @param {string|Object} [opts.network] - 网络名称或网络配置，不传则使用默认网络
+ * @param {string|null} [opts.amount] - 默认转账金额(原生代币或代币)，用于CSV中未指定金额的地址
+ * @param {number} [opts.concurrency] - 同时在途的交易数
+ * @param {string} [opts.tokenAddress] - ERC-20代币合约地址，不传则转账原生代币
+ * @param {string} [opts.journalFile] - 要继续执行的转账日志路径，不传则新建日志
+ * @param {boolean} [opts.disperse] - 是否通过批量分发合约在一笔交易中转给多个地址
+ * @param {number} [opts.gasCeiling] - 批量分发时单笔交易的gas上限
+ * @param {string} [opts.outputDir] - 新建的转账日志和结果文件的保存目录，默认为脚本所在目录
+ * @returns {Promise<{from: string, journalFile: string, resultFile: string, symbol: string, total: number, confirmed: number, failed: number, unknown: number, entries: Array<Object>}>} - 发送方、转账日志、结果文件、各状态的数量和每笔转账的状态
  */
-async function batchTransfer(privateKey, toAddresses, rpcUrl, amount) {
+async function batchTransfer(opts) {
+    const { privateKey, recipients = [], amount = null } = opts;
+    const network = resolveNetwork(opts.network);
+    const concurrency = opts.concurrency || DEFAULT_CONCURRENCY;
+    const tokenAddress = opts.tokenAddress || null;
+    const useDisperse = !!opts.disperse;
+    const outputDir = opts.outputDir || __dirname;
+    addSecret(privateKey);
+    
     try {
-        // 连接到提供的RPC
-        const provider = new ethers.JsonRpcProvider(rpcUrl);
+        // 连接到网络的RPC，chainId与网络配置不一致时拒绝运行
+        const provider = await connectNetwork(network);
         
         // 创建钱包实例
         const wallet = new ethers.Wallet(privateKey, provider);
@@ -92,91 +557,841 @@ async function batchTransfer(privateKey, toAddresses, rpcUrl, amount) {
         
         console.log(`发送方钱包地址: ${fromAddress}`);
         
+        // 加载或创建转账日志
+        let journalFile = opts.journalFile;
+        let journal;
+        
+        if (journalFile) {
+            journal = readJournal(journalFile);
+            if (journal.from.toLowerCase() !== fromAddress.toLowerCase()) {
+                throw new Error(`私钥与转账日志不匹配，日志中的发送方为 ${journal.from}`);
+            }
+            if (journal.network && journal.network !== network.name) {
+                throw new Error(`转账日志属于网络 ${journal.network}，与当前网络 ${network.name} 不一致`);
+            }
+            console.log(`继续执行转账日志: ${journalFile}`);
+            await reconcileJournal(journalFile, journal, provider, network);
+        } else {
+            journalFile = getOutputFile('转账日志', 'json', outputDir);
+            // 未单独指定金额的地址使用默认金额
+            const resolved = resolveAmounts(recipients, amount);
+            journal = createJournal(journalFile, fromAddress, resolved, tokenAddress, useDisperse, network.name);
+            console.log(`转账日志: ${journalFile} (中断后可使用 --resume ${journalFile} 继续)`);
+        }
+        
+        const total = journal.entries.length;
+        // 只重新发送未广播或确定没有转账成功的条目，结果未确定(unknown)的交易不会重新发送
+        const pendingEntries = journal.entries.filter(entry => entry.status === 'planned' || entry.status === 'failed');
+        
+        // 代币模式下读取代币信息
+        const { token, symbol, decimals } = await readTokenInfo(tokenAddress, wallet, network);
+        
         // 获取当前余额
-        const balance = await provider.getBalance(fromAddress);
-        const balanceInEth = ethers.formatEther(balance);
-        console.log(`当前余额: ${balanceInEth} ETH`);
+        const balance = token ? await token.balanceOf(fromAddress) : await provider.getBalance(fromAddress);
+        const balanceFormatted = ethers.formatUnits(balance, decimals);
+        console.log(`当前余额: ${balanceFormatted} ${symbol}`);
         
-        // 计算总共需要的ETH
-        const amountInWei = ethers.parseEther(amount);
-        const totalRequired = amountInWei * BigInt(toAddresses.length);
-        const totalRequiredEth = ethers.formatEther(totalRequired);
+        // 计算总共需要的金额
+        const totalRequired = pendingEntries.reduce((sum, entry) => sum + ethers.parseUnits(entry.amount, decimals), 0n);
+        const totalRequiredFormatted = ethers.formatUnits(totalRequired, decimals);
         
-        console.log(`接收方地址数量: ${toAddresses.length}`);
-        console.log(`每个地址将收到: ${amount} ETH`);
-        console.log(`总共需要: ${totalRequiredEth} ETH`);
+        console.log(`接收方地址数量: ${total}`);
+        if (pendingEntries.length < total) {
+            console.log(`已完成: ${total - pendingEntries.length}，待转账: ${pendingEntries.length}`);
+        }
+        const distinctAmounts = new Set(journal.entries.map(entry => entry.amount));
+        if (distinctAmounts.size === 1) {
+            console.log(`每个地址将收到: ${journal.entries[0].amount} ${symbol}`);
+        } else {
+            console.log('每个地址的金额: 按CSV中的金额列');
+        }
+        console.log(`总共需要: ${totalRequiredFormatted} ${symbol}`);
         
         // 检查余额是否足够
         if (balance < totalRequired) {
-            throw new Error(`余额不足，需要至少 ${totalRequiredEth} ETH，但当前只有 ${balanceInEth} ETH`);
+            throw new Error(`余额不足，需要至少 ${totalRequiredFormatted} ${symbol}，但当前只有 ${balanceFormatted} ${symbol}`);
         }
         
-        // 获取当前gas价格
-        const feeData = await provider.getFeeData();
-        
-        // 执行转账
-        console.log('\n开始批量转账...');
+        // 初始化nonce管理器，批量分发合约的部署和授权交易也从中分配nonce
+        const nonceManager = await createNonceManager(wallet, network);
         
-        const txPromises = toAddresses.map(async (toAddress, index) => {
-            try {
-                console.log(`[${index + 1}/${toAddresses.length}] 正在转账 ${amount} ETH 到 ${toAddress}...`);
+        // 批量分发模式下准备合约，代币需要先授权给分发合约
+        let disperse = null;
+        if (useDisperse) {
+            disperse = await getDisperseContract(wallet, network, nonceManager);
+            
+            if (token) {
+                const disperseAddress = await disperse.getAddress();
+                const approve = async (value) => {
+                    const fees = await waitForGasFees(provider, network);
+                    const nonce = nonceManager.acquire();
+                    const tx = await token.approve(disperseAddress, value, { ...fees, nonce });
+                    nonceManager.markSent(nonce);
+                    
+                    const { receipt, cancelled } = await watchTransaction(tx, network, { wallet, label: '[授权]' });
+                    if (cancelled) {
+                        throw new Error(`授权交易超时未确认，已通过 ${receipt.hash} 取消`);
+                    }
+                    return receipt;
+                };
                 
-                // 创建交易
-                const tx = await wallet.sendTransaction({
-                    to: toAddress,
-                    value: amountInWei,
-                    gasLimit: 21000, // 标准ETH转账的gas限制
-                    maxFeePerGas: feeData.maxFeePerGas,
-                    maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+                const allowance = await token.allowance(fromAddress, disperseAddress);
+                if (allowance < totalRequired) {
+                    if (allowance > 0n) {
+                        // USDT等代币不允许把非0授权直接改为另一个非0值，先把不足的授权重置为0
+                        console.log(`已有授权 ${ethers.formatUnits(allowance, decimals)} ${symbol} 不足，正在重置为0...`);
+                        await approve(0n);
+                    }
+                    console.log(`正在授权批量分发合约使用 ${totalRequiredFormatted} ${symbol}...`);
+                    const receipt = await approve(totalRequired);
+                    console.log(`授权成功! 交易哈希: ${receipt.hash}`);
+                }
+            }
+        }
+        
+        /**
+         * 生成一笔批量分发交易
+         * @param {Object[]} entries - 日志条目
+         * @returns {Promise<Object>} - 交易请求
+         */
+        const buildDisperseRequest = (entries) => {
+            const addresses = entries.map(entry => entry.toAddress);
+            const values = entries.map(entry => ethers.parseUnits(entry.amount, decimals));
+            
+            return token
+                ? disperse.disperseToken.populateTransaction(tokenAddress, addresses, values)
+                : disperse.disperseEther.populateTransaction(addresses, values, {
+                    value: values.reduce((sum, value) => sum + value, 0n)
                 });
-                
-                // 等待交易确认
-                const receipt = await tx.wait();
-                
-                console.log(`[${index + 1}/${toAddresses.length}] 转账成功! 交易哈希: ${receipt.hash}`);
+        };
+        
+        // 生成待发送的交易: 普通模式每个地址一笔，批量分发模式按gas上限拆分批次
+        let batches;
+        
+        if (disperse) {
+            const block = await provider.getBlock('latest');
+            const configuredCeiling = BigInt(opts.gasCeiling || DISPERSE_GAS_CEILING);
+            const blockCeiling = block.gasLimit * 9n / 10n;
+            const gasCeiling = configuredCeiling < blockCeiling ? configuredCeiling : blockCeiling;
+            
+            console.log(`正在按gas上限 ${gasCeiling} 拆分批次...`);
+            const { chunks, rejected } = await planDisperseChunks(
+                pendingEntries,
+                async (entries) => estimateGasLimit(wallet, await buildDisperseRequest(entries), network),
+                gasCeiling
+            );
+            
+            for (const { entry, error } of rejected) {
+                console.error(`[${entry.index + 1}/${total}] 无法通过批量分发合约转账到 ${entry.toAddress}: ${error.message}`);
+                Object.assign(entry, { status: 'failed', chunk: null, error: error.message });
+            }
+            saveJournal(journalFile, journal);
+            console.log(`共 ${chunks.length} 个批次`);
+            
+            batches = chunks.map((chunk, index) => {
+                const chunkTotal = chunk.entries.reduce((sum, entry) => sum + ethers.parseUnits(entry.amount, decimals), 0n);
                 return {
-                    success: true,
-                    toAddress,
-                    txHash: receipt.hash
+                    label: `[批次 ${index + 1}/${chunks.length}]`,
+                    description: `向 ${chunk.entries.length} 个地址分发 ${ethers.formatUnits(chunkTotal, decimals)} ${symbol}`,
+                    chunk: index + 1,
+                    entries: chunk.entries,
+                    buildRequest: async () => ({ ...(await buildDisperseRequest(chunk.entries)), gasLimit: chunk.gasLimit })
                 };
-            } catch (error) {
-                console.error(`[${index + 1}/${toAddresses.length}] 转账到 ${toAddress} 失败: ${error.message}`);
+            });
+        } else {
+            batches = pendingEntries.map(entry => {
+                const amountInUnits = ethers.parseUnits(entry.amount, decimals);
                 return {
-                    success: false,
-                    toAddress,
-                    error: error.message
+                    label: `[${entry.index + 1}/${total}]`,
+                    description: `转账 ${entry.amount} ${symbol} 到 ${entry.toAddress}`,
+                    chunk: null,
+                    entries: [entry],
+                    // 代币转账调用transfer并单独估算gas(含安全余量)，原生代币转账使用标准gas限制
+                    buildRequest: async () => {
+                        if (!token) {
+                            return { to: entry.toAddress, value: amountInUnits, gasLimit: 21000 };
+                        }
+                        const request = await token.transfer.populateTransaction(entry.toAddress, amountInUnits);
+                        return { ...request, gasLimit: await estimateGasLimit(wallet, request, network) };
+                    }
                 };
+            });
+        }
+        
+        /**
+         * 发送一笔交易并更新其包含的所有日志条目，交易签名后先记录哈希和nonce再广播
+         * @param {Object} batch - 待发送的交易
+         */
+        const send = async (batch) => {
+            const { label, entries } = batch;
+            const update = (fields) => {
+                entries.forEach(entry => Object.assign(entry, fields));
+                saveJournal(journalFile, journal);
+            };
+            let attempt = 0;
+            
+            while (true) {
+                // 每笔交易发送前按网络的gas策略获取gas费，gas价格高于上限时在这里暂停
+                const fees = await waitForGasFees(provider, network);
+                const nonce = nonceManager.acquire();
+                let broadcasting = false;
+                let tx;
+                
+                try {
+                    console.log(`${label} 正在${batch.description} (nonce: ${nonce})...`);
+                    
+                    // 创建并签名交易
+                    const request = await batch.buildRequest();
+                    const signedTx = await wallet.signTransaction(await wallet.populateTransaction({
+                        ...request,
+                        nonce,
+                        ...fees
+                    }));
+                    
+                    // 广播前写入日志，即使进程在广播后退出也能找回该交易
+                    update({ status: 'sent', nonce, txHash: ethers.keccak256(signedTx), replacedTxHashes: [], chunk: batch.chunk, error: null });
+                    
+                    broadcasting = true;
+                    tx = await provider.broadcastTransaction(signedTx);
+                    nonceManager.markSent(nonce);
+                } catch (error) {
+                    if (isNonceConflict(error) && attempt < NONCE_RETRIES) {
+                        // nonce已被占用，同步后换一个nonce重试
+                        attempt++;
+                        console.log(`${label} nonce ${nonce} 已被占用，重新同步后重试...`);
+                        update({ status: 'planned', nonce: null, txHash: null });
+                        await nonceManager.resync(nonce);
+                        continue;
+                    }
+                    
+                    if (isNonceConflict(error)) {
+                        // 重试次数用完，nonce仍被其他交易占用，交易没有被节点接受
+                        await nonceManager.resync(nonce);
+                        console.error(`${label} ${batch.description}失败: ${error.message}`);
+                        update({ status: 'failed', nonce: null, txHash: null, error: `nonce冲突重试 ${NONCE_RETRIES} 次后仍失败: ${error.message}` });
+                        return;
+                    }
+                    
+                    if (!broadcasting || isRejected(error)) {
+                        // 交易没有被节点接受，nonce留作空缺
+                        nonceManager.release(nonce);
+                        console.error(`${label} ${batch.description}失败: ${error.message}`);
+                        update({ status: 'failed', nonce: null, txHash: null, error: error.message });
+                        return;
+                    }
+                    
+                    // 广播结果不确定，交易可能已进入交易池，不能释放nonce
+                    const txHash = entries[0].txHash;
+                    tx = await provider.getTransaction(txHash).catch(() => null);
+                    if (!tx) {
+                        await nonceManager.resync(nonce);
+                        console.error(`${label} ${batch.description}的广播结果不确定: ${error.message}，交易 ${txHash} 可能仍会上链，请使用 --resume 核对`);
+                        update({ status: 'unknown', error: `广播结果不确定: ${error.message}` });
+                        return;
+                    }
+                    nonceManager.markSent(nonce);
+                    console.log(`${label} 广播时出错，但交易 ${txHash} 已在交易池中，继续等待确认`);
+                }
+                
+                try {
+                    // 等待交易确认，超时未确认时按网络配置加速或取消，替换交易广播成功后把哈希写入日志
+                    const { receipt, cancelled } = await watchTransaction(tx, network, {
+                        wallet,
+                        label,
+                        onReplace: (hash) => update({ txHash: hash, replacedTxHashes: [...entries[0].replacedTxHashes, entries[0].txHash] })
+                    });
+                    
+                    if (cancelled) {
+                        console.error(`${label} ${batch.description}超时未确认，已取消`);
+                        update({ status: 'failed', txHash: null, replacedTxHashes: [], error: `交易超时未确认，已通过 ${receipt.hash} 取消` });
+                        return;
+                    }
+                    
+                    console.log(`${label} 转账成功! 交易哈希: ${formatTxHash(network, receipt.hash)}`);
+                    update({ status: 'confirmed', txHash: receipt.hash });
+                } catch (error) {
+                    // 交易已广播，nonce不能释放
+                    if (error.code === 'CALL_EXCEPTION' && error.receipt) {
+                        // 交易已上链但执行失败，转账没有发生，可以重新发送
+                        console.error(`${label} ${batch.description}失败: ${error.message}`);
+                        update({ status: 'failed', txHash: error.receipt.hash, error: error.message });
+                    } else {
+                        // 交易是否上链未知，标记为待核实，继续执行时先核对链上状态，不会直接重新发送
+                        console.error(`${label} ${batch.description}的结果未确定: ${error.message}，请使用 --resume 核对`);
+                        update({ status: 'unknown', error: error.message });
+                    }
+                }
+                return;
             }
-        });
+        };
+        
+        // 执行转账
+        console.log(`\n开始批量转账 (并发数: ${concurrency})...`);
         
-        // 等待所有交易完成
-        const results = await Promise.all(txPromises);
+        let cursor = 0;
+        
+        // 每个worker依次从队列中取交易，保证同时在途的交易数不超过并发数
+        const worker = async () => {
+            while (cursor < batches.length) {
+                await send(batches[cursor++]);
+            }
+        };
+        
+        const workerCount = Math.max(1, Math.min(concurrency, batches.length));
+        await Promise.all(Array.from({ length: workerCount }, worker));
+        
+        // 所有交易发送完成，处理失败交易留下的nonce空缺，避免之后的交易卡住
+        await nonceManager.settle();
         
         // 统计结果
-        const successful = results.filter(r => r.success).length;
-        const failed = results.filter(r => !r.success).length;
+        const results = journal.entries;
+        const successful = results.filter(r => r.status === 'confirmed').length;
+        const unknown = results.filter(r => r.status === 'unknown').length;
+        const failed = total - successful - unknown;
         
         console.log('\n批量转账完成!');
-        console.log(`成功: ${successful}/${toAddresses.length}`);
-        console.log(`失败: ${failed}/${toAddresses.length}`);
+        console.log(`成功: ${successful}/${total}`);
+        console.log(`失败: ${failed}/${total}`);
+        if (unknown > 0) {
+            console.log(`待核实: ${unknown}/${total}`);
+        }
+        if (failed > 0 || unknown > 0) {
+            console.log(`可使用 --resume ${journalFile} 重试失败的转账，待核实的转账会先核对链上状态`);
+        }
         
         // 保存交易结果到文件
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const resultFile = path.join(__dirname, `转账结果-${timestamp}.csv`);
-        
-        let csvContent = '序号,接收地址,状态,交易哈希/错误信息\n';
-        results.forEach((result, index) => {
-            const status = result.success ? '成功' : '失败';
-            const hashOrError = result.success ? result.txHash : result.error;
-            csvContent += `${index + 1},"${result.toAddress}","${status}","${hashOrError}"\n`;
+        const resultFile = writeResultCsv(results, symbol, useDisperse, outputDir);
+        console.log(`转账结果已保存至: ${resultFile}`);
+        
+        return {
+            from: fromAddress,
+            journalFile,
+            resultFile,
+            symbol,
+            total,
+            confirmed: successful,
+            failed,
+            unknown,
+            entries: results
+        };
+        
+    } catch (error) {
+        throw new Error(`批量转账过程中出错: ${error.message}`);
+    }
+}
+
+/**
+ * 模拟批量转账: 对每笔转账执行eth_call和estimateGas，不广播任何交易
+ * 报告包括gas在内的预计总花费，并标出会回滚的接收地址及解码后的回滚原因
+ * @param {string} fromAddress - 发送方地址
+ * @param {Array<{address: string, amount: string|null}>} recipients - 接收方数组
+ * @param {Object} network - 网络配置
+ * @param {string|null} amount - 默认转账金额
+ * @param {Object} [options] - 可选配置
+ * @param {string} [options.tokenAddress] - ERC-20代币合约地址，不传则转账原生代币
+ * @param {boolean} [options.disperse] - 是否计划通过批量分发合约转账
+ * @returns {Promise<{results: Array, totalGas: bigint, gasCost: bigint, totalValue: bigint}>} - 模拟结果
+ */
+async function simulateTransfers(fromAddress, recipients, network, amount, options = {}) {
+    const provider = await connectNetwork(network);
+    const resolved = resolveAmounts(recipients, amount);
+    const { token, symbol, decimals } = await readTokenInfo(options.tokenAddress || null, provider, network);
+    
+    if (options.disperse) {
+        console.log('注意: 模拟时按单笔转账逐个检查接收地址，批量分发合约的实际gas花费通常更低');
+    }
+    
+    const gasPrice = getSimulationGasPrice(await getGasFees(provider, network));
+    
+    console.log(`\n开始模拟 ${resolved.length} 笔转账 (不会广播交易)...`);
+    
+    const results = [];
+    for (let i = 0; i < resolved.length; i++) {
+        const { address: toAddress, amount: entryAmount } = resolved[i];
+        const prefix = `[${i + 1}/${resolved.length}]`;
+        const result = { index: i, toAddress, amount: entryAmount, gasLimit: null, error: null };
+        results.push(result);
+        
+        if (!ethers.isAddress(toAddress)) {
+            result.error = '无效的接收地址';
+            console.error(`${prefix} ${toAddress}: 将会失败 - ${result.error}`);
+            continue;
+        }
+        
+        const value = ethers.parseUnits(entryAmount, decimals);
+        const request = token
+            ? await token.transfer.populateTransaction(toAddress, value)
+            : { to: toAddress, value };
+        const simulation = await simulateTransaction(provider, { ...request, from: fromAddress }, token ? token.interface : undefined);
+        
+        // 代币transfer返回false时同样视为失败(不返回值的代币不检查)
+        if (!simulation.error && token && simulation.result !== '0x'
+            && !token.interface.decodeFunctionResult('transfer', simulation.result)[0]) {
+            simulation.error = '代币transfer返回false';
+        }
+        
+        if (simulation.error) {
+            result.error = simulation.error;
+            console.error(`${prefix} ${entryAmount} ${symbol} -> ${toAddress}: 将会失败 - ${result.error}`);
+        } else {
+            result.gasLimit = simulation.gasLimit;
+            console.log(`${prefix} ${entryAmount} ${symbol} -> ${toAddress}: 预计gas ${result.gasLimit}`);
+        }
+    }
+    
+    // 只统计能成功的转账
+    const passed = results.filter(result => !result.error);
+    const totalGas = passed.reduce((sum, result) => sum + result.gasLimit, 0n);
+    const totalValue = passed.reduce((sum, result) => sum + ethers.parseUnits(result.amount, decimals), 0n);
+    const gasCost = totalGas * gasPrice;
+    const nativeRequired = token ? gasCost : totalValue + gasCost;
+    const nativeBalance = await provider.getBalance(fromAddress);
+    
+    console.log('\n模拟完成!');
+    console.log(`可成功: ${passed.length}/${results.length}`);
+    console.log(`会失败: ${results.length - passed.length}/${results.length}`);
+    console.log(`转账总额: ${ethers.formatUnits(totalValue, decimals)} ${symbol}`);
+    console.log(`预计gas: ${totalGas}，按 ${ethers.formatUnits(gasPrice, 'gwei')} gwei 计算花费 ${formatNative(network, gasCost)}`);
+    console.log(`预计需要${network.nativeSymbol}(含gas): ${formatNative(network, nativeRequired)}，当前余额: ${formatNative(network, nativeBalance)}`);
+    
+    if (nativeBalance < nativeRequired) {
+        console.log(`警告: ${network.nativeSymbol}余额不足以支付转账和gas`);
+    }
+    if (token) {
+        const tokenBalance = await token.balanceOf(fromAddress);
+        console.log(`当前代币余额: ${ethers.formatUnits(tokenBalance, decimals)} ${symbol}`);
+        if (tokenBalance < totalValue) {
+            console.log('警告: 代币余额不足');
+        }
+    }
+    
+    return { results, totalGas, gasCost, totalValue };
+}
+
+/**
+ * 把可能为空的BigInt转换为字符串，便于写入JSON
+ * @param {bigint|null} value - 数值
+ * @returns {string|null} - 字符串
+ */
+function toStringOrNull(value) {
+    return value === null || value === undefined ? null : value.toString();
+}
+
+/**
+ * 离线签名第一步: 通过只读连接生成未签名的转账计划，不需要私钥
+ * 计划中记录chainId、gas价格以及每笔交易的nonce、gas限制和调用数据
+ * @param {string} fromAddress - 发送方地址
+ * @param {Array<{address: string, amount: string|null}>} recipients - 接收方数组
+ * @param {Object} network - 网络配置
+ * @param {string|null} amount - 默认转账金额
+ * @param {Object} [options] - 可选配置
+ * @param {string} [options.tokenAddress] - ERC-20代币合约地址，不传则转账原生代币
+ * @param {string} [options.outputDir] - 计划文件的保存目录，默认为脚本所在目录
+ * @returns {Promise<string>} - 计划文件路径
+ */
+async function prepareTransfers(fromAddress, recipients, network, amount, options = {}) {
+    const provider = await connectNetwork(network);
+    const tokenAddress = options.tokenAddress || null;
+    const resolved = resolveAmounts(recipients, amount);
+    
+    console.log(`网络: ${network.name}，chainId: ${network.chainId}`);
+    
+    // 代币模式下读取代币信息
+    const { token, symbol, decimals } = await readTokenInfo(tokenAddress, provider, network);
+    
+    // 检查余额是否足够
+    const balance = token ? await token.balanceOf(fromAddress) : await provider.getBalance(fromAddress);
+    const totalRequired = resolved.reduce((sum, recipient) => sum + ethers.parseUnits(recipient.amount, decimals), 0n);
+    console.log(`当前余额: ${ethers.formatUnits(balance, decimals)} ${symbol}`);
+    console.log(`总共需要: ${ethers.formatUnits(totalRequired, decimals)} ${symbol}`);
+    if (balance < totalRequired) {
+        throw new Error(`余额不足，需要至少 ${ethers.formatUnits(totalRequired, decimals)} ${symbol}`);
+    }
+    
+    // 按网络的gas策略记录当前gas价格和起始nonce，签名时直接使用
+    const fees = await waitForGasFees(provider, network);
+    let nonce = await provider.getTransactionCount(fromAddress, 'pending');
+    
+    const transactions = [];
+    for (let i = 0; i < resolved.length; i++) {
+        const { address: toAddress, amount: entryAmount } = resolved[i];
+        if (!ethers.isAddress(toAddress)) {
+            throw new Error(`第 ${i + 1} 个接收地址无效: ${toAddress}`);
+        }
+        
+        // 代币转账调用transfer并单独估算gas(含安全余量)，原生代币转账使用标准gas限制
+        const value = ethers.parseUnits(entryAmount, decimals);
+        const request = token
+            ? await token.transfer.populateTransaction(toAddress, value)
+            : { to: toAddress, value, data: '0x' };
+        const gasLimit = token ? await estimateGasLimit(provider, { ...request, from: fromAddress }, network) : 21000n;
+        
+        transactions.push({
+            index: i,
+            toAddress,
+            amount: entryAmount,
+            nonce,
+            to: request.to,
+            value: toStringOrNull(request.value || 0n),
+            data: request.data,
+            gasLimit: gasLimit.toString()
         });
+        console.log(`[${i + 1}/${resolved.length}] ${entryAmount} ${symbol} -> ${toAddress} (nonce: ${nonce})`);
+        nonce++;
+    }
+    
+    const plan = {
+        type: 'transfer-plan',
+        network: network.name,
+        chainId: network.chainId.toString(),
+        from: ethers.getAddress(fromAddress),
+        token: tokenAddress,
+        symbol,
+        decimals,
+        fees: {
+            maxFeePerGas: toStringOrNull(fees.maxFeePerGas),
+            maxPriorityFeePerGas: toStringOrNull(fees.maxPriorityFeePerGas),
+            gasPrice: toStringOrNull(fees.gasPrice)
+        },
+        createdAt: new Date().toISOString(),
+        transactions
+    };
+    
+    const planFile = getOutputFile('转账计划', 'json', options.outputDir);
+    fs.writeFileSync(planFile, JSON.stringify(plan, null, 2));
+    
+    return planFile;
+}
+
+/**
+ * 离线签名第二步: 不连接任何RPC，用私钥签名转账计划中的交易
+ * 计划中有EIP-1559费用时签名type 2交易，否则签名legacy交易
+ * @param {string} planFile - 转账计划文件路径
+ * @param {string} privateKey - 发送方私钥
+ * @param {Object} [options] - 可选配置
+ * @param {string} [options.outputDir] - 已签名交易文件的保存目录，默认为脚本所在目录
+ * @returns {Promise<string>} - 已签名交易文件路径
+ */
+async function signTransfers(planFile, privateKey, options = {}) {
+    let plan;
+    try {
+        plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+    } catch (error) {
+        throw new Error(`读取转账计划失败: ${error.message}`);
+    }
+    if (plan.type !== 'transfer-plan') {
+        throw new Error(`${planFile} 不是转账计划文件`);
+    }
+    
+    // 创建不连接提供者的钱包实例
+    const wallet = new ethers.Wallet(privateKey);
+    if (wallet.address !== plan.from) {
+        throw new Error(`私钥与转账计划不匹配，计划中的发送方为 ${plan.from}`);
+    }
+    
+    const { fees } = plan;
+    const transactions = [];
+    
+    for (const item of plan.transactions) {
+        const tx = {
+            chainId: BigInt(plan.chainId),
+            nonce: item.nonce,
+            to: item.to,
+            value: BigInt(item.value),
+            data: item.data,
+            gasLimit: BigInt(item.gasLimit)
+        };
+        
+        if (fees.maxFeePerGas) {
+            Object.assign(tx, {
+                type: 2,
+                maxFeePerGas: BigInt(fees.maxFeePerGas),
+                maxPriorityFeePerGas: BigInt(fees.maxPriorityFeePerGas)
+            });
+        } else {
+            Object.assign(tx, { type: 0, gasPrice: BigInt(fees.gasPrice) });
+        }
+        
+        const raw = await wallet.signTransaction(tx);
+        transactions.push({
+            index: item.index,
+            toAddress: item.toAddress,
+            amount: item.amount,
+            nonce: item.nonce,
+            hash: ethers.keccak256(raw),
+            raw,
+            status: 'planned',
+            error: null
+        });
+        console.log(`[${item.index + 1}/${plan.transactions.length}] 已签名 nonce ${item.nonce}`);
+    }
+    
+    const signed = {
+        type: 'signed-transfers',
+        network: plan.network,
+        chainId: plan.chainId,
+        from: plan.from,
+        token: plan.token,
+        symbol: plan.symbol,
+        createdAt: new Date().toISOString(),
+        transactions
+    };
+    
+    const signedFile = getOutputFile('转账签名', 'json', options.outputDir);
+    fs.writeFileSync(signedFile, JSON.stringify(signed, null, 2));
+    
+    return signedFile;
+}
+
+/**
+ * 离线签名第三步: 广播已签名的交易并跟踪回执
+ * 可重复执行，已确认的交易会跳过；某笔交易广播失败时停止广播后续nonce，避免交易卡住
+ * 单笔交易的失败记录在结果中，读取文件、连接网络或等待回执出错时抛出异常
+ * @param {string} signedFile - 已签名交易文件路径
+ * @param {Object} network - 网络配置
+ * @param {Object} [options] - 可选配置
+ * @param {string} [options.outputDir] - 结果文件的保存目录，默认为脚本所在目录
+ * @returns {Promise<{signedFile: string, resultFile: string, symbol: string, total: number, confirmed: number, failed: number, entries: Array<Object>}>} - 签名文件、结果文件、各状态的数量和每笔交易的状态
+ */
+async function broadcastTransfers(signedFile, network, options = {}) {
+    try {
+        const signed = readJournal(signedFile);
+        if (signed.type !== 'signed-transfers') {
+            throw new Error(`${signedFile} 不是已签名交易文件`);
+        }
+        
+        // 连接到网络的RPC，并确认链与签名时一致
+        if (network.chainId.toString() !== signed.chainId) {
+            throw new Error(`网络 ${network.name} 的chainId为 ${network.chainId}，与签名时的 ${signed.chainId} 不一致`);
+        }
+        const provider = await connectNetwork(network);
+        
+        const total = signed.transactions.length;
+        const ordered = [...signed.transactions].sort((a, b) => a.nonce - b.nonce);
+        const responses = new Map(); // 交易哈希 -> 广播或查询到的交易，用于跟踪回执
+        let blocked = null;
+        
+        console.log(`\n开始广播 ${total} 笔交易...`);
+        
+        for (const item of ordered) {
+            const prefix = `[${item.index + 1}/${total}]`;
+            if (item.status === 'confirmed') {
+                continue;
+            }
+            
+            // 前序nonce的交易失败后，后续交易无法上链，不再广播
+            if (blocked !== null) {
+                Object.assign(item, { status: 'failed', error: `nonce ${blocked} 的交易失败，未广播` });
+                continue;
+            }
+            
+            // 已在交易池或已上链的交易不需要重复广播
+            const existing = await provider.getTransaction(item.hash);
+            if (existing) {
+                responses.set(item.hash, existing);
+                item.status = 'sent';
+                continue;
+            }
+            
+            try {
+                responses.set(item.hash, await provider.broadcastTransaction(item.raw));
+                Object.assign(item, { status: 'sent', error: null });
+                console.log(`${prefix} 已广播 ${item.amount} ${signed.symbol} -> ${item.toAddress}，交易哈希: ${formatTxHash(network, item.hash)}`);
+            } catch (error) {
+                const message = isNonceConflict(error) ? `nonce ${item.nonce} 已被其他交易使用` : error.message;
+                console.error(`${prefix} 广播失败: ${message}`);
+                Object.assign(item, { status: 'failed', error: message });
+                blocked = item.nonce;
+            }
+            saveJournal(signedFile, signed);
+        }
+        saveJournal(signedFile, signed);
+        
+        // 等待已广播的交易确认
+        console.log('\n等待交易确认...');
+        await Promise.all(ordered.filter(item => item.status === 'sent').map(async (item) => {
+            const prefix = `[${item.index + 1}/${total}]`;
+            try {
+                // 没有私钥无法替换交易，超时未确认时只等待
+                await watchTransaction(responses.get(item.hash), network, { label: prefix });
+                Object.assign(item, { status: 'confirmed', error: null });
+                console.log(`${prefix} 转账成功! 交易哈希: ${item.hash}`);
+            } catch (error) {
+                // 交易执行失败记录在结果中，其他错误中止广播，已广播的交易在重新执行时继续跟踪
+                if (error.code !== 'CALL_EXCEPTION' || !error.receipt) {
+                    throw error;
+                }
+                Object.assign(item, { status: 'failed', error: '交易执行失败' });
+                console.log(`${prefix} 交易执行失败 交易哈希: ${item.hash}`);
+            }
+            saveJournal(signedFile, signed);
+        }));
+        
+        // 统计结果
+        const successful = signed.transactions.filter(item => item.status === 'confirmed').length;
+        console.log('\n广播完成!');
+        console.log(`成功: ${successful}/${total}`);
+        console.log(`失败: ${total - successful}/${total}`);
         
-        fs.writeFileSync(resultFile, csvContent);
+        const results = signed.transactions.map(item => ({ ...item, txHash: item.hash }));
+        const resultFile = writeResultCsv(results, signed.symbol, false, options.outputDir);
         console.log(`转账结果已保存至: ${resultFile}`);
         
+        return {
+            signedFile,
+            resultFile,
+            symbol: signed.symbol,
+            total,
+            confirmed: successful,
+            failed: total - successful,
+            entries: results
+        };
+        
     } catch (error) {
-        console.error(`批量转账过程中出错: ${error.message}`);
+        throw new Error(`广播过程中出错: ${error.message}`);
+    }
+}
+
+/**
+ * 选择网络: 命令行传入 --network 时直接使用，否则询问网络名称，再询问要使用的RPC URL并检查chainId
+ * @param {readline.Interface} rl - Readline接口
+ * @param {string[]} args - 命令行参数
+ * @param {string} [defaultName] - 默认网络名称
+ * @returns {Promise<Object>} - 网络配置
+ */
+async function promptNetwork(rl, args, defaultName = DEFAULT_NETWORK) {
+    const name = getArgValue(args, '--network')
+        || await prompt(rl, `请选择网络 (${listNetworks().join(', ')}，默认: ${defaultName}): `)
+        || defaultName;
+    const gasOverrides = {
+        strategy: getArgValue(args, '--gas-strategy'),
+        maxFeeCap: getArgValue(args, '--max-fee-cap'),
+        txTimeout: getArgValue(args, '--tx-timeout'),
+        stuckAction: getArgValue(args, '--stuck-action')
+    };
+    const profile = getNetwork(name, null, gasOverrides);
+    
+    const rpcUrl = await prompt(rl, `请输入RPC URL，多个用逗号分隔 (默认: ${profile.rpcUrls.join(', ')}): `);
+    const network = getNetwork(name, rpcUrl || null, gasOverrides);
+    console.log(`使用网络: ${network.name} (chainId: ${network.chainId})`);
+    console.log(describeGasConfig(network.gas));
+    
+    // 提前检查节点健康状态和chainId，不一致时在输入其他参数前拒绝运行
+    await reportRpcHealth(network);
+    (await connectNetwork(network)).destroy();
+    return network;
+}
+
+/**
+ * 检查从CSV读取的接收地址并输出报告: 重复地址、销毁地址和合约地址
+ * @param {Array<{address: string, row: number}>} recipients - 接收方数组
+ * @param {Object} network - 网络配置
+ * @returns {Promise<boolean>} - 是否有需要注意的地址
+ */
+async function reviewRecipients(recipients, network) {
+    const provider = createNetworkProvider(network);
+    try {
+        return printRecipientReport(await checkRecipients(provider, recipients));
+    } finally {
+        provider.destroy();
+    }
+}
+
+/**
+ * 询问代币合约地址和默认转账金额
+ * @param {readline.Interface} rl - Readline接口
+ * @param {Array<{address: string, amount: string|null}>} recipients - 接收方数组
+ * @param {Object} network - 网络配置
+ * @returns {Promise<{tokenAddress: string|null, amount: string|null}>} - 代币地址和默认金额
+ */
+async function promptTokenAndAmount(rl, recipients, network) {
+    const tokenAddress = await prompt(rl, `请输入ERC-20代币合约地址 (留空则转账${network.nativeSymbol}): `) || null;
+    if (tokenAddress && !ethers.isAddress(tokenAddress)) {
+        throw new Error('请输入有效的代币合约地址');
+    }
+    
+    // CSV中每行都指定了金额时不再询问
+    let amount = null;
+    const missingCount = recipients.filter(recipient => !recipient.amount).length;
+    if (missingCount > 0) {
+        const label = missingCount < recipients.length ? `未指定金额的 ${missingCount} 个地址` : '每个地址';
+        amount = await prompt(rl, `请输入${label}的转账金额(${tokenAddress ? '代币' : network.nativeSymbol}): `);
+        if (!isValidAmount(amount)) {
+            throw new Error('请输入有效的转账金额');
+        }
+    } else {
+        console.log('CSV文件中已为每个地址指定转账金额');
+    }
+    
+    return { tokenAddress, amount };
+}
+
+/**
+ * 离线签名流程: 准备转账计划
+ * @param {readline.Interface} rl - Readline接口
+ * @param {string[]} args - 命令行参数
+ */
+async function runPrepare(rl, args) {
+    const fromAddress = await prompt(rl, '请输入发送方钱包地址: ');
+    if (!ethers.isAddress(fromAddress)) {
+        throw new Error('请输入有效的发送方钱包地址');
+    }
+    
+    const walletCsvFile = await prompt(rl, '请输入钱包地址CSV文件路径 (默认: wallet.csv): ') || 'wallet.csv';
+    const recipients = await readWalletAddresses(walletCsvFile);
+    console.log(`从CSV文件中读取了 ${recipients.length} 个接收地址`);
+    
+    const network = await promptNetwork(rl, args);
+    await reviewRecipients(recipients, network);
+    
+    const { tokenAddress, amount } = await promptTokenAndAmount(rl, recipients, network);
+    
+    const planFile = await prepareTransfers(fromAddress, recipients, network, amount, { tokenAddress, outputDir: getArgValue(args, '--output-dir') });
+    console.log(`\n转账计划已保存至: ${planFile}`);
+    console.log(`请将该文件复制到离线机器上执行: node batchTransfer.js --sign ${path.basename(planFile)}`);
+}
+
+/**
+ * 离线签名流程: 在离线机器上签名转账计划
+ * @param {readline.Interface} rl - Readline接口
+ * @param {string} planFile - 转账计划文件路径
+ * @param {string[]} args - 命令行参数
+ */
+async function runSign(rl, planFile, args) {
+    const keySource = await prompt(rl, '请输入发送方钱包地址(从keystore加载)或私钥文件路径 (默认: pk.txt): ') || 'pk.txt';
+    const privateKey = await loadPrivateKey(keySource, rl);
+    
+    const plan = JSON.parse(fs.readFileSync(planFile, 'utf8'));
+    console.log(`网络: ${plan.network}，chainId: ${plan.chainId}，发送方: ${plan.from}，交易数: ${plan.transactions.length}，币种: ${plan.symbol}`);
+    
+    const confirm = await prompt(rl, '是否签名这些交易? (y/n): ');
+    if (confirm.toLowerCase() !== 'y') {
+        console.log('已取消签名');
+        return;
     }
+    
+    const signedFile = await signTransfers(planFile, privateKey, { outputDir: getArgValue(args, '--output-dir') });
+    console.log(`\n已签名交易已保存至: ${signedFile}`);
+    console.log(`请将该文件复制到联网机器上执行: node batchTransfer.js --broadcast ${path.basename(signedFile)}`);
+}
+
+/**
+ * 离线签名流程: 广播已签名的交易
+ * @param {readline.Interface} rl - Readline接口
+ * @param {string} signedFile - 已签名交易文件路径
+ * @param {string[]} args - 命令行参数
+ */
+async function runBroadcast(rl, signedFile, args) {
+    // 默认使用生成计划时选择的网络
+    const network = await promptNetwork(rl, args, readJournal(signedFile).network);
+    
+    const confirm = await prompt(rl, '是否广播已签名的交易? (y/n): ');
+    if (confirm.toLowerCase() !== 'y') {
+        console.log('已取消广播');
+        return;
+    }
+    
+    await broadcastTransfers(signedFile, network, { outputDir: getArgValue(args, '--output-dir') });
 }
 
 /**
@@ -186,32 +1401,100 @@ async function main() {
     const rl = createInterface();
     
     try {
-        // 1. 获取私钥文件路径
-        const privateKeyFile = await prompt(rl, '请输入私钥文件路径 (默认: pk.txt): ') || 'pk.txt';
+        startLogging();
         
-        // 2. 获取钱包地址CSV文件路径
-        const walletCsvFile = await prompt(rl, '请输入钱包地址CSV文件路径 (默认: wallet.csv): ') || 'wallet.csv';
+        // 读取命令行参数
+        // --resume <日志文件> 继续之前中断的转账
+        // --prepare / --sign <计划文件> / --broadcast <签名文件> 离线签名流程
+        // --dry-run 只模拟转账，不广播交易
+        // --output-dir <目录> 新建的转账日志、结果、计划和签名文件的保存目录，默认为脚本所在目录
+        // --network <网络名称> 指定网络，不传则运行时选择
+        // --gas-strategy <provider|feeHistory|fixed> 覆盖网络配置中的gas策略
+        // --max-fee-cap <gwei> 覆盖网络配置中的gas价格上限，超过时暂停发送
+        // --tx-timeout <秒> --stuck-action <speedup|cancel|wait> 覆盖交易超时未确认时的处理方式
+        const args = process.argv.slice(2);
+        const dryRun = args.includes('--dry-run');
+        const journalFile = getArgValue(args, '--resume');
+        const planFile = getArgValue(args, '--sign');
+        const signedFile = getArgValue(args, '--broadcast');
+        const outputDir = getArgValue(args, '--output-dir');
         
-        // 3. 获取RPC URL
-        const rpcUrl = await prompt(rl, '请输入RPC URL: ');
-        if (!rpcUrl) {
-            throw new Error('RPC URL不能为空');
+        if (args.includes('--prepare')) {
+            await runPrepare(rl, args);
+            return;
+        }
+        if (planFile) {
+            await runSign(rl, planFile, args);
+            return;
+        }
+        if (signedFile) {
+            await runBroadcast(rl, signedFile, args);
+            return;
         }
         
-        // 4. 获取转账金额
-        const amount = await prompt(rl, '请输入每个地址的转账金额(ETH): ');
-        if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) {
-            throw new Error('请输入有效的转账金额');
+        // 1. 获取发送方: keystore中的钱包地址，或明文私钥文件路径
+        const keySource = await prompt(rl, '请输入发送方钱包地址(从keystore加载)或私钥文件路径 (默认: pk.txt): ') || 'pk.txt';
+        
+        let recipients;
+        let amount = null;
+        let tokenAddress = null;
+        let disperse = false;
+        let journalNetwork;
+        
+        if (journalFile) {
+            // 从转账日志中恢复接收地址和金额
+            const journal = readJournal(journalFile);
+            const entries = dryRun ? journal.entries.filter(entry => entry.status !== 'confirmed') : journal.entries;
+            recipients = entries.map(entry => ({ address: entry.toAddress, amount: entry.amount }));
+            tokenAddress = journal.token || null;
+            disperse = !!journal.disperse;
+            journalNetwork = journal.network;
+            console.log(`从转账日志中读取了 ${recipients.length} 个接收地址${tokenAddress ? `，代币: ${tokenAddress}` : ''}`);
+        } else {
+            // 2. 获取钱包地址CSV文件路径
+            const walletCsvFile = await prompt(rl, '请输入钱包地址CSV文件路径 (默认: wallet.csv): ') || 'wallet.csv';
+            
+            // 读取钱包地址
+            recipients = await readWalletAddresses(walletCsvFile);
+            console.log(`从CSV文件中读取了 ${recipients.length} 个接收地址`);
+        }
+        
+        // 3. 选择网络和RPC URL，继续转账时默认使用日志中的网络
+        const network = await promptNetwork(rl, args, journalNetwork);
+        
+        // 检查CSV中的接收地址，继续转账时日志中的地址已在首次运行时检查过
+        if (!journalFile) {
+            await reviewRecipients(recipients, network);
+        }
+        
+        // 4. 获取代币合约地址和转账金额
+        if (!journalFile) {
+            ({ tokenAddress, amount } = await promptTokenAndAmount(rl, recipients, network));
+            
+            const disperseInput = await prompt(rl, '是否通过批量分发合约在一笔交易中完成转账? (y/n, 默认: n): ');
+            disperse = disperseInput.toLowerCase() === 'y';
+        }
+        
+        // 模拟模式只需要发送方地址，输入地址时不解密keystore
+        if (dryRun) {
+            const fromAddress = ethers.isAddress(keySource)
+                ? keySource
+                : new ethers.Wallet(await loadPrivateKey(keySource, rl)).address;
+            await simulateTransfers(fromAddress, recipients, network, amount, { tokenAddress, disperse });
+            return;
+        }
+        
+        // 5. 获取并发数
+        const concurrencyInput = await prompt(rl, `请输入同时发送的交易数 (默认: ${DEFAULT_CONCURRENCY}): `);
+        const concurrency = concurrencyInput ? parseInt(concurrencyInput) : DEFAULT_CONCURRENCY;
+        if (isNaN(concurrency) || concurrency <= 0) {
+            throw new Error('请输入有效的并发数');
         }
         
         // 读取私钥
-        const privateKey = await readPrivateKey(privateKeyFile);
+        const privateKey = await loadPrivateKey(keySource, rl);
         console.log('私钥读取成功');
         
-        // 读取钱包地址
-        const addresses = await readWalletAddresses(walletCsvFile);
-        console.log(`从CSV文件中读取了 ${addresses.length} 个接收地址`);
-        
         // 确认是否继续
         const confirm = await prompt(rl, '是否继续批量转账? (y/n): ');
         if (confirm.toLowerCase() !== 'y') {
@@ -220,7 +1503,7 @@ async function main() {
         }
         
         // 执行批量转账
-        await batchTransfer(privateKey, addresses, rpcUrl, amount);
+        await batchTransfer({ privateKey, recipients, network, amount, concurrency, journalFile, tokenAddress, disperse, outputDir });
         
     } catch (error) {
         console.error(`错误: ${error.message}`);
@@ -229,5 +1512,20 @@ async function main() {
     }
 }
 
-// 运行主函数
-main();
+// 直接运行时执行主函数，被其他脚本引用时只导出转账函数
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    isValidAmount,
+    readWalletAddresses,
+    readJournal,
+    reviewRecipients,
+    batchTransfer,
+    simulateTransfers,
+    prepareTransfers,
+    signTransfers,
+    broadcastTransfers
+};
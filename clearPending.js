@@ -0,0 +1,244 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const path = require('path');
+const { listKeystores, loadPrivateKeys } = require('./lib/keyStore');
+const {
+    DEFAULT_NETWORK,
+    getNetwork,
+    reportRpcHealth,
+    connectNetwork,
+    formatTxHash
+} = require('./lib/networks');
+const { STUCK_ACTIONS, describeGasConfig, getGasFees, getFeePerGas, formatGwei } = require('./lib/gas');
+const { REPLACEMENT_FEE_PERCENT, NONCE_USED, getReplacementFees, watchTransaction } = require('./lib/txWatcher');
+const { createInterface, prompt, getArgValue, getPositionalArgs } = require('./lib/utils');
+const { startLogging } = require('./lib/logger');
+
+// 需要跟参数值的命令行参数
+const VALUE_FLAGS = ['--network', '--wallets', '--max-fee-cap', '--tx-timeout'];
+
+/**
+ * 查询每个钱包的待确认nonce: 已确认的nonce到交易池中的nonce之间的都是待确认交易
+ * @param {ethers.Provider} provider - 提供者
+ * @param {string[]} addresses - 钱包地址
+ * @returns {Promise<Array<{address: string, latest: number, pending: number}>>} - 每个钱包的已确认nonce和待确认nonce
+ */
+async function getPendingNonces(provider, addresses) {
+    const results = [];
+    for (const address of addresses) {
+        const [latest, pending] = await Promise.all([
+            provider.getTransactionCount(address, 'latest'),
+            provider.getTransactionCount(address, 'pending')
+        ]);
+        results.push({ address, latest, pending });
+    }
+    return results;
+}
+
+/**
+ * 获取节点返回的原始错误信息，ethers包装后的信息(例如 replacement fee too low)不含节点的原话
+ * @param {Error} error - 错误
+ * @returns {string} - 错误信息
+ */
+function getRpcMessage(error) {
+    const rpcError = (error.info && error.info.error) || error.error;
+    return (rpcError && rpcError.message) || error.shortMessage || error.message;
+}
+
+/**
+ * 判断节点是否因为gas费不足以替换原交易而拒绝
+ * ethers把 replacement transaction underpriced 转换为REPLACEMENT_UNDERPRICED，
+ * 其他节点的说法(例如 already known、transaction underpriced)只保留在原始错误中
+ * @param {Error} error - 错误
+ * @returns {boolean} - 是否需要提高gas费重试
+ */
+function isUnderpriced(error) {
+    return error.code === 'REPLACEMENT_UNDERPRICED' || /underpriced|already known/i.test(getRpcMessage(error));
+}
+
+/**
+ * 用向自己转账0的交易占用指定nonce，取消该nonce上的待确认交易
+ * 不知道原交易的gas费，从当前gas费的125%开始，节点认为gas费不够时继续提高
+ * @param {ethers.Wallet} wallet - 钱包
+ * @param {number} nonce - 要清除的nonce
+ * @param {Object} network - 网络配置
+ * @returns {Promise<ethers.TransactionReceipt|null>} - 取消交易的回执，原交易已经上链时为null
+ */
+async function cancelNonce(wallet, nonce, network) {
+    const current = await getGasFees(wallet.provider, network);
+    let fees = await getGasFees(wallet.provider, network, REPLACEMENT_FEE_PERCENT);
+    
+    for (let attempt = 1; ; attempt++) {
+        console.log(`正在取消nonce ${nonce}，gas价格: ${formatGwei(getFeePerGas(fees))}...`);
+        try {
+            const tx = await wallet.sendTransaction({ to: wallet.address, value: 0n, gasLimit: 21000n, nonce, ...fees });
+            console.log(`取消交易已发送，交易哈希: ${formatTxHash(network, tx.hash)}`);
+            
+            // 取消交易本身卡住时继续提高gas费重新广播
+            const { receipt } = await watchTransaction(tx, network, { wallet, action: STUCK_ACTIONS.SPEED_UP });
+            return receipt;
+        } catch (error) {
+            const message = getRpcMessage(error);
+            if (error.code === 'NONCE_EXPIRED') {
+                // 原交易在取消前已经上链，nonce不再待确认
+                console.log(`nonce ${nonce} 已被确认，不需要取消`);
+                return null;
+            }
+            if (error.code === NONCE_USED && await wallet.provider.getTransactionCount(wallet.address, 'latest') > nonce) {
+                // 等待取消交易确认时原交易先上链，nonce同样不再待确认
+                console.log(`nonce ${nonce} 的原交易已确认，取消交易不会上链`);
+                return null;
+            }
+            if (!isUnderpriced(error) || attempt >= network.gas.maxReplacements) {
+                throw new Error(`取消nonce ${nonce} 失败: ${message}`);
+            }
+            console.log(`gas费不足以替换原交易，提高后重试: ${message}`);
+            fees = getReplacementFees(fees, current);
+        }
+    }
+}
+
+/**
+ * 输出每个钱包的待确认nonce
+ * @param {Array<{address: string, latest: number, pending: number}>} results - getPendingNonces的结果
+ * @returns {Array<{address: string, latest: number, pending: number}>} - 有待确认交易的钱包
+ */
+function printPendingNonces(results) {
+    console.log(`\n共检查 ${results.length} 个钱包:`);
+    results.forEach(({ address, latest, pending }) => {
+        const detail = pending > latest
+            ? `${pending - latest} 笔待确认 (nonce ${latest}${pending - latest > 1 ? `-${pending - 1}` : ''})`
+            : '没有待确认的交易';
+        console.log(`  ${address}: 已确认nonce ${latest}，${detail}`);
+    });
+    
+    return results.filter(result => result.pending > result.latest);
+}
+
+/**
+ * 逐个取消有待确认交易的钱包中的所有待确认nonce，某个nonce失败时继续处理后续nonce
+ * @param {ethers.Wallet[]} wallets - 已连接提供者的钱包
+ * @param {Array<{address: string, latest: number, pending: number}>} stuck - 有待确认交易的钱包
+ * @param {Object} network - 网络配置
+ * @returns {Promise<{cleared: number, failed: number}>} - 已清除和清除失败的nonce数
+ */
+async function clearPendingNonces(wallets, stuck, network) {
+    let cleared = 0;
+    let failed = 0;
+    for (const { address, latest, pending } of stuck) {
+        const wallet = wallets.find(item => item.address === address);
+        console.log(`\n钱包 ${address}:`);
+        if (!wallet) {
+            console.error(`没有该钱包的私钥，跳过 ${pending - latest} 笔待确认交易`);
+            failed += pending - latest;
+            continue;
+        }
+        
+        for (let nonce = latest; nonce < pending; nonce++) {
+            try {
+                const receipt = await cancelNonce(wallet, nonce, network);
+                if (receipt) {
+                    console.log(`nonce ${nonce} 已清除，区块号: ${receipt.blockNumber}`);
+                }
+                cleared++;
+            } catch (error) {
+                // 原交易可能已经上链，后续nonce继续处理
+                console.error(error.message);
+                failed++;
+            }
+        }
+    }
+    
+    console.log(`\n清理完成: 成功 ${cleared}，失败 ${failed}`);
+    return { cleared, failed };
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+    const rl = createInterface();
+    
+    try {
+        startLogging();
+        
+        console.log('===== 待确认交易清理工具 =====');
+        
+        // 读取命令行参数
+        // --network <网络名称> 指定网络，默认 humanity-testnet
+        // --wallets <地址,地址> 只检查这些钱包，默认检查keystore中的所有钱包或pk.txt中的所有私钥
+        // --max-fee-cap <gwei> 覆盖网络配置中的gas价格上限
+        // --tx-timeout <秒> 覆盖取消交易超时未确认时重新提高gas费的等待时间
+        const args = process.argv.slice(2);
+        const networkName = getArgValue(args, '--network') || DEFAULT_NETWORK;
+        const walletList = getArgValue(args, '--wallets');
+        const gasOverrides = {
+            maxFeeCap: getArgValue(args, '--max-fee-cap'),
+            txTimeout: getArgValue(args, '--tx-timeout')
+        };
+        const positional = getPositionalArgs(args, VALUE_FLAGS);
+        const rpcUrl = positional[0]; // 可选，多个用逗号分隔，不传则使用网络配置中的RPC列表
+        
+        const network = getNetwork(networkName, rpcUrl, gasOverrides);
+        console.log(`使用网络: ${network.name} (chainId: ${network.chainId})`);
+        console.log(describeGasConfig(network.gas));
+        await reportRpcHealth(network);
+        const provider = await connectNetwork(network);
+        
+        // 确定要检查的钱包: 指定地址，或keystore中的所有钱包，没有keystore时读取pk.txt
+        const privateKeyPath = path.join(__dirname, 'pk.txt');
+        const useKeystore = listKeystores().length > 0;
+        let keys = null;
+        let addresses;
+        if (walletList) {
+            addresses = walletList.split(',').map(address => ethers.getAddress(address.trim()));
+        } else if (useKeystore) {
+            addresses = listKeystores().map(entry => entry.address);
+        } else {
+            keys = await loadPrivateKeys({ keyFile: privateKeyPath, rl });
+            addresses = keys.map(key => ethers.computeAddress(key));
+        }
+        
+        // 列出待确认的nonce
+        const stuck = printPendingNonces(await getPendingNonces(provider, addresses));
+        if (stuck.length === 0) {
+            provider.destroy();
+            return;
+        }
+        
+        const confirm = await prompt(rl, `\n是否取消以上 ${stuck.length} 个钱包的待确认交易? (y/n): `);
+        if (confirm.toLowerCase() !== 'y') {
+            console.log('已取消操作');
+            provider.destroy();
+            return;
+        }
+        
+        // keystore中只解密有待确认交易的钱包
+        if (!keys) {
+            keys = useKeystore
+                ? await loadPrivateKeys({ addresses: stuck.map(result => result.address), rl })
+                : await loadPrivateKeys({ keyFile: privateKeyPath, rl });
+        }
+        const wallets = keys.map(key => new ethers.Wallet(key, provider));
+        
+        await clearPendingNonces(wallets, stuck, network);
+        provider.destroy();
+        
+    } catch (error) {
+        console.error(`错误: ${error.message}`);
+    } finally {
+        rl.close();
+    }
+}
+
+// 直接运行时执行主函数，被其他脚本引用时只导出nonce查询和清理函数
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    getPendingNonces,
+    cancelNonce,
+    printPendingNonces,
+    clearPendingNonces
+};
@@ -0,0 +1,615 @@
+#!/usr/bin/env node
+// 导入所需模块
+const { ethers } = require('ethers');
+const path = require('path');
+const { PASSWORD_ENV, readNewPassword, listKeystores, loadPrivateKeys, loadPrivateKey, shredFile } = require('./lib/keyStore');
+const { DEFAULT_TASK, loadTask } = require('./lib/contractTask');
+const { DEFAULT_NETWORK, getNetwork, reportRpcHealth, connectNetwork, formatNative } = require('./lib/networks');
+const { describeGasConfig } = require('./lib/gas');
+const { readTokenInfo } = require('./lib/erc20');
+const { resolveOptions, formatOptionHelp } = require('./lib/config');
+const { DEFAULT_LOG_FILE, DEFAULT_MAX_SIZE, DEFAULT_MAX_FILES, startLogging } = require('./lib/logger');
+const { DEFAULT_HD_PATH, generateWallets } = require('./generateWallet');
+const transfer = require('./batchTransfer');
+const claim = require('./lib/claim');
+const multiClaim = require('./hum/multiWalletClaim');
+const sweep = require('./sweep');
+const pending = require('./clearPending');
+const migrate = require('./migrateKeys');
+const dashboard = require('./dashboard');
+
+// keystore为空时默认读取的私钥文件
+const DEFAULT_KEY_FILE = path.join(__dirname, 'pk.txt');
+
+// 所有子命令共用的选项
+const COMMON_OPTIONS = [
+    { name: 'config', type: 'string', description: 'JSON配置文件路径，默认读取 web3.config.json' },
+    { name: 'log-level', type: 'string', default: 'info', description: '日志级别: debug、info、warn 或 error' },
+    { name: 'log-file', type: 'string', default: DEFAULT_LOG_FILE, description: 'JSON日志文件，off 时只输出到控制台' },
+    { name: 'log-max-size', type: 'number', default: DEFAULT_MAX_SIZE, description: '日志文件超过该大小(MB)或跨天时归档' },
+    { name: 'log-max-files', type: 'number', default: DEFAULT_MAX_FILES, description: '保留的归档日志文件数' },
+    { name: 'help', type: 'boolean', description: '显示子命令的帮助' }
+];
+
+// 连接网络的子命令共用的选项
+const NETWORK_OPTIONS = [
+    { name: 'network', type: 'string', description: '网络名称，默认使用任务文件中的网络或 humanity-testnet' },
+    { name: 'rpc', type: 'string', description: 'RPC URL，多个用逗号分隔，默认使用网络配置中的RPC列表' },
+    { name: 'gas-strategy', type: 'string', description: '覆盖网络配置中的gas策略: provider、feeHistory 或 fixed' },
+    { name: 'max-fee-cap', type: 'string', description: '覆盖网络配置中的gas价格上限(gwei)' },
+    { name: 'tx-timeout', type: 'string', description: '交易超过该秒数未确认时视为卡住' },
+    { name: 'stuck-action', type: 'string', description: '交易卡住时的处理方式: speedup、cancel 或 wait' }
+];
+
+// 签到重试参数
+const retryOptions = (settings) => [
+    { name: 'max-retries', type: 'number', default: settings.maxRetries, description: '网络错误和nonce冲突的最大重试次数' },
+    { name: 'retry-delay', type: 'number', default: settings.retryDelay, description: '网络错误的重试间隔(毫秒)' },
+    { name: 'escalation-factor', type: 'number', default: settings.escalationFactor, description: '重试间隔递增因子' },
+    { name: 'fee-bump-percent', type: 'number', default: Number(settings.feeBumpPercent), description: 'nonce或gas费问题重试时每次提高的gas费百分比' }
+];
+
+/**
+ * 非交互运行时keystore密码只能从环境变量读取，提前检查避免等待输入
+ * @param {boolean} needed - 本次运行是否需要keystore密码
+ */
+function requirePassword(needed) {
+    if (needed && !process.env[PASSWORD_ENV] && !process.stdin.isTTY) {
+        throw new Error(`非交互运行时请通过环境变量 ${PASSWORD_ENV} 提供keystore密码`);
+    }
+}
+
+/**
+ * 按选项确定网络，检查节点健康状态和chainId，不一致时拒绝运行
+ * @param {Object} opts - 选项值
+ * @param {string} [defaultName] - 未指定网络时使用的网络名称
+ * @returns {Promise<Object>} - 网络配置
+ */
+async function openNetwork(opts, defaultName) {
+    const network = getNetwork(opts.network || defaultName || DEFAULT_NETWORK, opts.rpc, {
+        strategy: opts.gasStrategy,
+        maxFeeCap: opts.maxFeeCap,
+        txTimeout: opts.txTimeout,
+        stuckAction: opts.stuckAction
+    });
+    console.log(`使用网络: ${network.name} (chainId: ${network.chainId})`);
+    console.log(describeGasConfig(network.gas));
+    await reportRpcHealth(network);
+    (await connectNetwork(network)).destroy();
+    return network;
+}
+
+/**
+ * wallet generate: 生成钱包并加密保存到keystore
+ * @param {Object} opts - 选项值
+ */
+async function runWalletGenerate(opts) {
+    if (!Number.isInteger(opts.count) || opts.count <= 0) {
+        throw new Error('--count 需要是正整数');
+    }
+    if (!Number.isInteger(opts.startIndex) || opts.startIndex < 0) {
+        throw new Error('--start-index 需要是非负整数');
+    }
+    if (opts.mnemonic && !ethers.Mnemonic.isValidMnemonic(opts.mnemonic.trim())) {
+        throw new Error('助记词无效');
+    }
+    requirePassword(true);
+    
+    const password = await readNewPassword();
+    await generateWallets({
+        count: opts.count,
+        password,
+        hd: opts.hd || !!opts.mnemonic,
+        mnemonic: opts.mnemonic ? opts.mnemonic.trim() : undefined,
+        basePath: opts.basePath,
+        startIndex: opts.startIndex
+    });
+}
+
+/**
+ * transfer: 批量转账，也支持模拟和离线签名流程
+ * @param {Object} opts - 选项值
+ */
+async function runTransfer(opts) {
+    const useKeystore = ethers.isAddress(opts.from);
+    
+    // 离线签名不连接任何RPC
+    if (opts.sign) {
+        requirePassword(useKeystore);
+        const signedFile = await transfer.signTransfers(opts.sign, await loadPrivateKey(opts.from), { outputDir: opts.outputDir });
+        console.log(`已签名交易已保存至: ${signedFile}`);
+        return;
+    }
+    
+    const journal = opts.resume || opts.broadcast ? transfer.readJournal(opts.resume || opts.broadcast) : null;
+    const network = await openNetwork(opts, journal && journal.network);
+    
+    if (opts.broadcast) {
+        const result = await transfer.broadcastTransfers(opts.broadcast, network, { outputDir: opts.outputDir });
+        if (result.confirmed < result.total) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+    
+    let recipients;
+    let tokenAddress = opts.token;
+    let disperse = opts.disperse;
+    if (journal) {
+        // 从转账日志中恢复接收地址和金额，地址已在首次运行时检查过
+        const entries = opts.dryRun ? journal.entries.filter(entry => entry.status !== 'confirmed') : journal.entries;
+        recipients = entries.map(entry => ({ address: entry.toAddress, amount: entry.amount }));
+        tokenAddress = journal.token || null;
+        disperse = !!journal.disperse;
+        console.log(`从转账日志中读取了 ${recipients.length} 个接收地址${tokenAddress ? `，代币: ${tokenAddress}` : ''}`);
+    } else {
+        recipients = await transfer.readWalletAddresses(opts.wallets);
+        console.log(`从CSV文件中读取了 ${recipients.length} 个接收地址`);
+        
+        // 没有人确认，检查报告有警告时需要 --force 才继续
+        const hasWarnings = await transfer.reviewRecipients(recipients, network);
+        if (hasWarnings && !opts.force && !opts.dryRun) {
+            throw new Error('接收地址检查有警告，确认无误后使用 --force 继续');
+        }
+        if (tokenAddress && !ethers.isAddress(tokenAddress)) {
+            throw new Error('请输入有效的代币合约地址');
+        }
+        if (recipients.some(recipient => !recipient.amount) && !transfer.isValidAmount(opts.amount)) {
+            throw new Error('部分地址未在CSV中指定金额，请通过 --amount 指定有效的默认金额');
+        }
+    }
+    
+    if (opts.prepare) {
+        if (!useKeystore) {
+            throw new Error('生成转账计划时 --from 需要是发送方钱包地址');
+        }
+        const planFile = await transfer.prepareTransfers(opts.from, recipients, network, opts.amount, { tokenAddress, outputDir: opts.outputDir });
+        console.log(`转账计划已保存至: ${planFile}`);
+        return;
+    }
+    
+    requirePassword(useKeystore);
+    if (opts.dryRun) {
+        // 模拟模式只需要发送方地址，指定地址时不解密keystore
+        const fromAddress = useKeystore ? opts.from : new ethers.Wallet(await loadPrivateKey(opts.from)).address;
+        await transfer.simulateTransfers(fromAddress, recipients, network, opts.amount, { tokenAddress, disperse });
+        return;
+    }
+    
+    if (!Number.isInteger(opts.concurrency) || opts.concurrency <= 0) {
+        throw new Error('--concurrency 需要是正整数');
+    }
+    const privateKey = await loadPrivateKey(opts.from);
+    const result = await transfer.batchTransfer({
+        privateKey,
+        recipients,
+        network,
+        amount: opts.amount,
+        concurrency: opts.concurrency,
+        journalFile: opts.resume,
+        tokenAddress,
+        disperse,
+        gasCeiling: opts.gasCeiling,
+        outputDir: opts.outputDir
+    });
+    
+    // 有转账未成功时以非零状态退出，便于脚本判断
+    if (result.confirmed < result.total) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * claim: 用单个钱包执行一次合约签到
+ * @param {Object} opts - 选项值
+ */
+async function runClaim(opts) {
+    const useKeystore = listKeystores().length > 0;
+    if (!opts.wallet && listKeystores().length > 1) {
+        throw new Error('keystore中有多个钱包，请通过 --wallet 指定签到的钱包');
+    }
+    requirePassword(useKeystore || !!opts.wallet);
+    const [privateKey] = await loadPrivateKeys({
+        keyFile: opts.keyFile,
+        addresses: opts.wallet ? [opts.wallet] : undefined
+    });
+    
+    const task = loadTask(opts.task);
+    console.log(opts.dryRun ? '准备模拟签到 (不会发送交易)...' : '准备执行签到...');
+    console.log(`使用任务: ${task.name}，合约地址: ${task.contract}`);
+    const network = await openNetwork(opts, task.network);
+    
+    const result = await claim.claimReward({
+        privateKey,
+        network,
+        task,
+        dryRun: opts.dryRun,
+        settings: {
+            maxRetries: opts.maxRetries,
+            retryDelay: opts.retryDelay,
+            escalationFactor: opts.escalationFactor,
+            feeBumpPercent: opts.feeBumpPercent
+        }
+    });
+    if (result.status === 'failed') {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * claim daemon: 多钱包签到，持续运行或只执行一轮
+ * @param {Object} opts - 选项值
+ */
+async function runClaimDaemon(opts) {
+    if (opts.minPause < 0 || opts.maxPause < opts.minPause) {
+        throw new Error('--min-pause 和 --max-pause 需要满足 0 <= 最小值 <= 最大值');
+    }
+    const settings = {
+        maxRetries: opts.maxRetries,
+        retryDelay: opts.retryDelay,
+        escalationFactor: opts.escalationFactor,
+        feeBumpPercent: opts.feeBumpPercent,
+        minPause: opts.minPause,
+        maxPause: opts.maxPause,
+        checkInterval: opts.checkInterval,
+        epochWakeDelay: opts.epochWakeDelay
+    };
+    
+    const task = loadTask(opts.task);
+    console.log(`使用任务: ${task.name} (${task.file})`);
+    console.log(`合约地址: ${task.contract}`);
+    const network = await openNetwork(opts, task.network);
+    
+    requirePassword(listKeystores().length > 0 || (!!opts.funder && ethers.isAddress(opts.funder)));
+    const privateKeys = await loadPrivateKeys({ keyFile: opts.keyFile });
+    console.log(`成功读取 ${privateKeys.length} 个私钥`);
+    
+    let topUp = null;
+    if (opts.funder && !opts.dryRun) {
+        const funderKey = await loadPrivateKey(opts.funder);
+        topUp = { funderKey, budget: ethers.parseEther(opts.topupBudget) };
+        console.log(`gas供应钱包: ${ethers.computeAddress(funderKey)}，每轮补充预算: ${formatNative(network, topUp.budget)}`);
+    }
+    
+    const proxies = multiClaim.readProxies(opts.proxyFile);
+    if (proxies.length > 0) {
+        console.log(`成功读取 ${proxies.length} 个代理`);
+    }
+    
+    if (opts.dryRun || opts.once) {
+        const stats = await multiClaim.runClaimCycle(privateKeys, proxies, network, task, opts.dryRun, topUp, settings);
+        if (stats.failCount > 0) {
+            process.exitCode = 1;
+        }
+        return;
+    }
+    
+    await multiClaim.runDaemon(privateKeys, proxies, network, task, topUp, settings);
+}
+
+/**
+ * sweep: 把各钱包的原生代币或ERC-20代币归集到一个地址
+ * @param {Object} opts - 选项值
+ */
+async function runSweep(opts) {
+    if (!opts.to || !ethers.isAddress(opts.to)) {
+        throw new Error('请通过 --to 指定有效的归集地址');
+    }
+    if (opts.token && !ethers.isAddress(opts.token)) {
+        throw new Error('请输入有效的代币合约地址');
+    }
+    const target = ethers.getAddress(opts.to);
+    const network = await openNetwork(opts);
+    
+    requirePassword(listKeystores().length > 0 || (!!opts.funder && ethers.isAddress(opts.funder)));
+    const privateKeys = await loadPrivateKeys({ keyFile: opts.keyFile });
+    const provider = await connectNetwork(network);
+    try {
+        const wallets = privateKeys
+            .map(key => new ethers.Wallet(key, provider))
+            .filter(wallet => wallet.address !== target);
+        console.log(`共 ${wallets.length} 个来源钱包`);
+        
+        const asset = await readTokenInfo(opts.token, provider, network);
+        const dust = ethers.parseUnits(opts.dust, asset.decimals);
+        let funder = null;
+        if (asset.token && opts.funder) {
+            funder = new ethers.Wallet(await loadPrivateKey(opts.funder), provider);
+            console.log(`gas供应钱包: ${funder.address}，余额: ${formatNative(network, await provider.getBalance(funder.address))}`);
+        }
+        
+        // 没有人确认，列出余额后需要 --yes 才归集
+        await sweep.printSweepBalances(wallets, asset);
+        if (!opts.yes) {
+            throw new Error(`确认将以上钱包的 ${asset.symbol} 归集到 ${target} 后使用 --yes 执行`);
+        }
+        
+        const { results } = await sweep.sweepWallets(wallets, target, network, asset, { dust, funder });
+        if (results.some(result => result.status === 'failed')) {
+            process.exitCode = 1;
+        }
+    } finally {
+        provider.destroy();
+    }
+}
+
+/**
+ * clear-pending: 用更高的gas费取消各钱包卡在交易池中的交易
+ * @param {Object} opts - 选项值
+ */
+async function runClearPending(opts) {
+    const network = await openNetwork(opts);
+    const useKeystore = listKeystores().length > 0;
+    
+    // 确定要检查的钱包: 指定地址，或keystore中的所有钱包，没有keystore时读取私钥文件
+    let keys = null;
+    let addresses;
+    if (opts.wallets) {
+        addresses = opts.wallets.split(',').map(address => ethers.getAddress(address.trim()));
+    } else if (useKeystore) {
+        addresses = listKeystores().map(entry => entry.address);
+    } else {
+        keys = await loadPrivateKeys({ keyFile: opts.keyFile });
+        addresses = keys.map(key => ethers.computeAddress(key));
+    }
+    
+    const provider = await connectNetwork(network);
+    try {
+        const stuck = pending.printPendingNonces(await pending.getPendingNonces(provider, addresses));
+        if (stuck.length === 0) {
+            return;
+        }
+        if (!opts.yes) {
+            throw new Error(`确认取消以上 ${stuck.length} 个钱包的待确认交易后使用 --yes 执行`);
+        }
+        
+        // keystore中只解密有待确认交易的钱包
+        if (!keys) {
+            requirePassword(useKeystore);
+            keys = useKeystore
+                ? await loadPrivateKeys({ addresses: stuck.map(result => result.address) })
+                : await loadPrivateKeys({ keyFile: opts.keyFile });
+        }
+        const wallets = keys.map(key => new ethers.Wallet(key, provider));
+        
+        const { failed } = await pending.clearPendingNonces(wallets, stuck, network);
+        if (failed > 0) {
+            process.exitCode = 1;
+        }
+    } finally {
+        provider.destroy();
+    }
+}
+
+/**
+ * migrate-keys: 把明文私钥文件和钱包CSV导入加密keystore
+ * @param {Object} opts - 选项值
+ */
+async function runMigrateKeys(opts) {
+    const csvFiles = opts.csv
+        ? opts.csv.split(',').map(file => file.trim()).filter(Boolean)
+        : migrate.findWalletCsvFiles();
+    const { wallets, sourceFiles } = await migrate.readSources(opts.keyFile, csvFiles);
+    
+    requirePassword(wallets.length > 0);
+    await migrate.importWallets(wallets);
+    
+    // 粉碎后无法恢复，只在指定 --shred 时执行
+    const shreddable = migrate.listShreddableFiles(sourceFiles);
+    if (shreddable.length === 0) {
+        return;
+    }
+    if (!opts.shred) {
+        console.log('已保留明文文件，确认keystore可以正常使用后可加上 --shred 重新运行以粉碎这些文件');
+        return;
+    }
+    for (const file of shreddable) {
+        shredFile(file);
+        console.log(`已粉碎: ${file}`);
+    }
+}
+
+/**
+ * dashboard: 查看各钱包的余额和可领取的奖励
+ * @param {Object} opts - 选项值
+ */
+async function runDashboard(opts) {
+    if (opts.token && !ethers.isAddress(opts.token)) {
+        throw new Error('请输入有效的代币合约地址');
+    }
+    const addresses = await dashboard.readWalletList(opts.wallets);
+    if (addresses.length === 0) {
+        throw new Error('没有找到要查看的钱包');
+    }
+    
+    const task = loadTask(opts.task);
+    console.log(`使用任务: ${task.name}，合约地址: ${task.contract}`);
+    const network = await openNetwork(opts, task.network);
+    const provider = await connectNetwork(network);
+    try {
+        await dashboard.showDashboard(provider, network, task, addresses, {
+            tokenAddress: opts.token,
+            minGas: ethers.parseEther(opts.minGas),
+            outputFile: opts.output
+        });
+    } finally {
+        provider.destroy();
+    }
+}
+
+// 子命令定义: sections为配置文件中读取的配置段
+const COMMANDS = {
+    'wallet generate': {
+        description: '生成钱包并加密保存到keystore，keystore密码通过环境变量 KEYSTORE_PASSWORD 提供',
+        sections: ['wallet'],
+        options: [
+            { name: 'count', type: 'number', default: 1, description: '生成的钱包数量' },
+            { name: 'hd', type: 'boolean', description: '从同一个助记词派生所有钱包' },
+            { name: 'mnemonic', type: 'string', description: '从已有助记词继续派生，建议通过环境变量提供' },
+            { name: 'base-path', type: 'string', default: DEFAULT_HD_PATH, description: 'HD派生路径' },
+            { name: 'start-index', type: 'number', default: 0, description: 'HD派生的起始索引' }
+        ],
+        run: runWalletGenerate
+    },
+    'transfer': {
+        description: '从一个钱包向CSV中的地址批量转账',
+        sections: ['transfer'],
+        options: [
+            ...NETWORK_OPTIONS,
+            { name: 'from', type: 'string', default: DEFAULT_KEY_FILE, description: '发送方钱包地址(从keystore加载)或私钥文件路径' },
+            { name: 'wallets', type: 'string', default: 'wallet.csv', description: '接收地址CSV文件' },
+            { name: 'token', type: 'string', description: 'ERC-20代币合约地址，不指定则转账原生代币' },
+            { name: 'amount', type: 'string', description: 'CSV中未指定金额的地址的转账金额' },
+            { name: 'concurrency', type: 'number', default: transfer.DEFAULT_CONCURRENCY, description: '同时发送的交易数' },
+            { name: 'disperse', type: 'boolean', description: '通过批量分发合约在一笔交易中完成转账' },
+            { name: 'gas-ceiling', type: 'number', description: '批量分发时单笔交易的gas上限' },
+            { name: 'resume', type: 'string', description: '从转账日志继续之前中断的转账' },
+            { name: 'output-dir', type: 'string', description: '新建的转账日志、结果、计划和签名文件的保存目录，默认为项目目录' },
+            { name: 'dry-run', type: 'boolean', description: '只模拟转账，不广播交易' },
+            { name: 'force', type: 'boolean', description: '接收地址检查有警告时仍然转账' },
+            { name: 'prepare', type: 'boolean', description: '离线签名流程: 生成未签名的转账计划' },
+            { name: 'sign', type: 'string', description: '离线签名流程: 签名转账计划文件' },
+            { name: 'broadcast', type: 'string', description: '离线签名流程: 广播已签名的交易文件' }
+        ],
+        run: runTransfer
+    },
+    'claim': {
+        description: '用单个钱包执行一次合约签到',
+        sections: ['claim'],
+        options: [
+            ...NETWORK_OPTIONS,
+            { name: 'task', type: 'string', default: DEFAULT_TASK, description: '任务文件或内置任务名称' },
+            { name: 'wallet', type: 'string', description: 'keystore中有多个钱包时指定签到的钱包地址' },
+            { name: 'key-file', type: 'string', default: DEFAULT_KEY_FILE, description: 'keystore为空时读取的私钥文件' },
+            { name: 'dry-run', type: 'boolean', description: '只模拟签到，不发送交易' },
+            ...retryOptions(claim.DEFAULT_SETTINGS)
+        ],
+        run: runClaim
+    },
+    'claim daemon': {
+        description: '多钱包签到，每个epoch开始后自动执行',
+        sections: ['claim', 'daemon'],
+        options: [
+            ...NETWORK_OPTIONS,
+            { name: 'task', type: 'string', default: DEFAULT_TASK, description: '任务文件或内置任务名称' },
+            { name: 'key-file', type: 'string', default: DEFAULT_KEY_FILE, description: 'keystore为空时读取的私钥文件' },
+            { name: 'proxy-file', type: 'string', default: path.join(__dirname, 'hum', 'proxies.txt'), description: '代理文件，每行一个代理' },
+            { name: 'funder', type: 'string', description: '为gas不足的钱包补充gas的钱包地址(从keystore加载)或私钥文件' },
+            { name: 'topup-budget', type: 'string', default: multiClaim.DEFAULT_TOPUP_BUDGET, description: '每轮最多补充的原生代币总量' },
+            { name: 'once', type: 'boolean', description: '只执行一轮签到后退出，适合由cron调度' },
+            { name: 'dry-run', type: 'boolean', description: '对所有钱包模拟一轮签到后退出' },
+            { name: 'min-pause', type: 'number', default: multiClaim.DEFAULT_SETTINGS.minPause, description: '钱包之间的最小暂停时间(秒)' },
+            { name: 'max-pause', type: 'number', default: multiClaim.DEFAULT_SETTINGS.maxPause, description: '钱包之间的最大暂停时间(秒)' },
+            { name: 'check-interval', type: 'number', default: multiClaim.DEFAULT_SETTINGS.checkInterval, description: '有钱包失败或无法确定epoch时的检查间隔(小时)' },
+            { name: 'epoch-wake-delay', type: 'number', default: multiClaim.DEFAULT_SETTINGS.epochWakeDelay, description: '新epoch开始后等待多少秒再签到' },
+            ...retryOptions(multiClaim.DEFAULT_SETTINGS)
+        ],
+        run: runClaimDaemon
+    },
+    'sweep': {
+        description: '把各钱包的原生代币或ERC-20代币归集到一个地址',
+        sections: ['sweep'],
+        options: [
+            ...NETWORK_OPTIONS,
+            { name: 'to', type: 'string', description: '归集地址' },
+            { name: 'key-file', type: 'string', default: DEFAULT_KEY_FILE, description: 'keystore为空时读取的私钥文件' },
+            { name: 'token', type: 'string', description: 'ERC-20代币合约地址，不指定则归集原生代币' },
+            { name: 'dust', type: 'string', default: '0', description: '归集阈值，低于该数量的余额不归集' },
+            { name: 'funder', type: 'string', description: '代币归集时为gas不足的钱包补充gas的钱包地址(从keystore加载)或私钥文件' },
+            { name: 'yes', type: 'boolean', description: '确认归集，不指定时只列出各钱包余额' }
+        ],
+        run: runSweep
+    },
+    'clear-pending': {
+        description: '用更高的gas费取消各钱包卡在交易池中的交易',
+        sections: ['clearPending'],
+        options: [
+            ...NETWORK_OPTIONS,
+            { name: 'wallets', type: 'string', description: '只检查这些钱包地址，多个用逗号分隔，默认检查keystore或私钥文件中的所有钱包' },
+            { name: 'key-file', type: 'string', default: DEFAULT_KEY_FILE, description: 'keystore为空时读取的私钥文件' },
+            { name: 'yes', type: 'boolean', description: '确认取消待确认交易，不指定时只列出待确认的nonce' }
+        ],
+        run: runClearPending
+    },
+    'migrate-keys': {
+        description: '把明文私钥文件和钱包CSV导入加密keystore，keystore密码通过环境变量 KEYSTORE_PASSWORD 提供',
+        sections: ['migrateKeys'],
+        options: [
+            { name: 'key-file', type: 'string', default: DEFAULT_KEY_FILE, description: '明文私钥文件，不存在时跳过' },
+            { name: 'csv', type: 'string', description: '钱包CSV文件，多个用逗号分隔，默认为项目目录中带私钥列的 钱包-*.csv' },
+            { name: 'shred', type: 'boolean', description: '导入后粉碎私钥已全部保存到keystore的明文文件' }
+        ],
+        run: runMigrateKeys
+    },
+    'dashboard': {
+        description: '查看各钱包的余额和可领取的奖励',
+        sections: ['dashboard'],
+        options: [
+            ...NETWORK_OPTIONS,
+            { name: 'task', type: 'string', default: DEFAULT_TASK, description: '任务文件或内置任务名称' },
+            { name: 'wallets', type: 'string', description: '私钥文件或钱包CSV文件，默认使用keystore中的所有钱包，没有keystore时读取pk.txt' },
+            { name: 'token', type: 'string', description: '同时显示该ERC-20代币的余额' },
+            { name: 'min-gas', type: 'string', default: dashboard.DEFAULT_MIN_GAS, description: '原生代币余额低于该值时标记为gas不足' },
+            { name: 'output', type: 'string', description: '导出表格，扩展名为 .json 时导出JSON，否则导出CSV' }
+        ],
+        run: runDashboard
+    }
+};
+
+/**
+ * 输出用法
+ */
+function printUsage() {
+    console.log('用法: node cli.js <子命令> [选项]\n');
+    console.log('子命令:');
+    Object.entries(COMMANDS).forEach(([name, command]) => console.log(`  ${name.padEnd(16)}${command.description}`));
+    console.log('\n使用 node cli.js <子命令> --help 查看子命令的选项');
+    console.log('选项的值依次从命令行参数、环境变量(WEB3_前缀)、配置文件(web3.config.json)和默认值中确定');
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+    const args = process.argv.slice(2);
+    const name = COMMANDS[args.slice(0, 2).join(' ')] ? args.slice(0, 2).join(' ') : args[0];
+    const command = COMMANDS[name];
+    
+    if (!command) {
+        printUsage();
+        if (name && name !== 'help' && name !== '--help') {
+            console.error(`\n错误: 未知的子命令 ${name}`);
+            process.exitCode = 1;
+        }
+        return;
+    }
+    
+    try {
+        const options = [...COMMON_OPTIONS, ...command.options];
+        const { values, positional } = resolveOptions(options, command.sections, args.slice(name.split(' ').length));
+        if (values.help) {
+            console.log(`用法: node cli.js ${name} [选项]\n\n${command.description}\n\n选项:\n${formatOptionHelp(options)}`);
+            return;
+        }
+        if (positional.length > 0) {
+            throw new Error(`无法识别的参数: ${positional.join(' ')}`);
+        }
+        
+        startLogging({
+            level: values.logLevel,
+            file: values.logFile,
+            maxSize: values.logMaxSize,
+            maxFiles: values.logMaxFiles
+        });
+        
+        await command.run(values);
+    } catch (error) {
+        console.error(`错误: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+// 直接运行时执行主函数
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,297 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { listKeystores } = require('./lib/keyStore');
+const { DEFAULT_TASK, loadTask } = require('./lib/contractTask');
+const { DEFAULT_NETWORK, getNetwork, reportRpcHealth, connectNetwork } = require('./lib/networks');
+const { nativeBalanceCall, multicall } = require('./lib/multicall');
+const { readTokenInfo } = require('./lib/erc20');
+const { getArgValue, getPositionalArgs } = require('./lib/utils');
+const { startLogging } = require('./lib/logger');
+
+// 需要跟参数值的命令行参数
+const VALUE_FLAGS = ['--task', '--network', '--wallets', '--token', '--min-gas', '--output'];
+
+// 原生代币余额低于该值(按网络原生代币计)时标记为gas不足
+const DEFAULT_MIN_GAS = '0.001';
+
+// 面板中显示的奖励查询函数: 名称以RewardsAvailable结尾的函数和userBuffer，参数为钱包地址
+const REWARD_FUNCTION_PATTERN = /RewardsAvailable$|^userBuffer$/;
+
+/**
+ * 从钱包CSV文件中读取地址，支持generateWallet.js生成的文件
+ * @param {string} filePath - CSV文件路径
+ * @returns {Promise<string[]>} - 钱包地址
+ */
+function readCsvAddresses(filePath) {
+    return new Promise((resolve, reject) => {
+        const addresses = [];
+        
+        fs.createReadStream(filePath)
+            .pipe(csv())
+            .on('data', (row) => {
+                // 尝试从不同可能的列名中获取地址
+                const address = row['钱包地址'] || row['地址'] || row['Address'] || row['address'];
+                if (address) {
+                    addresses.push(address.trim());
+                }
+            })
+            .on('end', () => resolve(addresses))
+            .on('error', (error) => {
+                reject(new Error(`读取CSV文件失败: ${error.message}`));
+            });
+    });
+}
+
+/**
+ * 读取要查看的钱包地址，只读取地址，不解密keystore
+ * - 指定CSV文件时读取其中的地址列
+ * - 指定其他文件时按私钥文件读取(每行一个私钥)
+ * - 不指定时使用keystore中的所有钱包，没有keystore时读取pk.txt
+ * @param {string|null} walletFile - 钱包文件路径
+ * @returns {Promise<string[]>} - 钱包地址
+ */
+async function readWalletList(walletFile) {
+    if (!walletFile && listKeystores().length > 0) {
+        return listKeystores().map(entry => entry.address);
+    }
+    
+    const filePath = walletFile || path.join(__dirname, 'pk.txt');
+    let addresses;
+    try {
+        addresses = filePath.toLowerCase().endsWith('.csv')
+            ? await readCsvAddresses(filePath)
+            : fs.readFileSync(filePath, 'utf8')
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line.length > 0)
+                .map(privateKey => ethers.computeAddress(privateKey.startsWith('0x') ? privateKey : `0x${privateKey}`));
+    } catch (error) {
+        throw new Error(`读取钱包文件 ${filePath} 失败: ${error.message}`);
+    }
+    
+    const invalid = addresses.filter(address => !ethers.isAddress(address));
+    if (invalid.length > 0) {
+        throw new Error(`钱包文件中有无效的地址: ${invalid.join(', ')}`);
+    }
+    return [...new Set(addresses.map(address => ethers.getAddress(address)))];
+}
+
+/**
+ * 查询所有钱包的余额、nonce和奖励，余额和奖励通过Multicall3批量读取
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Object} network - 网络配置
+ * @param {Object} task - 任务定义，提供奖励合约和ABI
+ * @param {string[]} addresses - 钱包地址
+ * @param {ethers.Contract|null} token - 要查询余额的ERC-20代币
+ * @returns {Promise<{columns: string[], rows: Array<Object>}>} - 奖励查询函数名称和每个钱包的数据
+ */
+async function readDashboard(provider, network, task, addresses, token) {
+    const iface = new ethers.Interface(task.abi);
+    const columns = iface.fragments
+        .filter(fragment => fragment.type === 'function' && fragment.constant && REWARD_FUNCTION_PATTERN.test(fragment.name))
+        .filter(fragment => fragment.inputs.length === 1 && fragment.inputs[0].type === 'address')
+        .map(fragment => fragment.name);
+    
+    // 每个钱包依次为: 原生代币余额、代币余额(可选)、各奖励查询
+    const calls = addresses.flatMap(address => [
+        nativeBalanceCall(network, address),
+        ...(token ? [{ target: token.target, iface: token.interface, function: 'balanceOf', args: [address] }] : []),
+        ...columns.map(name => ({ target: task.contract, iface, function: name, args: [address] }))
+    ]);
+    const [results, nonces] = await Promise.all([
+        multicall(provider, network, calls),
+        Promise.all(addresses.map(address => provider.getTransactionCount(address, 'latest')))
+    ]);
+    
+    const perWallet = calls.length / addresses.length;
+    const rows = addresses.map((address, index) => {
+        const values = results.slice(index * perWallet, (index + 1) * perWallet).map(result => (result.success ? result.value : null));
+        return {
+            address,
+            nativeBalance: values.shift(),
+            tokenBalance: token ? values.shift() : null,
+            nonce: nonces[index],
+            rewards: Object.fromEntries(columns.map((name, column) => [name, values[column]]))
+        };
+    });
+    
+    return { columns, rows };
+}
+
+/**
+ * 把数据转换为显示和导出用的字符串，查询失败的值显示为 -
+ * @param {Array<Object>} rows - readDashboard返回的数据
+ * @param {string[]} columns - 奖励查询函数名称
+ * @param {Object} units - 各列的精度
+ * @param {bigint} minGas - 原生代币余额低于该值时标记为gas不足
+ * @returns {Array<Object>} - 每个钱包一行，键为表头
+ */
+function formatRows(rows, columns, units, minGas) {
+    const format = (value, decimals) => (value === null ? '-' : ethers.formatUnits(value, decimals));
+    
+    return rows.map((row, index) => {
+        const formatted = {
+            '序号': String(index + 1),
+            '钱包地址': row.address,
+            [units.nativeLabel]: format(row.nativeBalance, 18)
+        };
+        if (units.tokenLabel) {
+            formatted[units.tokenLabel] = format(row.tokenBalance, units.tokenDecimals);
+        }
+        formatted['nonce'] = String(row.nonce);
+        columns.forEach(name => {
+            formatted[name] = format(row.rewards[name], units.rewardDecimals);
+        });
+        formatted['状态'] = row.nativeBalance !== null && row.nativeBalance < minGas ? 'gas不足' : '';
+        return formatted;
+    });
+}
+
+/**
+ * 按列宽对齐输出表格
+ * @param {Array<Object>} table - formatRows返回的数据
+ */
+function printTable(table) {
+    const headers = Object.keys(table[0]);
+    // 中文字符按两个字符宽度计算
+    const width = (text) => [...text].reduce((sum, char) => sum + (char.charCodeAt(0) > 0xff ? 2 : 1), 0);
+    const widths = headers.map(header => Math.max(width(header), ...table.map(row => width(row[header]))));
+    const line = (cells) => cells.map((cell, index) => cell + ' '.repeat(widths[index] - width(cell))).join('  ').trimEnd();
+    
+    console.log(line(headers));
+    console.log(widths.map(size => '-'.repeat(size)).join('  '));
+    table.forEach(row => console.log(line(headers.map(header => row[header]))));
+}
+
+/**
+ * 导出表格，按文件扩展名选择JSON或CSV格式
+ * @param {Array<Object>} table - formatRows返回的数据
+ * @param {string} outputFile - 输出文件路径
+ */
+function exportTable(table, outputFile) {
+    if (outputFile.toLowerCase().endsWith('.json')) {
+        fs.writeFileSync(outputFile, JSON.stringify(table, null, 2));
+        return;
+    }
+    
+    const headers = Object.keys(table[0]);
+    let csvContent = `${headers.join(',')}\n`;
+    table.forEach(row => {
+        csvContent += `${headers.map(header => `"${row[header]}"`).join(',')}\n`;
+    });
+    fs.writeFileSync(outputFile, csvContent);
+}
+
+/**
+ * 查询并输出钱包面板: 各钱包的余额和奖励、合计，以及gas不足的钱包
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Object} network - 网络配置
+ * @param {Object} task - 任务定义，提供奖励合约和ABI
+ * @param {string[]} addresses - 钱包地址
+ * @param {Object} [options] - 可选配置
+ * @param {string|null} [options.tokenAddress] - 同时显示该ERC-20代币的余额
+ * @param {bigint} [options.minGas] - 原生代币余额低于该值时标记为gas不足
+ * @param {string|null} [options.outputFile] - 导出表格的文件，扩展名为 .json 时导出JSON，否则导出CSV
+ * @returns {Promise<Object[]>} - 表格的每一行
+ */
+async function showDashboard(provider, network, task, addresses, options = {}) {
+    const minGas = options.minGas !== undefined ? options.minGas : ethers.parseEther(DEFAULT_MIN_GAS);
+    const outputFile = options.outputFile || null;
+    
+    const units = { nativeLabel: `${network.nativeSymbol}余额`, rewardDecimals: task.unit.decimals };
+    const { token, symbol, decimals } = await readTokenInfo(options.tokenAddress || null, provider, network);
+    if (token) {
+        Object.assign(units, { tokenLabel: `${symbol}余额`, tokenDecimals: decimals });
+    }
+    
+    console.log(`\n正在查询 ${addresses.length} 个钱包...`);
+    const { columns, rows } = await readDashboard(provider, network, task, addresses, token);
+    
+    const table = formatRows(rows, columns, units, minGas);
+    console.log(`奖励单位: ${task.unit.symbol || `精度 ${task.unit.decimals}`}\n`);
+    printTable(table);
+    
+    // 汇总
+    const sum = (values) => values.reduce((total, value) => total + (value || 0n), 0n);
+    console.log(`\n共 ${rows.length} 个钱包，${network.nativeSymbol}合计: ${ethers.formatEther(sum(rows.map(row => row.nativeBalance)))}`);
+    if (token) {
+        console.log(`${units.tokenLabel.replace(/余额$/, '')}合计: ${ethers.formatUnits(sum(rows.map(row => row.tokenBalance)), units.tokenDecimals)}`);
+    }
+    columns.forEach(name => {
+        console.log(`${name}合计: ${ethers.formatUnits(sum(rows.map(row => row.rewards[name])), task.unit.decimals)} ${task.unit.symbol}`.trim());
+    });
+    
+    const lowGas = table.filter(row => row['状态']);
+    if (lowGas.length > 0) {
+        console.log(`\n警告: ${lowGas.length} 个钱包的${network.nativeSymbol}余额低于 ${ethers.formatEther(minGas)}，可能无法支付gas:`);
+        lowGas.forEach(row => console.log(`  ${row['钱包地址']}: ${row[units.nativeLabel]}`));
+    }
+    
+    if (outputFile) {
+        exportTable(table, outputFile);
+        console.log(`\n表格已导出至: ${outputFile}`);
+    }
+    
+    return table;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+    try {
+        startLogging();
+        
+        // 读取命令行参数
+        // --wallets <pk.txt或钱包CSV文件> 要查看的钱包，默认使用keystore中的所有钱包，没有keystore时读取pk.txt
+        // --task <任务文件或内置任务名称> 从任务的合约和ABI读取奖励，默认为Humanity
+        // --network <网络名称> 指定网络，默认使用任务文件中的网络
+        // --token <代币地址> 同时显示该ERC-20代币的余额
+        // --min-gas <数量> 原生代币余额低于该值时标记为gas不足，默认 0.001
+        // --output <文件> 导出表格，扩展名为 .json 时导出JSON，否则导出CSV
+        const args = process.argv.slice(2);
+        const walletFile = getArgValue(args, '--wallets');
+        const task = loadTask(getArgValue(args, '--task') || DEFAULT_TASK);
+        const tokenAddress = getArgValue(args, '--token');
+        const minGas = ethers.parseEther(getArgValue(args, '--min-gas') || DEFAULT_MIN_GAS);
+        const outputFile = getArgValue(args, '--output');
+        const positional = getPositionalArgs(args, VALUE_FLAGS);
+        const rpcUrl = positional[0]; // 可选，多个用逗号分隔，不传则使用网络配置中的RPC列表
+        
+        if (tokenAddress && !ethers.isAddress(tokenAddress)) {
+            throw new Error('请输入有效的代币合约地址');
+        }
+        
+        const addresses = await readWalletList(walletFile);
+        if (addresses.length === 0) {
+            throw new Error('没有找到要查看的钱包');
+        }
+        
+        const network = getNetwork(getArgValue(args, '--network') || task.network || DEFAULT_NETWORK, rpcUrl);
+        console.log(`使用网络: ${network.name} (chainId: ${network.chainId})`);
+        console.log(`使用任务: ${task.name}，合约地址: ${task.contract}`);
+        await reportRpcHealth(network);
+        const provider = await connectNetwork(network);
+        
+        await showDashboard(provider, network, task, addresses, { tokenAddress, minGas, outputFile });
+        provider.destroy();
+        
+    } catch (error) {
+        console.error(`错误: ${error.message}`);
+    }
+}
+
+// 直接运行时执行主函数，被其他脚本引用时只导出面板读取函数
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_MIN_GAS,
+    readWalletList,
+    readDashboard,
+    showDashboard
+};
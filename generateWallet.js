@@ -2,74 +2,95 @@
 const { ethers } = require('ethers');
 const fs = require('fs');
 const path = require('path');
-const readline = require('readline');
+const { DEFAULT_KEYSTORE_DIR, readHidden, readNewPassword, saveKeystore } = require('./lib/keyStore');
+const { createInterface, prompt } = require('./lib/utils');
+const { addSecret, startLogging, printSecret } = require('./lib/logger');
 
-/**
- * Create a readline interface for user input
- */
-function createInterface() {
-    return readline.createInterface({
-        input: process.stdin,
-        output: process.stdout
-    });
-}
-
-/**
- * Prompt the user for input
- * @param {readline.Interface} rl - Readline interface
- * @param {string} question - Question to ask the user
- * @returns {Promise<string>} - User's response
- */
-function prompt(rl, question) {
-    return new Promise((resolve) => {
-        rl.question(question, (answer) => {
-            resolve(answer);
-        });
-    });
-}
+// Default BIP-44 path for Ethereum accounts, the account index is appended to it
+const DEFAULT_HD_PATH = "m/44'/60'/0'/0";
 
 /**
- * Generate Ethereum wallets and save their details to a CSV file
- * @param {number} count - Number of wallets to generate
+ * Generate Ethereum wallets, encrypt them into the keystore and save an address list to a CSV file
+ * @param {Object} opts - Generation options
+ * @param {number} [opts.count] - Number of wallets to generate, defaults to 1
+ * @param {string} opts.password - Keystore password
+ * @param {boolean} [opts.hd] - Derive all wallets from one mnemonic instead of one mnemonic per wallet
+ * @param {string} [opts.mnemonic] - Existing mnemonic to derive from, a new one is generated if omitted
+ * @param {string} [opts.basePath] - BIP-44 base path, defaults to m/44'/60'/0'/0
+ * @param {number} [opts.startIndex] - First account index to derive
+ * @param {string} [opts.keystoreDir] - Keystore directory, defaults to the project keystore
+ * @param {string} [opts.outputDir] - Directory for the address list, defaults to the project directory
+ * @returns {Promise<{wallets: Array<{address: string, index: number|null, path: string|null, keystoreFile: string}>, mnemonic: string|null, csvFile: string}>} - Generated wallets, the newly generated HD mnemonic (null otherwise) and the address list file
  */
-async function generateWallets(count = 1) {
+async function generateWallets(opts) {
+    const { count = 1, password } = opts;
     const wallets = [];
+    const basePath = opts.basePath || DEFAULT_HD_PATH;
+    const startIndex = opts.startIndex || 0;
+    const keystoreDir = opts.keystoreDir || DEFAULT_KEYSTORE_DIR;
+    const outputDir = opts.outputDir || __dirname;
+    
+    if (!password) {
+        throw new Error('密码不能为空');
+    }
+    
+    // In HD mode every wallet is a child of the same root node
+    let root = null;
+    let newMnemonic = null;
+    if (opts.hd) {
+        const phrase = opts.mnemonic || ethers.Mnemonic.fromEntropy(ethers.randomBytes(16)).phrase;
+        root = ethers.HDNodeWallet.fromPhrase(phrase, undefined, basePath);
+        addSecret(phrase);
+        
+        if (!opts.mnemonic) {
+            newMnemonic = phrase;
+            console.log('\n已生成新的助记词，请抄写并妥善保管 (助记词只加密保存在keystore中):');
+            // Shown on the terminal only, the mnemonic is never written to the log file
+            printSecret(phrase);
+            console.log('');
+        }
+        console.log(`派生路径: ${basePath}/<索引>，起始索引: ${startIndex}`);
+    }
     
     console.log(`正在生成 ${count} 个以太坊钱包...`);
     
     for (let i = 0; i < count; i++) {
-        // Generate a random wallet with mnemonic
-        const wallet = ethers.Wallet.createRandom();
+        // Derive the next account from the root, or generate a random wallet with its own mnemonic
+        const index = root ? startIndex + i : null;
+        const wallet = root ? root.deriveChild(index) : ethers.Wallet.createRandom();
         
-        // Extract wallet information
+        // Encrypt the private key and mnemonic into the keystore
         const address = wallet.address;
-        const privateKey = wallet.privateKey;
-        const mnemonic = wallet.mnemonic.phrase;
+        const keystoreFile = await saveKeystore(wallet, password, keystoreDir);
         
         // Store wallet information
         wallets.push({
             address,
-            privateKey,
-            mnemonic
+            index,
+            path: root ? wallet.path : null,
+            keystoreFile
         });
         
-        console.log(`钱包 ${i+1} 已生成: ${address}`);
+        console.log(`钱包 ${i+1} 已生成: ${address}${root ? ` (索引: ${index})` : ''}`);
     }
     
-    // Save wallets to a CSV file
+    // Save the address list to a CSV file, keys stay in the keystore only
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const outputFile = path.join(__dirname, `钱包-${timestamp}.csv`);
+    fs.mkdirSync(outputDir, { recursive: true });
+    const outputFile = path.join(outputDir, `钱包-${timestamp}.csv`);
     
-    // Create CSV header and content
-    let csvContent = '序号,钱包地址,私钥,助记词\n';
+    // Create CSV header and content, HD wallets also record their derivation index and path
+    let csvContent = root ? '序号,钱包地址,派生索引,派生路径,keystore文件\n' : '序号,钱包地址,keystore文件\n';
     wallets.forEach((wallet, index) => {
-        csvContent += `${index + 1},"${wallet.address}","${wallet.privateKey}","${wallet.mnemonic}"\n`;
+        const derivation = root ? `${wallet.index},"${wallet.path}",` : '';
+        csvContent += `${index + 1},"${wallet.address}",${derivation}"${path.basename(wallet.keystoreFile)}"\n`;
     });
     
     fs.writeFileSync(outputFile, csvContent);
-    console.log(`钱包信息已保存至: ${outputFile}`);
+    console.log(`私钥和助记词已加密保存至: ${keystoreDir}`);
+    console.log(`钱包地址列表已保存至: ${outputFile}`);
     
-    return wallets;
+    return { wallets, mnemonic: newMnemonic, csvFile: outputFile };
 }
 
 /**
@@ -79,6 +100,8 @@ async function main() {
     const rl = createInterface();
     
     try {
+        startLogging();
+        
         // Ask user for number of wallets to generate
         const countInput = await prompt(rl, '您想要生成多少个钱包？ ');
         const count = parseInt(countInput.trim());
@@ -88,8 +111,34 @@ async function main() {
             return;
         }
         
+        // Ask whether to derive all wallets from a single mnemonic
+        const modeInput = await prompt(rl, '是否从同一个助记词派生所有钱包? (y/n, 默认: n): ');
+        const options = { hd: modeInput.trim().toLowerCase() === 'y' };
+        
+        if (options.hd) {
+            // An existing mnemonic re-derives or extends a previously generated set
+            const mnemonic = (await readHidden('请输入已有助记词以继续派生 (留空则生成新助记词): ', rl)).trim();
+            if (mnemonic && !ethers.Mnemonic.isValidMnemonic(mnemonic)) {
+                console.error('助记词无效。');
+                return;
+            }
+            options.mnemonic = mnemonic || undefined;
+            
+            options.basePath = (await prompt(rl, `请输入派生路径 (默认: ${DEFAULT_HD_PATH}): `)).trim() || DEFAULT_HD_PATH;
+            
+            const startInput = (await prompt(rl, '请输入起始索引 (默认: 0): ')).trim();
+            options.startIndex = startInput ? parseInt(startInput) : 0;
+            if (isNaN(options.startIndex) || options.startIndex < 0) {
+                console.error('请输入一个有效的起始索引。');
+                return;
+            }
+        }
+        
+        // Ask for the keystore password
+        const password = await readNewPassword(rl);
+        
         // Generate wallets
-        await generateWallets(count);
+        await generateWallets({ count, password, ...options });
     } catch (error) {
         console.error('生成钱包时出错:', error);
     } finally {
@@ -97,5 +146,12 @@ async function main() {
     }
 }
 
-// Run the main function
-main();
+// Run the main function only when executed directly, other scripts just import generateWallets
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_HD_PATH,
+    generateWallets
+};
@@ -1,17 +1,45 @@
 // 导入所需模块
 const { ethers } = require('ethers');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
-const readline = require('readline');
-const { HttpsProxyAgent } = require('https-proxy-agent');
-
-// 合约地址
-const CONTRACT_ADDRESS = '0xa18f6FCB2Fd4884436d10610E69DB7BFa1bFe8C7';
+const { loadPrivateKeys, loadPrivateKey } = require('../lib/keyStore');
+const {
+    DEFAULT_TASK,
+    loadTask,
+    resolveArgs,
+    getPendingActions,
+    formatTaskAmount,
+    getEpochInfo
+} = require('../lib/contractTask');
+const {
+    DEFAULT_NETWORK,
+    getNetwork,
+    createNetworkProvider,
+    reportRpcHealth,
+    connectNetwork,
+    formatNative
+} = require('../lib/networks');
+const { describeGasConfig, getGasFees, getFeePerGas, estimateGasLimit } = require('../lib/gas');
+const { systemClock, getArgValue, getPositionalArgs } = require('../lib/utils');
+const { startLogging } = require('../lib/logger');
+const { createProvider, claimReward } = require('../lib/claim');
+const { batchTransfer } = require('../batchTransfer');
 
 // 重试配置
 const MAX_RETRIES = 10;        // 最大重试次数
-const RETRY_DELAY = 0;         // 重试间隔(毫秒)，设为0表示立即重试
-const ESCALATION_FACTOR = 1;   // 重试间隔递增因子，设为1表示不递增
+const RETRY_DELAY = 3000;      // 网络错误的重试间隔(毫秒)
+const ESCALATION_FACTOR = 1.5; // 重试间隔递增因子
+const FEE_BUMP_PERCENT = 20n;  // nonce或gas费问题重试时每次提高的gas费百分比
+
+// 需要跟参数值的命令行参数
+const VALUE_FLAGS = ['--task', '--network', '--gas-strategy', '--max-fee-cap', '--tx-timeout', '--stuck-action', '--funder', '--topup-budget'];
+
+// gas补充配置
+const DEFAULT_TOPUP_BUDGET = '0.01'; // 每轮最多从gas供应钱包转出的原生代币数量
+const TOPUP_MARGIN_PERCENT = 50n;    // 按预计签到花费的150%补充，留出gas价格波动的余量
+const FALLBACK_GAS_LIMIT = 300000n;  // 无法估算gas且任务没有配置gasLimit时，每个操作预计使用的gas
+const TOPUP_DIR_PREFIX = path.join(os.tmpdir(), 'gas-topup-'); // 每轮补充gas的转账日志和结果保存在临时目录，不写入仓库
 
 // 随机暂停配置
 const MIN_PAUSE = 10;          // 最小暂停时间(秒)
@@ -20,20 +48,22 @@ const MAX_PAUSE = 60;          // 最大暂停时间(秒)
 // 默认文件路径
 const DEFAULT_PRIVATE_KEY_FILE = '../pk.txt';
 const DEFAULT_PROXY_FILE = 'proxies.txt';
-const DEFAULT_ABI_FILE = 'abi.json';
 
 // 持续运行配置
-const DAILY_CHECK_INTERVAL = 1; // 每隔多少小时检查一次是否可以领取
-const HOURS_TO_WAIT_AFTER_CLAIM = 23; // 成功领取后等待多少小时再检查
+const DAILY_CHECK_INTERVAL = 1; // 有钱包失败或无法确定epoch时，每隔多少小时检查一次
+const EPOCH_WAKE_DELAY = 60;    // 新epoch开始后等待多少秒再签到，避免区块时间略有偏差
 
-/**
- * 延迟函数
- * @param {number} ms - 延迟毫秒数
- * @returns {Promise} - 延迟Promise
- */
-function delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-}
+// 默认运行参数，统一命令行(cli.js)可以通过参数、环境变量或配置文件覆盖
+const DEFAULT_SETTINGS = {
+    maxRetries: MAX_RETRIES,
+    retryDelay: RETRY_DELAY,
+    escalationFactor: ESCALATION_FACTOR,
+    feeBumpPercent: FEE_BUMP_PERCENT,
+    minPause: MIN_PAUSE,
+    maxPause: MAX_PAUSE,
+    checkInterval: DAILY_CHECK_INTERVAL,
+    epochWakeDelay: EPOCH_WAKE_DELAY
+};
 
 /**
  * 生成随机数
@@ -59,23 +89,6 @@ function shuffleArray(array) {
     return newArray;
 }
 
-/**
- * 从文件中读取私钥列表
- * @param {string} filePath - 私钥文件路径
- * @returns {Array<string>} - 私钥数组
- */
-function readPrivateKeys(filePath) {
-    try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        // 按行分割，移除空行和空白
-        return content.split('\n')
-            .map(line => line.trim())
-            .filter(line => line.length > 0);
-    } catch (error) {
-        throw new Error(`读取私钥文件失败: ${error.message}`);
-    }
-}
-
 /**
  * 从文件中读取代理列表
  * @param {string} filePath - 代理文件路径
@@ -100,210 +113,173 @@ function readProxies(filePath) {
 }
 
 /**
- * 从文件中读取合约ABI
- * @param {string} filePath - ABI文件路径
- * @returns {Array} - 合约ABI
+ * 估算钱包本轮签到的gas花费，按任务定义只估算满足前置条件的操作
+ * @param {ethers.Provider} provider - 提供者
+ * @param {string} address - 钱包地址
+ * @param {Object} network - 网络配置
+ * @param {Object} task - 任务定义
+ * @param {bigint} feePerGas - 每单位gas的最高价格
+ * @returns {Promise<bigint>} - 预计花费，没有要执行的操作时为0
  */
-function readContractABI(filePath) {
-    try {
-        const abiData = fs.readFileSync(filePath, 'utf8');
-        return JSON.parse(abiData);
-    } catch (error) {
-        throw new Error(`读取合约ABI文件失败: ${error.message}`);
-    }
-}
-
-/**
- * 创建带有代理的提供者
- * @param {string} rpcUrl - RPC URL
- * @param {string|null} proxy - 代理URL
- * @returns {ethers.JsonRpcProvider} - 提供者
- */
-function createProvider(rpcUrl, proxy) {
-    if (!proxy) {
-        return new ethers.JsonRpcProvider(rpcUrl);
-    }
+async function estimateClaimCost(provider, address, network, task, feePerGas) {
+    const contract = new ethers.Contract(task.contract, task.abi, provider);
+    const { context, actions } = await getPendingActions(contract, task, address);
     
-    // 创建带有代理的提供者
-    const agent = new HttpsProxyAgent(proxy);
-    const fetchOptions = {
-        agent: agent
-    };
-    
-    return new ethers.JsonRpcProvider(rpcUrl, undefined, {
-        fetchOptions: fetchOptions
-    });
+    let gasLimit = 0n;
+    for (const action of actions) {
+        const request = await contract[action.function].populateTransaction(...resolveArgs(action.args, context));
+        gasLimit += action.gasLimit
+            ? BigInt(action.gasLimit)
+            : await estimateGasLimit(provider, { ...request, from: address }, network);
+    }
+    return gasLimit * feePerGas;
 }
 
 /**
- * 检查钱包是否已经领取过奖励
- * @param {ethers.Contract} contract - 合约实例
- * @param {string} walletAddress - 钱包地址
- * @returns {Promise<boolean>} - 是否已领取
+ * 无法估算签到花费时(例如合约调用回滚)的预计花费: 按任务中全部操作计算，
+ * 配置了gasLimit的操作使用配置值，其余按FALLBACK_GAS_LIMIT
+ * @param {Object} task - 任务定义
+ * @param {bigint} feePerGas - 每单位gas的最高价格
+ * @returns {bigint} - 预计花费
  */
-async function hasClaimedToday(contract, walletAddress) {
-    try {
-        const dailyRewards = await contract.dailyRewardsAvailable(walletAddress);
-        const dailyRewardsEth = ethers.formatEther(dailyRewards);
-        
-        if (dailyRewardsEth === '0.0') {
-            return true; // 没有可领取的奖励，表示已经领取过
-        }
-        
-        return false; // 有可领取的奖励，表示今天还没有领取
-    } catch (error) {
-        console.log(`检查领取状态失败: ${error.message}`);
-        return false; // 出错时假设还没有领取
-    }
+function getFallbackClaimCost(task, feePerGas) {
+    const gasLimit = task.actions.reduce((sum, action) => sum + (action.gasLimit ? BigInt(action.gasLimit) : FALLBACK_GAS_LIMIT), 0n);
+    return gasLimit * feePerGas;
 }
 
 /**
- * 执行合约签到
- * @param {string} privateKey - 钱包私钥
- * @param {string} rpcUrl - RPC URL
- * @param {Array} contractABI - 合约ABI
- * @param {string|null} proxy - 代理URL
- * @param {number} walletIndex - 钱包索引
- * @param {number} totalWallets - 总钱包数
- * @returns {boolean} - 是否成功
+ * 签到前检查每个钱包的余额是否足够支付预计的gas，不足的钱包从gas供应钱包补充
+ * 补充通过批量转账完成，每轮补充的总量不超过预算；无法补充的钱包本轮跳过
+ * 无法估算gas(例如合约会回滚)的钱包按任务配置的gasLimit或默认gas限制检查
+ * gas供应钱包本身也在签到钱包中时不为它补充，余额不足时本轮跳过
+ * @param {Array<string>} privateKeys - 私钥数组，与签到顺序一致
+ * @param {Array<string>} proxies - 代理数组
+ * @param {Object} network - 网络配置
+ * @param {Object} task - 任务定义
+ * @param {Object|null} topUp - gas补充配置，为null时只检查不补充
+ * @param {string} topUp.funderKey - gas供应钱包私钥
+ * @param {bigint} topUp.budget - 每轮补充的总量上限
+ * @returns {Promise<{unfunded: Map<string, string>, toppedUp: number, spent: bigint}>} - 无法补充的钱包及原因、已补充的钱包数和补充总量
  */
-async function claimReward(privateKey, rpcUrl, contractABI, proxy, walletIndex, totalWallets) {
-    let retryCount = 0;
+async function prepareGas(privateKeys, proxies, network, task, topUp) {
+    console.log('\n正在检查各钱包的gas余额...');
+    const short = [];
+    let feePerGas = null;
     
-    while (retryCount <= MAX_RETRIES) {
+    for (let i = 0; i < privateKeys.length; i++) {
+        const address = ethers.computeAddress(privateKeys[i]);
+        const provider = createProvider(network, proxies.length > 0 ? proxies[i % proxies.length] : null);
+        
         try {
-            if (retryCount > 0) {
-                console.log(`尝试第 ${retryCount} 次重试...`);
-            }
-            
-            // 连接到提供的RPC，可能使用代理
-            const provider = createProvider(rpcUrl, proxy);
-            
-            // 创建钱包实例
-            const wallet = new ethers.Wallet(privateKey, provider);
-            const walletAddress = wallet.address;
-            
-            console.log(`[钱包 ${walletIndex+1}/${totalWallets}] 地址: ${walletAddress}`);
-            if (proxy) {
-                console.log(`使用代理: ${proxy}`);
+            // 按发送时可能使用的最高gas价格计算，节点要求余额覆盖 gasLimit × maxFeePerGas
+            if (feePerGas === null) {
+                feePerGas = getFeePerGas(await getGasFees(provider, network));
             }
-            
-            // 创建合约实例
-            const contract = new ethers.Contract(CONTRACT_ADDRESS, contractABI, wallet);
-            
-            // 检查是否有可领取的奖励
-            const claimed = await hasClaimedToday(contract, walletAddress);
-            if (claimed) {
-                console.log('今天已经领取过奖励，跳过此钱包');
-                return true;
+            const balance = await provider.getBalance(address);
+            let cost;
+            try {
+                cost = await estimateClaimCost(provider, address, network, task, feePerGas);
+            } catch (error) {
+                cost = getFallbackClaimCost(task, feePerGas);
+                console.log(`[钱包 ${i+1}/${privateKeys.length}] ${address} 无法估算签到的gas，按 ${formatNative(network, cost)} 检查: ${error.shortMessage || error.message}`);
             }
-            
-            // 获取可领取的奖励数量
-            const dailyRewards = await contract.dailyRewardsAvailable(walletAddress);
-            const dailyRewardsEth = ethers.formatEther(dailyRewards);
-            console.log(`可领取的每日奖励: ${dailyRewardsEth} HUM`);
-            
-            // 获取当前gas价格
-            const feeData = await provider.getFeeData();
-            
-            console.log('正在执行签到操作...');
-            
-            // 调用合约的claimReward函数
-            const tx = await contract.claimReward({
-                gasLimit: 300000, // 设置足够的gas限制
-                maxFeePerGas: feeData.maxFeePerGas,
-                maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
-            });
-            
-            console.log(`交易已发送，交易哈希: ${tx.hash}`);
-            console.log('等待交易确认...');
-            
-            // 等待交易确认
-            const receipt = await tx.wait();
-            
-            console.log(`签到成功! 区块号: ${receipt.blockNumber}`);
-            
-            // 检查交易事件
-            const rewardClaimedEvents = receipt.logs
-                .filter(log => {
-                    try {
-                        const parsedLog = contract.interface.parseLog(log);
-                        return parsedLog && parsedLog.name === 'RewardClaimed';
-                    } catch (e) {
-                        return false;
-                    }
-                })
-                .map(log => {
-                    const parsedLog = contract.interface.parseLog(log);
-                    return {
-                        user: parsedLog.args.user,
-                        rewardType: parsedLog.args.rewardType,
-                        amount: parsedLog.args.amount
-                    };
-                });
-                
-            if (rewardClaimedEvents.length > 0) {
-                const event = rewardClaimedEvents[0];
-                console.log(`领取的奖励: ${ethers.formatEther(event.amount)} HUM`);
+            if (balance < cost) {
+                const need = cost * (100n + TOPUP_MARGIN_PERCENT) / 100n - balance;
+                console.log(`[钱包 ${i+1}/${privateKeys.length}] ${address} 余额 ${formatNative(network, balance)}，预计需要 ${formatNative(network, cost)}`);
+                short.push({ address, need });
             }
-            
-            // 保存签到记录
-            const timestamp = new Date().toISOString();
-            const logEntry = `${timestamp} - 钱包 ${walletIndex+1}/${totalWallets} - 地址: ${walletAddress} - 交易哈希: ${receipt.hash}\n`;
-            
-            fs.appendFileSync(path.join(__dirname, 'claim_log.txt'), logEntry);
-            console.log('签到记录已保存');
-            
-            // 签到成功，返回true
-            return true;
-            
         } catch (error) {
-            // 记录当前错误
-            console.error(`签到失败: ${error.message}`);
-            
-            // 检查是否已达到最大重试次数
-            if (retryCount >= MAX_RETRIES) {
-                console.error(`已达到最大重试次数 (${MAX_RETRIES})，停止尝试`);
-                
-                // 保存错误记录
-                const timestamp = new Date().toISOString();
-                const errorEntry = `${timestamp} - 钱包 ${walletIndex+1}/${totalWallets} - 错误: ${error.message} - 已重试${retryCount}次后失败\n`;
-                
-                fs.appendFileSync(path.join(__dirname, 'claim_error_log.txt'), errorEntry);
-                return false;
-            }
-            
-            // 增加重试计数
-            retryCount++;
-            
-            // 如果有延迟，则等待
-            if (RETRY_DELAY > 0) {
-                console.log(`将在 ${RETRY_DELAY/1000} 秒后重试...`);
-                await delay(RETRY_DELAY);
+            console.log(`[钱包 ${i+1}/${privateKeys.length}] ${address} 无法检查gas余额，签到时再处理: ${error.shortMessage || error.message}`);
+        } finally {
+            provider.destroy();
+        }
+    }
+    
+    const unfunded = new Map();
+    if (short.length === 0) {
+        console.log('所有钱包的余额都足够支付gas');
+        return { unfunded, toppedUp: 0, spent: 0n };
+    }
+    if (!topUp) {
+        console.log(`${short.length} 个钱包的余额不足以支付gas，未指定gas供应钱包(--funder)，本轮跳过`);
+        short.forEach(({ address }) => unfunded.set(address, '余额不足，未指定gas供应钱包'));
+        return { unfunded, toppedUp: 0, spent: 0n };
+    }
+    
+    // 按签到顺序在预算内选择要补充的钱包
+    const funder = ethers.computeAddress(topUp.funderKey);
+    const recipients = [];
+    let planned = 0n;
+    for (const { address, need } of short) {
+        if (address === funder) {
+            unfunded.set(address, '余额不足，且是gas供应钱包本身');
+            continue;
+        }
+        if (planned + need > topUp.budget) {
+            unfunded.set(address, `本轮gas补充预算 ${formatNative(network, topUp.budget)} 已用完`);
+            continue;
+        }
+        planned += need;
+        recipients.push({ address, amount: ethers.formatEther(need) });
+    }
+    
+    let toppedUp = 0;
+    let spent = 0n;
+    if (recipients.length > 0) {
+        console.log(`\n正在为 ${recipients.length} 个钱包补充gas，共 ${formatNative(network, planned)}...`);
+        const outputDir = fs.mkdtempSync(TOPUP_DIR_PREFIX);
+        let result = null;
+        try {
+            result = await batchTransfer({ privateKey: topUp.funderKey, recipients, network, outputDir });
+        } catch (error) {
+            console.error(`补充gas时批量转账出错: ${error.message}`);
+        }
+        
+        // 全部补充成功时删除转账日志，否则保留以便用 --resume 核对未确定的转账
+        if (result && result.confirmed === result.total) {
+            fs.rmSync(outputDir, { recursive: true, force: true });
+        } else {
+            console.log(`gas补充的转账日志保留在: ${outputDir}`);
+        }
+        
+        recipients.forEach(({ address, amount }) => {
+            const entry = result && result.entries.find(item => item.toAddress === address);
+            if (entry && entry.status === 'confirmed') {
+                toppedUp++;
+                spent += ethers.parseEther(amount);
             } else {
-                console.log(`立即重试...`);
+                unfunded.set(address, `补充gas失败: ${entry ? entry.error || entry.status : '批量转账出错'}`);
             }
-        }
+        });
     }
     
-    return false;
+    if (unfunded.size > 0) {
+        console.log(`\n以下 ${unfunded.size} 个钱包无法补充gas，本轮跳过:`);
+        unfunded.forEach((reason, address) => console.log(`  ${address}: ${reason}`));
+    }
+    return { unfunded, toppedUp, spent };
 }
 
 /**
  * 执行一轮签到
  * @param {Array<string>} privateKeys - 私钥数组
  * @param {Array<string>} proxies - 代理数组
- * @param {string} rpcUrl - RPC URL
- * @param {Array} contractABI - 合约ABI
+ * @param {Object} network - 网络配置
+ * @param {Object} task - 任务定义
+ * @param {boolean} [dryRun] - 是否只模拟签到，模拟时不在钱包之间暂停，也不检查和补充gas
+ * @param {Object|null} [topUp] - gas补充配置，包含gas供应钱包私钥(funderKey)和每轮预算(budget)
+ * @param {Object} [settings] - 运行参数，默认为DEFAULT_SETTINGS；settings.clock 可替换暂停和计时使用的时钟
  * @returns {Object} - 签到结果统计
  */
-async function runClaimCycle(privateKeys, proxies, rpcUrl, contractABI) {
+async function runClaimCycle(privateKeys, proxies, network, task, dryRun = false, topUp = null, settings = DEFAULT_SETTINGS) {
+    const clock = settings.clock || systemClock;
+    
     // 随机打乱私钥顺序
     const shuffledKeys = shuffleArray(privateKeys);
     
     // 记录开始时间
-    const startTime = new Date();
-    console.log(`\n===== 开始新一轮签到 =====`);
+    const startTime = new Date(clock.now());
+    console.log(dryRun ? '\n===== 开始模拟签到 (不会发送交易) =====' : `\n===== 开始新一轮签到 =====`);
     console.log(`开始时间: ${startTime.toLocaleString()}`);
     
     // 记录成功和失败的钱包数
@@ -311,6 +287,15 @@ async function runClaimCycle(privateKeys, proxies, rpcUrl, contractABI) {
     let failCount = 0;
     let skippedCount = 0;
     
+    // 按事件汇总本轮领取的奖励
+    const claimedByType = {};
+    
+    // 签到前检查gas余额，不足的钱包在预算内补充，无法补充的本轮跳过，避免签到时反复重试
+    const gas = dryRun
+        ? { unfunded: new Map(), toppedUp: 0, spent: 0n }
+        : await prepareGas(shuffledKeys, proxies, network, task, topUp);
+    const unfundedCount = gas.unfunded.size;
+    
     // 遍历所有钱包进行签到
     for (let i = 0; i < shuffledKeys.length; i++) {
         const privateKey = shuffledKeys[i];
@@ -318,50 +303,79 @@ async function runClaimCycle(privateKeys, proxies, rpcUrl, contractABI) {
         // 选择代理（如果有）
         const proxy = proxies.length > 0 ? proxies[i % proxies.length] : null;
         
+        const address = ethers.computeAddress(privateKey);
+        if (gas.unfunded.has(address)) {
+            console.log(`\n[钱包 ${i+1}/${shuffledKeys.length}] 地址: ${address} gas不足且无法补充，跳过此钱包`);
+            continue;
+        }
+        
         // 执行签到
-        const success = await claimReward(privateKey, rpcUrl, contractABI, proxy, i, shuffledKeys.length);
+        const result = await claimReward({
+            privateKey,
+            network,
+            task,
+            proxy,
+            dryRun,
+            settings,
+            clock,
+            label: `钱包 ${i+1}/${shuffledKeys.length}`
+        });
         
-        if (success) {
-            // 检查是否已经领取过
-            const wallet = new ethers.Wallet(privateKey);
-            const provider = createProvider(rpcUrl, proxy);
-            const contract = new ethers.Contract(CONTRACT_ADDRESS, contractABI, provider);
-            const claimed = await hasClaimedToday(contract, wallet.address);
-            
-            if (claimed) {
-                skippedCount++;
-            } else {
-                successCount++;
-            }
+        if (result.status === 'claimed') {
+            successCount++;
+        } else if (result.status === 'skipped') {
+            skippedCount++;
         } else {
             failCount++;
         }
         
+        // 失败前已经领取的部分同样计入汇总
+        for (const [key, amount] of Object.entries(result.rewards)) {
+            claimedByType[key] = (claimedByType[key] || 0n) + amount;
+        }
+        
         // 如果不是最后一个钱包，则随机暂停
-        if (i < shuffledKeys.length - 1) {
-            const pauseSeconds = getRandomNumber(MIN_PAUSE, MAX_PAUSE);
+        if (i < shuffledKeys.length - 1 && !dryRun) {
+            const pauseSeconds = getRandomNumber(settings.minPause, settings.maxPause);
             console.log(`\n随机暂停 ${pauseSeconds} 秒后继续下一个钱包...\n`);
-            await delay(pauseSeconds * 1000);
+            await clock.sleep(pauseSeconds * 1000);
         }
     }
     
     // 记录结束时间
-    const endTime = new Date();
+    const endTime = new Date(clock.now());
     const durationMinutes = Math.round((endTime - startTime) / 60000);
     
-    console.log('\n===== 本轮签到完成 =====');
+    console.log(dryRun ? '\n===== 模拟签到完成 =====' : '\n===== 本轮签到完成 =====');
     console.log(`开始时间: ${startTime.toLocaleString()}`);
     console.log(`结束时间: ${endTime.toLocaleString()}`);
     console.log(`总耗时: ${durationMinutes} 分钟`);
     console.log(`总钱包数: ${shuffledKeys.length}`);
-    console.log(`成功: ${successCount}`);
-    console.log(`跳过(已领取): ${skippedCount}`);
+    console.log(`${dryRun ? '模拟成功' : '成功'}: ${successCount}`);
+    console.log(`跳过(无可领取奖励): ${skippedCount}`);
+    if (!dryRun) {
+        console.log(`跳过(gas不足且无法补充): ${unfundedCount}`);
+        console.log(`补充gas: ${gas.toppedUp} 个钱包，共 ${formatNative(network, gas.spent)}`);
+    }
     console.log(`失败: ${failCount}`);
     
+    // 按事件输出领取的奖励，例如按RewardClaimed的rewardType分别统计
+    const rewardKeys = Object.keys(claimedByType);
+    if (rewardKeys.length > 0) {
+        console.log('本轮领取:');
+        rewardKeys.forEach(key => {
+            console.log(`  ${key}: ${formatTaskAmount(task, claimedByType[key])}`);
+        });
+    }
+    
     return {
         successCount,
         skippedCount,
+        unfundedCount,
+        toppedUpCount: gas.toppedUp,
+        topUpSpent: gas.spent,
         failCount,
+        claimedByType,
         totalWallets: shuffledKeys.length,
         startTime,
         endTime,
@@ -370,24 +384,83 @@ async function runClaimCycle(privateKeys, proxies, rpcUrl, contractABI) {
 }
 
 /**
- * 计算下一次签到的时间
+ * 计算下一次签到的时间: 下一个epoch开始后立即签到，有钱包失败时提前重试
  * @param {Object} lastRunStats - 上一次运行的统计信息
+ * @param {Object|null} epochInfo - getEpochInfo返回的epoch信息，读取失败时为null
+ * @param {Object} [settings] - 运行参数，默认为DEFAULT_SETTINGS
  * @returns {Date} - 下一次签到的时间
  */
-function calculateNextRunTime(lastRunStats) {
-    const now = new Date();
+function calculateNextRunTime(lastRunStats, epochInfo, settings = DEFAULT_SETTINGS) {
+    const clock = settings.clock || systemClock;
+    const nextCheck = new Date(clock.now() + settings.checkInterval * 3600000);
+    
+    // 无法确定epoch时按固定间隔检查
+    if (!epochInfo || !epochInfo.nextEpochStart) {
+        return nextCheck;
+    }
+    
+    // 把链上时间换算为本地时间，在新epoch开始后稍等片刻再运行
+    const nextEpoch = new Date(epochInfo.nextEpochStart - epochInfo.clockOffset + settings.epochWakeDelay * 1000);
+    
+    // 有失败的钱包时在本epoch内提前重试
+    if (lastRunStats.failCount > 0 && nextCheck < nextEpoch) {
+        return nextCheck;
+    }
+    
+    return nextEpoch;
+}
+
+/**
+ * 持续运行: 每个epoch开始后执行一轮签到，有钱包失败时在本epoch内按检查间隔提前重试
+ * @param {Array<string>} privateKeys - 私钥数组
+ * @param {Array<string>} proxies - 代理数组
+ * @param {Object} network - 网络配置，调用前应已检查RPC的chainId
+ * @param {Object} task - 任务定义
+ * @param {Object|null} [topUp] - gas补充配置，包含gas供应钱包私钥(funderKey)和每轮预算(budget)
+ * @param {Object} [settings] - 运行参数，默认为DEFAULT_SETTINGS；settings.maxCycles 指定运行的轮数，默认一直运行
+ * @returns {Promise<Object>} - 达到指定轮数后返回最后一轮的签到结果统计
+ */
+async function runDaemon(privateKeys, proxies, network, task, topUp = null, settings = DEFAULT_SETTINGS) {
+    const clock = settings.clock || systemClock;
+    const maxCycles = settings.maxCycles || Infinity;
+    
+    console.log(`将随机暂停 ${settings.minPause}-${settings.maxPause} 秒之间的时间`);
+    console.log(`持续运行模式已启动: 每个epoch开始后自动签到，有钱包失败时每${settings.checkInterval}小时重试一次`);
     
-    if (lastRunStats.successCount > 0) {
-        // 如果有成功领取的钱包，等待HOURS_TO_WAIT_AFTER_CLAIM小时后再次运行
-        const nextRun = new Date(now);
-        nextRun.setHours(nextRun.getHours() + HOURS_TO_WAIT_AFTER_CLAIM);
-        return nextRun;
-    } else {
-        // 如果没有成功领取的钱包，等待DAILY_CHECK_INTERVAL小时后再次检查
-        const nextRun = new Date(now);
-        nextRun.setHours(nextRun.getHours() + DAILY_CHECK_INTERVAL);
-        return nextRun;
+    // 用于读取epoch信息的只读合约实例
+    const epochContract = new ethers.Contract(task.contract, task.abi, createNetworkProvider(network));
+    
+    let lastRunStats = null;
+    
+    for (let cycle = 1; cycle <= maxCycles; cycle++) {
+        // 执行一轮签到
+        lastRunStats = await runClaimCycle(privateKeys, proxies, network, task, false, topUp, settings);
+        if (cycle === maxCycles) {
+            break;
+        }
+        
+        // 读取链上epoch信息，计算下一次运行时间
+        let epochInfo = null;
+        try {
+            epochInfo = await getEpochInfo(epochContract, task, clock);
+            if (epochInfo) {
+                console.log(`\n当前epoch: ${epochInfo.epoch}`);
+            }
+        } catch (error) {
+            console.error(`读取epoch信息失败: ${error.message}`);
+        }
+        const nextRunTime = calculateNextRunTime(lastRunStats, epochInfo, settings);
+        const waitTimeMs = nextRunTime.getTime() - clock.now();
+        const waitTimeHours = Math.round(waitTimeMs / 3600000 * 10) / 10;
+        
+        console.log(`\n下一次签到将在 ${nextRunTime.toLocaleString()} 进行 (约${waitTimeHours}小时后)`);
+        
+        // 等待到下一次运行时间
+        await clock.sleep(waitTimeMs);
     }
+    
+    epochContract.runner.destroy();
+    return lastRunStats;
 }
 
 /**
@@ -395,28 +468,64 @@ function calculateNextRunTime(lastRunStats) {
  */
 async function main() {
     try {
+        startLogging();
+        
         console.log('===== 多钱包签到脚本 =====');
         
         // 读取命令行参数
+        // --dry-run 对所有钱包模拟一轮签到后退出，不发送交易
+        // --task <任务文件或内置任务名称> 指定要执行的合约任务，默认为Humanity签到
+        // --network <网络名称> 指定网络，默认使用任务文件中的网络
+        // --gas-strategy <provider|feeHistory|fixed> 覆盖网络配置中的gas策略
+        // --max-fee-cap <gwei> 覆盖网络配置中的gas价格上限，超过时暂停发送
+        // --tx-timeout <秒> --stuck-action <speedup|cancel|wait> 覆盖交易超时未确认时的处理方式
+        // --funder <keystore地址或私钥文件> 签到前为gas不足的钱包补充gas，不指定时跳过gas不足的钱包
+        // --topup-budget <数量> 每轮最多补充的原生代币总量，默认 0.01
         const args = process.argv.slice(2);
-        const rpcUrl = args[0] || 'https://rpc.testnet.humanity.org'; // 默认RPC URL
+        const dryRun = args.includes('--dry-run');
+        const taskFile = getArgValue(args, '--task') || DEFAULT_TASK;
+        const networkName = getArgValue(args, '--network');
+        const gasOverrides = {
+            strategy: getArgValue(args, '--gas-strategy'),
+            maxFeeCap: getArgValue(args, '--max-fee-cap'),
+            txTimeout: getArgValue(args, '--tx-timeout'),
+            stuckAction: getArgValue(args, '--stuck-action')
+        };
+        const funderSource = getArgValue(args, '--funder');
+        const topUpBudget = getArgValue(args, '--topup-budget') || DEFAULT_TOPUP_BUDGET;
+        const positional = getPositionalArgs(args, VALUE_FLAGS);
+        const rpcUrl = positional[0]; // 可选，多个用逗号分隔，不传则使用网络配置中的RPC列表
         
-        // 使用默认私钥文件路径
+        // 使用默认私钥文件路径，keystore中有钱包时优先使用keystore
         const privateKeyFile = DEFAULT_PRIVATE_KEY_FILE;
-        console.log(`使用私钥文件: ${privateKeyFile}`);
+        console.log(`使用keystore或私钥文件: ${privateKeyFile}`);
         
         // 使用默认代理文件路径
         const proxyFile = DEFAULT_PROXY_FILE;
         console.log(`使用代理文件: ${proxyFile}`);
         
-        // 读取合约ABI
-        const abiPath = path.join(__dirname, DEFAULT_ABI_FILE);
-        const contractABI = readContractABI(abiPath);
+        // 读取任务定义和合约ABI
+        const task = loadTask(taskFile);
+        console.log(`使用任务: ${task.name} (${task.file})`);
+        console.log(`合约地址: ${task.contract}`);
+        
+        // 选择网络，不传RPC时使用网络配置中的RPC
+        const network = getNetwork(networkName || task.network || DEFAULT_NETWORK, rpcUrl, gasOverrides);
+        console.log(`使用网络: ${network.name} (chainId: ${network.chainId})`);
+        console.log(describeGasConfig(network.gas));
         
         // 读取私钥列表
-        const privateKeys = readPrivateKeys(path.resolve(__dirname, privateKeyFile));
+        const privateKeys = await loadPrivateKeys({ keyFile: path.resolve(__dirname, privateKeyFile) });
         console.log(`成功读取 ${privateKeys.length} 个私钥`);
         
+        // 读取gas供应钱包，可以是keystore中的地址或私钥文件
+        let topUp = null;
+        if (funderSource && !dryRun) {
+            const funderKey = await loadPrivateKey(funderSource);
+            topUp = { funderKey, budget: ethers.parseEther(topUpBudget) };
+            console.log(`gas供应钱包: ${ethers.computeAddress(funderKey)}，每轮补充预算: ${formatNative(network, topUp.budget)}`);
+        }
+        
         // 读取代理列表
         const proxies = readProxies(path.resolve(__dirname, proxyFile));
         if (proxies.length > 0) {
@@ -424,33 +533,32 @@ async function main() {
         }
         
         console.log('准备开始批量签到...');
-        console.log(`使用RPC: ${rpcUrl}`);
-        console.log(`将随机暂停 ${MIN_PAUSE}-${MAX_PAUSE} 秒之间的时间`);
-        console.log(`持续运行模式已启动: 每${DAILY_CHECK_INTERVAL}小时检查一次，成功领取后等待${HOURS_TO_WAIT_AFTER_CLAIM}小时`);
+        await reportRpcHealth(network);
         
-        // 持续运行模式
-        let continuousMode = true;
-        let lastRunStats = null;
+        // 检查RPC的chainId，不一致时拒绝运行
+        (await connectNetwork(network)).destroy();
         
-        while (continuousMode) {
-            // 执行一轮签到
-            lastRunStats = await runClaimCycle(privateKeys, proxies, rpcUrl, contractABI);
-            
-            // 计算下一次运行时间
-            const nextRunTime = calculateNextRunTime(lastRunStats);
-            const waitTimeMs = nextRunTime.getTime() - new Date().getTime();
-            const waitTimeHours = Math.round(waitTimeMs / 3600000 * 10) / 10;
-            
-            console.log(`\n下一次签到将在 ${nextRunTime.toLocaleString()} 进行 (约${waitTimeHours}小时后)`);
-            
-            // 等待到下一次运行时间
-            await delay(waitTimeMs);
+        if (dryRun) {
+            await runClaimCycle(privateKeys, proxies, network, task, true);
+            return;
         }
         
+        await runDaemon(privateKeys, proxies, network, task, topUp);
+        
     } catch (error) {
         console.error(`错误: ${error.message}`);
     }
 }
 
-// 运行主函数
-main();
+// 直接运行时执行主函数，被其他脚本引用时只导出多钱包签到函数
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    DEFAULT_TOPUP_BUDGET,
+    readProxies,
+    runClaimCycle,
+    runDaemon
+};
@@ -0,0 +1,82 @@
+/**
+ * 编程接口: 在Node.js程序中直接调用钱包生成、批量转账和合约签到，不需要启动脚本
+ *
+ * 示例:
+ *   const { batchTransfer, claimReward, generateWallets } = require('<项目目录>');
+ *   const result = await batchTransfer({ privateKey, recipients, network: 'humanity-testnet', amount: '0.01' });
+ *   const claim = await claimReward({ privateKey, task: 'humanity' });
+ *
+ * batchTransfer和claimReward的network参数可以是networks.json中的网络名称，也可以是getNetwork返回的网络配置，
+ * 其他函数需要传入网络配置；出错时抛出异常，单个钱包或单笔转账的失败记录在返回结果中
+ *
+ * 日志默认只输出到控制台，调用configureLogging或startLogging后同时写入JSON日志文件
+ */
+
+// 导入所需模块
+const { DEFAULT_HD_PATH, generateWallets } = require('./generateWallet');
+const {
+    DEFAULT_CONCURRENCY,
+    readWalletAddresses,
+    readJournal,
+    batchTransfer,
+    simulateTransfers,
+    prepareTransfers,
+    signTransfers,
+    broadcastTransfers
+} = require('./batchTransfer');
+const { claimReward } = require('./lib/claim');
+const { readProxies, runClaimCycle, runDaemon } = require('./hum/multiWalletClaim');
+const { readWalletList, readDashboard } = require('./dashboard');
+const { DEFAULT_NETWORK, listNetworks, getNetwork, resolveNetwork, connectNetwork } = require('./lib/networks');
+const { DEFAULT_TASK, loadTask } = require('./lib/contractTask');
+const { listKeystores, loadPrivateKeys, loadPrivateKey } = require('./lib/keyStore');
+const { checkRecipients } = require('./lib/recipients');
+const { logger, getRunId, addSecret, redact, configureLogging, createLogger, startLogging } = require('./lib/logger');
+
+module.exports = {
+    // 钱包生成
+    DEFAULT_HD_PATH,
+    generateWallets,
+    
+    // 批量转账
+    DEFAULT_CONCURRENCY,
+    readWalletAddresses,
+    readJournal,
+    checkRecipients,
+    batchTransfer,
+    simulateTransfers,
+    prepareTransfers,
+    signTransfers,
+    broadcastTransfers,
+    
+    // 合约签到
+    DEFAULT_TASK,
+    loadTask,
+    claimReward,
+    readProxies,
+    runClaimCycle,
+    runDaemon,
+    
+    // 钱包面板
+    readWalletList,
+    readDashboard,
+    
+    // 网络和私钥
+    DEFAULT_NETWORK,
+    listNetworks,
+    getNetwork,
+    resolveNetwork,
+    connectNetwork,
+    listKeystores,
+    loadPrivateKeys,
+    loadPrivateKey,
+    
+    // 日志
+    logger,
+    getRunId,
+    addSecret,
+    redact,
+    configureLogging,
+    createLogger,
+    startLogging
+};
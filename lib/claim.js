@@ -0,0 +1,232 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { getSimulationGasPrice, simulateTransaction } = require('./simulation');
+const { ERROR_TYPES, ERROR_TYPE_LABELS, classifyError } = require('./contractErrors');
+const {
+    loadTask,
+    resolveArgs,
+    getPendingActions,
+    formatReading,
+    parseTaskEvents,
+    formatTaskEvent
+} = require('./contractTask');
+const { resolveNetwork, createNetworkProvider, formatNative, formatTxHash } = require('./networks');
+const { getGasFees, waitForGasFees, estimateGasLimit } = require('./gas');
+const { watchTransaction } = require('./txWatcher');
+const { systemClock } = require('./utils');
+const { logger, addSecret } = require('./logger');
+
+// 默认重试参数
+const DEFAULT_SETTINGS = {
+    maxRetries: 5,         // 最大重试次数
+    retryDelay: 5000,      // 网络错误的重试间隔(毫秒)
+    escalationFactor: 1.5, // 重试间隔递增因子
+    feeBumpPercent: 20n    // nonce或gas费问题重试时每次提高的gas费百分比
+};
+
+/**
+ * 创建提供者，指定代理时通过代理连接RPC
+ * @param {Object} network - 网络配置
+ * @param {string|null} proxy - 代理URL
+ * @returns {ethers.JsonRpcProvider} - 提供者
+ */
+function createProvider(network, proxy) {
+    if (!proxy) {
+        return createNetworkProvider(network);
+    }
+    
+    // 创建带有代理的提供者
+    const agent = new HttpsProxyAgent(proxy);
+    
+    return createNetworkProvider(network, {
+        agent: agent,
+        proxy: proxy
+    });
+}
+
+/**
+ * 按任务定义执行合约签到
+ * 网络错误按指数退避重试，nonce冲突时提高gas费后立即重试，合约回滚和余额不足时不重试
+ * 签到的交易和失败原因写入日志，每条日志带有网络和钱包地址
+ * @param {Object} opts - 签到参数
+ * @param {string} opts.privateKey - 钱包私钥
+ * @param {string|Object} [opts.network] - 网络名称或网络配置，不传则使用任务文件中的网络
+ * @param {string|Object} [opts.task] - 任务文件、内置任务名称或已加载的任务定义，默认为Humanity签到
+ * @param {string|null} [opts.proxy] - 代理URL
+ * @param {boolean} [opts.dryRun] - 是否只模拟签到，不发送交易
+ * @param {Object} [opts.settings] - 重试参数，默认为DEFAULT_SETTINGS
+ * @param {string} [opts.label] - 输出和签到记录中的钱包标签，例如 钱包 1/10
+ * @param {Object} [opts.clock] - 重试等待使用的时钟，默认为系统时钟
+ * @param {Object} [opts.logger] - 日志记录器，默认为共用的日志记录器
+ * @returns {Promise<{address: string, status: string, rewards: Object, txHashes: string[], error: string|null}>} - 签到结果(claimed、skipped或failed)、按事件汇总的领取数量和已确认的交易哈希
+ */
+async function claimReward(opts) {
+    const { privateKey, proxy = null, dryRun = false, label = null, clock = systemClock } = opts;
+    const settings = { ...DEFAULT_SETTINGS, ...opts.settings };
+    const task = !opts.task || typeof opts.task === 'string' ? loadTask(opts.task) : opts.task;
+    const network = resolveNetwork(opts.network || task.network);
+    const address = ethers.computeAddress(privateKey);
+    const log = (opts.logger || logger).child({ chain: network.name, wallet: address, label: label || undefined });
+    addSecret(privateKey);
+    
+    let retryCount = 0;
+    let currentDelay = settings.retryDelay;
+    let feePercent = 100n;
+    const contractInterface = new ethers.Interface(task.abi);
+    
+    // 按事件汇总领取的奖励，重试时保留已领取的部分
+    const result = { address, status: 'failed', rewards: {}, txHashes: [], error: null };
+    
+    while (retryCount <= settings.maxRetries) {
+        let provider = null;
+        try {
+            if (retryCount > 0) {
+                log.info(`尝试第 ${retryCount} 次重试...`);
+            }
+            
+            // 连接到网络的RPC，可能使用代理，chainId已在启动时检查
+            provider = createProvider(network, proxy);
+            
+            // 创建钱包实例
+            const wallet = new ethers.Wallet(privateKey, provider);
+            
+            log.info(label ? `[${label}] 地址: ${address}` : `钱包地址: ${address}`);
+            if (proxy) {
+                // 代理URL中的用户名和密码会被隐藏
+                log.info(`使用代理: ${proxy}`);
+            }
+            
+            // 创建合约实例
+            const contract = new ethers.Contract(task.contract, task.abi, wallet);
+            
+            // 按任务定义检查前置条件，重试时已执行的操作不再满足条件
+            const { context, actions, readings } = await getPendingActions(contract, task, address);
+            if (context.epoch !== undefined) {
+                log.info(`当前epoch: ${context.epoch}`);
+            }
+            readings.forEach(reading => log.info(`${reading.label}: ${formatReading(task, reading)}`));
+            
+            if (actions.length === 0) {
+                if (result.txHashes.length > 0) {
+                    return { ...result, status: 'claimed' };
+                }
+                log.info('没有可领取的奖励，跳过此钱包');
+                return { ...result, status: 'skipped' };
+            }
+            
+            if (dryRun) {
+                // 模拟模式: 只执行eth_call和estimateGas，不发送交易
+                for (const action of actions) {
+                    const request = await contract[action.function].populateTransaction(...resolveArgs(action.args, context));
+                    const simulation = await simulateTransaction(provider, { ...request, from: address }, contract.interface);
+                    if (simulation.error) {
+                        log.error(`模拟 ${action.function} 会失败: ${simulation.error}`);
+                        return { ...result, status: 'failed', error: simulation.error };
+                    }
+                    
+                    const gasCost = simulation.gasLimit * getSimulationGasPrice(await getGasFees(provider, network));
+                    const balance = await provider.getBalance(address);
+                    log.info(`模拟 ${action.function} 成功，预计gas: ${simulation.gasLimit}，预计花费: ${formatNative(network, gasCost)}，当前余额: ${formatNative(network, balance)}`);
+                    if (balance < gasCost) {
+                        log.warn('警告: 余额不足以支付gas');
+                    }
+                }
+                return { ...result, status: 'claimed' };
+            }
+            
+            for (const action of actions) {
+                const args = resolveArgs(action.args, context);
+                log.info(`正在调用 ${action.function}...`);
+                
+                // 发送前先用eth_call检查，合约会回滚时直接解码错误，不浪费gas
+                await contract[action.function].staticCall(...args);
+                
+                // 任务未指定gas限制时估算并增加安全余量，nonce或gas费问题重试时提高gas费
+                // gas价格高于网络配置的上限时暂停发送，直到回落到上限以下
+                const gasLimit = action.gasLimit
+                    || await estimateGasLimit(wallet, await contract[action.function].populateTransaction(...args), network);
+                const tx = await contract[action.function](...args, {
+                    gasLimit,
+                    ...await waitForGasFees(provider, network, feePercent)
+                });
+                
+                log.info(`交易已发送，交易哈希: ${formatTxHash(network, tx.hash)}`, { txHash: tx.hash });
+                log.info('等待交易确认...', { txHash: tx.hash });
+                
+                // 等待交易确认，超时未确认时按网络配置加速或取消
+                const { receipt, cancelled } = await watchTransaction(tx, network, { wallet });
+                if (cancelled) {
+                    // 与ethers发现交易被替换时的错误代码一致，按nonce问题重新获取nonce后立即重试
+                    const error = new Error(`${action.function} 交易超时未确认，已通过 ${receipt.hash} 取消`);
+                    error.code = 'TRANSACTION_REPLACED';
+                    throw error;
+                }
+                
+                // 签到记录: 交易哈希和区块号写入日志
+                log.info(`${action.function} 成功! 区块号: ${receipt.blockNumber}`, {
+                    txHash: receipt.hash,
+                    function: action.function,
+                    blockNumber: receipt.blockNumber
+                });
+                result.txHashes.push(receipt.hash);
+                
+                // 解析任务定义的事件，并汇总领取的奖励
+                parseTaskEvents(contract, task, receipt).forEach(event => {
+                    log.info(formatTaskEvent(task, event), { txHash: receipt.hash, event: event.name, amount: event.amount });
+                    if (event.summary) {
+                        result.rewards[event.key] = (result.rewards[event.key] || 0n) + event.amount;
+                    }
+                });
+            }
+            
+            // 签到成功
+            return { ...result, status: 'claimed' };
+            
+        } catch (error) {
+            // 对错误分类，合约回滚时解码ABI中定义的错误
+            const failure = classifyError(error, contractInterface);
+            
+            // 合约回滚和余额不足时重试也不会成功，检查是否已达到最大重试次数
+            const retryable = failure.type === ERROR_TYPES.NONCE || failure.type === ERROR_TYPES.TRANSPORT;
+            const giveUp = !retryable || retryCount >= settings.maxRetries;
+            
+            // 最终失败记为error，合约回滚时包含解码后的错误名称和参数
+            log[giveUp ? 'error' : 'warn'](`签到失败(${ERROR_TYPE_LABELS[failure.type]}): ${failure.message}`, {
+                errorType: failure.type,
+                retries: retryCount
+            });
+            if (giveUp) {
+                log.error(retryable ? `已达到最大重试次数 (${settings.maxRetries})，停止尝试` : '该错误重试无效，停止尝试');
+                return { ...result, status: 'failed', error: failure.message };
+            }
+            
+            // 增加重试计数
+            retryCount++;
+            
+            if (failure.type === ERROR_TYPES.NONCE) {
+                // 重新获取nonce并提高gas费后立即重试
+                feePercent += BigInt(settings.feeBumpPercent);
+                log.info(`将重新获取nonce，并按 ${feePercent}% 的gas费重试...`);
+            } else {
+                // 网络错误按指数退避等待后重试
+                log.info(`将在 ${currentDelay/1000} 秒后重试...`);
+                await clock.sleep(currentDelay);
+                currentDelay = Math.floor(currentDelay * settings.escalationFactor);
+            }
+        } finally {
+            // 每次尝试都重新连接，结束后释放提供者，避免持续运行时积累
+            if (provider) {
+                provider.destroy();
+            }
+        }
+    }
+    
+    return { ...result, status: 'failed' };
+}
+
+module.exports = {
+    DEFAULT_SETTINGS,
+    createProvider,
+    claimReward
+};
@@ -0,0 +1,171 @@
+// 导入所需模块
+const fs = require('fs');
+const path = require('path');
+
+// 默认配置文件，存在时自动读取，可通过 --config 或环境变量 WEB3_CONFIG 指定其他文件
+const DEFAULT_CONFIG_FILE = path.join(__dirname, '..', 'web3.config.json');
+
+// 环境变量前缀: 参数 --min-pause 对应环境变量 WEB3_MIN_PAUSE
+const ENV_PREFIX = 'WEB3_';
+
+/**
+ * 把参数名转换为配置文件中的键名: min-pause -> minPause
+ * @param {string} name - 参数名
+ * @returns {string} - 键名
+ */
+function toConfigKey(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * 把参数名转换为环境变量名: min-pause -> WEB3_MIN_PAUSE
+ * @param {string} name - 参数名
+ * @returns {string} - 环境变量名
+ */
+function toEnvName(name) {
+    return ENV_PREFIX + name.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * 按选项定义解析命令行参数，支持 --name value、--name=value 和不带值的开关参数
+ * @param {string[]} args - 命令行参数
+ * @param {Array<{name: string, type: string}>} options - 选项定义，type为string、number或boolean
+ * @returns {{flags: Object, positional: string[]}} - 以参数名为键的参数值和其余的位置参数
+ */
+function parseArgs(args, options) {
+    const flags = {};
+    const positional = [];
+    
+    for (let i = 0; i < args.length; i++) {
+        if (!args[i].startsWith('--')) {
+            positional.push(args[i]);
+            continue;
+        }
+        
+        const separator = args[i].indexOf('=');
+        const name = separator < 0 ? args[i].slice(2) : args[i].slice(2, separator);
+        const option = options.find(item => item.name === name);
+        if (!option) {
+            throw new Error(`未知参数: --${name}`);
+        }
+        
+        if (separator >= 0) {
+            flags[name] = args[i].slice(separator + 1);
+        } else if (option.type === 'boolean') {
+            flags[name] = true;
+        } else if (i + 1 < args.length && !args[i + 1].startsWith('--')) {
+            flags[name] = args[++i];
+        } else {
+            throw new Error(`--${name} 需要指定参数值`);
+        }
+    }
+    
+    return { flags, positional };
+}
+
+/**
+ * 读取JSON配置文件
+ * @param {string|null} filePath - 配置文件路径，不传则读取默认配置文件(不存在时返回空配置)
+ * @returns {Object} - 配置
+ */
+function loadConfig(filePath = null) {
+    const file = filePath ? path.resolve(filePath) : DEFAULT_CONFIG_FILE;
+    if (!filePath && !fs.existsSync(file)) {
+        return {};
+    }
+    
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`读取配置文件 ${file} 失败: ${error.message}`);
+    }
+}
+
+/**
+ * 按选项类型转换参数值
+ * @param {Object} option - 选项定义
+ * @param {*} value - 命令行、环境变量或配置文件中的值
+ * @param {string} source - 值的来源，用于错误提示
+ * @returns {*} - 转换后的值
+ */
+function convertValue(option, value, source) {
+    if (option.type === 'boolean') {
+        return value === true || /^(1|true|yes|y)$/i.test(String(value));
+    }
+    if (option.type === 'number') {
+        const number = Number(value);
+        if (value === '' || isNaN(number)) {
+            throw new Error(`${source} 需要是数字: ${value}`);
+        }
+        return number;
+    }
+    return String(value);
+}
+
+/**
+ * 按优先级确定每个选项的值: 命令行参数 > 环境变量 > 配置文件 > 默认值
+ * 配置文件中顶层的值为所有子命令共用，sections中的配置段按顺序覆盖顶层的值
+ * @param {Array<{name: string, type: string, default: *}>} options - 选项定义
+ * @param {string[]} sections - 配置文件中要读取的配置段，例如 ['claim', 'daemon']
+ * @param {string[]} args - 命令行参数
+ * @param {Object} [env] - 环境变量
+ * @returns {{values: Object, positional: string[]}} - 以驼峰键名为键的选项值和位置参数
+ */
+function resolveOptions(options, sections, args, env = process.env) {
+    const { flags, positional } = parseArgs(args, options);
+    const config = loadConfig(flags.config || env[toEnvName('config')] || null);
+    
+    // 只取配置段中的普通值，配置段本身是对象
+    const pickValues = (object) => Object.fromEntries(Object.entries(object || {})
+        .filter(([, value]) => value === null || typeof value !== 'object'));
+    const fileValues = Object.assign({}, pickValues(config), ...sections.map(section => pickValues(config[section])));
+    
+    const values = {};
+    for (const option of options) {
+        const key = toConfigKey(option.name);
+        const envName = toEnvName(option.name);
+        let value;
+        
+        if (flags[option.name] !== undefined) {
+            value = convertValue(option, flags[option.name], `--${option.name}`);
+        } else if (env[envName] !== undefined && env[envName] !== '') {
+            value = convertValue(option, env[envName], `环境变量 ${envName}`);
+        } else if (fileValues[key] !== undefined && fileValues[key] !== null) {
+            value = convertValue(option, fileValues[key], `配置项 ${key}`);
+        } else {
+            value = option.default === undefined ? null : option.default;
+        }
+        values[key] = value;
+    }
+    
+    return { values, positional };
+}
+
+/**
+ * 生成选项的帮助文本
+ * @param {Array<{name: string, type: string, default: *, description: string}>} options - 选项定义
+ * @returns {string} - 每个选项一行的帮助文本
+ */
+function formatOptionHelp(options) {
+    const labels = options.map(option => `--${option.name}${option.type === 'boolean' ? '' : ' <值>'}`);
+    const width = Math.max(...labels.map(label => label.length));
+    
+    return options.map((option, index) => {
+        const notes = [`环境变量 ${toEnvName(option.name)}`];
+        if (option.default !== undefined && option.default !== null && option.type !== 'boolean') {
+            notes.unshift(`默认: ${option.default}`);
+        }
+        return `  ${labels[index].padEnd(width)}  ${option.description} (${notes.join('，')})`;
+    }).join('\n');
+}
+
+module.exports = {
+    DEFAULT_CONFIG_FILE,
+    ENV_PREFIX,
+    toConfigKey,
+    toEnvName,
+    parseArgs,
+    loadConfig,
+    resolveOptions,
+    formatOptionHelp
+};
@@ -0,0 +1,161 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const { NONCE_USED } = require('./txWatcher');
+
+// 失败类型，决定失败后是否重试以及如何重试
+const ERROR_TYPES = {
+    REVERT: 'revert',       // 合约回滚，重试也会失败
+    NONCE: 'nonce',         // nonce或gas费问题，调整后重试
+    FUNDS: 'funds',         // 余额不足以支付gas，重试无效
+    TRANSPORT: 'transport'  // 网络或RPC错误，退避后重试
+};
+
+// 失败类型的中文说明，用于日志
+const ERROR_TYPE_LABELS = {
+    revert: '合约回滚',
+    nonce: 'nonce或gas费问题',
+    funds: '余额不足',
+    transport: '网络或RPC错误'
+};
+
+// nonce和gas费相关错误: 节点拒绝的交易，以及已被替换、取消或nonce已被其他交易使用的交易
+const NONCE_ERROR_CODES = ['NONCE_EXPIRED', 'REPLACEMENT_UNDERPRICED', 'TRANSACTION_REPLACED', NONCE_USED];
+const NONCE_ERROR_PATTERN = /nonce too (low|high)|underpriced|fee cap|base fee|max fee per gas|already known/i;
+
+// Solidity内置的错误类型，合约ABI中通常不包含
+const BUILTIN_ERRORS = new ethers.Interface([
+    'error Error(string message)',
+    'error Panic(uint256 code)'
+]);
+
+/**
+ * 从错误对象中提取revert数据，不同RPC节点返回的位置不同
+ * @param {Error} error - 错误对象
+ * @returns {string|null} - revert数据
+ */
+function getRevertData(error) {
+    const candidates = [
+        error.data,
+        error.info && error.info.error && error.info.error.data,
+        error.error && error.error.data
+    ];
+    
+    for (const data of candidates) {
+        if (typeof data === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(data)) {
+            return data;
+        }
+        if (data && typeof data.data === 'string' && /^0x[0-9a-fA-F]{8,}$/.test(data.data)) {
+            return data.data;
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * 解码合约revert原因: 优先使用合约ABI中的自定义错误，其次是Error(string)和Panic(uint256)
+ * @param {Error} error - 错误对象
+ * @param {ethers.Interface} [iface] - 合约接口
+ * @returns {{name: string, args: string[]}|null} - 错误名称和参数，无法解码时为null
+ */
+function decodeRevert(error, iface) {
+    if (error.revert) {
+        return { name: error.revert.name, args: Array.from(error.revert.args, String) };
+    }
+    
+    const data = getRevertData(error);
+    if (data) {
+        for (const candidate of [iface, BUILTIN_ERRORS]) {
+            if (!candidate) {
+                continue;
+            }
+            try {
+                const parsed = candidate.parseError(data);
+                if (parsed) {
+                    return { name: parsed.name, args: Array.from(parsed.args, String) };
+                }
+            } catch (e) {
+                // 不是该接口中的错误，继续尝试下一个
+            }
+        }
+        return { name: `未知错误 ${data.slice(0, 10)}`, args: [] };
+    }
+    
+    if (error.code === 'CALL_EXCEPTION' && error.reason) {
+        return { name: 'Error', args: [error.reason] };
+    }
+    
+    return null;
+}
+
+/**
+ * 格式化解码后的revert原因
+ * @param {{name: string, args: string[]}} decoded - 错误名称和参数
+ * @returns {string} - 例如 AccessControlUnauthorizedAccount(0x..., 0x...)
+ */
+function formatRevert(decoded) {
+    return `${decoded.name}(${decoded.args.join(', ')})`;
+}
+
+/**
+ * 生成错误描述，合约revert时显示解码后的原因
+ * @param {Error} error - 错误对象
+ * @param {ethers.Interface} [iface] - 合约接口
+ * @returns {string} - 错误描述
+ */
+function describeError(error, iface) {
+    const decoded = decodeRevert(error, iface);
+    if (decoded) {
+        return `合约执行回滚: ${formatRevert(decoded)}`;
+    }
+    
+    // 没有revert数据时优先显示节点返回的原始错误，例如余额不足
+    const rpcError = error.info && error.info.error;
+    if (rpcError && rpcError.message) {
+        return rpcError.message;
+    }
+    
+    return error.shortMessage || error.message;
+}
+
+/**
+ * 对交易失败进行分类: 合约回滚(解码ABI中的错误)、nonce或gas费问题、余额不足、网络或RPC错误
+ * 已被替换或取消的交易，以及nonce已被其他交易使用的交易，都按nonce问题处理
+ * @param {Error} error - 错误对象
+ * @param {ethers.Interface} [iface] - 合约接口
+ * @returns {{type: string, message: string, decoded: {name: string, args: string[]}|null}} - 失败类型、描述和解码后的回滚原因
+ */
+function classifyError(error, iface) {
+    // 节点返回的原始错误通常比ethers包装后的错误更具体
+    const rpcError = error.info && error.info.error;
+    const rawMessage = (rpcError && rpcError.message) || error.shortMessage || error.message || error.code;
+    
+    if (error.code === 'INSUFFICIENT_FUNDS' || /insufficient funds/i.test(rawMessage)) {
+        return { type: ERROR_TYPES.FUNDS, message: rawMessage, decoded: null };
+    }
+    
+    if (NONCE_ERROR_CODES.includes(error.code) || NONCE_ERROR_PATTERN.test(rawMessage)) {
+        return { type: ERROR_TYPES.NONCE, message: rawMessage, decoded: null };
+    }
+    
+    const decoded = decodeRevert(error, iface);
+    if (decoded || error.code === 'CALL_EXCEPTION') {
+        return {
+            type: ERROR_TYPES.REVERT,
+            message: decoded ? formatRevert(decoded) : `交易执行失败，没有回滚数据${error.receipt ? ` (交易哈希: ${error.receipt.hash})` : ''}`,
+            decoded
+        };
+    }
+    
+    return { type: ERROR_TYPES.TRANSPORT, message: rawMessage, decoded: null };
+}
+
+module.exports = {
+    ERROR_TYPES,
+    ERROR_TYPE_LABELS,
+    getRevertData,
+    decodeRevert,
+    formatRevert,
+    describeError,
+    classifyError
+};
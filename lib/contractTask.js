@@ -0,0 +1,286 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { systemClock } = require('./utils');
+
+// 内置任务目录，--task 只传名称时从这里查找
+const BUILTIN_TASK_DIR = path.join(__dirname, '..', 'hum', 'tasks');
+const DEFAULT_TASK = 'humanity';
+
+/**
+ * 读取任务定义文件: 合约地址、ABI路径、前置条件、要调用的写函数和要解析的事件
+ * ABI路径相对于任务文件所在目录解析
+ * @param {string} [fileOrName] - 任务文件路径，或内置任务名称
+ * @returns {Object} - 任务定义，abi字段为读取后的合约ABI
+ */
+function loadTask(fileOrName = DEFAULT_TASK) {
+    const filePath = fs.existsSync(fileOrName) ? fileOrName : path.join(BUILTIN_TASK_DIR, `${fileOrName}.json`);
+    
+    let task;
+    try {
+        task = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`读取任务文件失败: ${error.message}`);
+    }
+    
+    if (!ethers.isAddress(task.contract)) {
+        throw new Error(`任务 ${filePath} 中的合约地址无效: ${task.contract}`);
+    }
+    if (!Array.isArray(task.actions) || task.actions.length === 0) {
+        throw new Error(`任务 ${filePath} 中没有定义要调用的写函数(actions)`);
+    }
+    
+    let abi;
+    try {
+        abi = JSON.parse(fs.readFileSync(path.resolve(path.dirname(filePath), task.abi), 'utf8'));
+    } catch (error) {
+        throw new Error(`读取合约ABI文件失败: ${error.message}`);
+    }
+    
+    // 提前检查任务中引用的函数和事件都在ABI中
+    const iface = new ethers.Interface(abi);
+    const events = task.events || [];
+    for (const action of task.actions) {
+        if (!iface.getFunction(action.function)) {
+            throw new Error(`ABI中没有任务引用的函数: ${action.function}`);
+        }
+    }
+    for (const event of events) {
+        if (!iface.getEvent(event.name)) {
+            throw new Error(`ABI中没有任务引用的事件: ${event.name}`);
+        }
+    }
+    
+    return {
+        ...task,
+        name: task.name || path.basename(filePath, '.json'),
+        file: filePath,
+        abi,
+        unit: { symbol: '', decimals: 18, ...task.unit },
+        events
+    };
+}
+
+/**
+ * 替换参数中的占位符: {wallet} 为当前钱包地址，{epoch} 为当前epoch
+ * @param {Array} args - 任务中定义的参数
+ * @param {Object} context - 占位符的值
+ * @returns {Array} - 替换后的参数
+ */
+function resolveArgs(args = [], context) {
+    return args.map(arg => {
+        const match = typeof arg === 'string' && arg.match(/^\{(\w+)\}$/);
+        if (!match) {
+            return arg;
+        }
+        if (context[match[1]] === undefined) {
+            throw new Error(`任务参数中的占位符 ${arg} 没有可用的值`);
+        }
+        return context[match[1]];
+    });
+}
+
+/**
+ * 调用view函数读取条件的值，同一函数和参数只读取一次
+ * @param {ethers.Contract} contract - 合约实例
+ * @param {Object} condition - 叶子条件
+ * @param {Object} context - 占位符的值
+ * @param {Map} readings - 已读取的值
+ * @returns {Promise<*>} - 读取的值
+ */
+async function readConditionValue(contract, condition, context, readings) {
+    const args = resolveArgs(condition.args, context);
+    const key = `${condition.function}(${args.join(',')})${condition.field ? `.${condition.field}` : ''}`;
+    
+    if (!readings.has(key)) {
+        const result = await contract[condition.function](...args);
+        const value = condition.field ? result[condition.field] : result;
+        readings.set(key, { label: condition.label, raw: !!condition.raw, value });
+    }
+    
+    return readings.get(key).value;
+}
+
+/**
+ * 计算前置条件: 条件可以用all/any嵌套，叶子条件调用view函数并检查返回值
+ * expect可以是 nonZero(默认)、zero、true 或 false
+ * 为了完整显示读取的值，all/any不会提前结束
+ * @param {ethers.Contract} contract - 合约实例
+ * @param {Object} condition - 条件
+ * @param {Object} context - 占位符的值
+ * @param {Map} readings - 已读取的值
+ * @returns {Promise<boolean>} - 条件是否满足
+ */
+async function evaluateCondition(contract, condition, context, readings) {
+    if (condition.all || condition.any) {
+        const results = [];
+        for (const child of condition.all || condition.any) {
+            results.push(await evaluateCondition(contract, child, context, readings));
+        }
+        return condition.all ? results.every(Boolean) : results.some(Boolean);
+    }
+    
+    const value = await readConditionValue(contract, condition, context, readings);
+    const expect = condition.expect === undefined ? 'nonZero' : condition.expect;
+    
+    if (expect === 'nonZero') {
+        return BigInt(value) !== 0n;
+    }
+    if (expect === 'zero') {
+        return BigInt(value) === 0n;
+    }
+    return value === expect;
+}
+
+/**
+ * 检查每个写函数的前置条件，返回当前需要执行的操作
+ * @param {ethers.Contract} contract - 合约实例
+ * @param {Object} task - 任务定义
+ * @param {string} walletAddress - 钱包地址
+ * @returns {Promise<{context: Object, actions: Array<Object>, readings: Array<Object>}>} - 占位符的值、需要执行的操作和读取到的带标签的值
+ */
+async function getPendingActions(contract, task, walletAddress) {
+    const context = { wallet: walletAddress };
+    if (task.epoch) {
+        context.epoch = await contract[task.epoch.currentEpoch]();
+    }
+    
+    const readings = new Map();
+    const actions = [];
+    for (const action of task.actions) {
+        if (!action.precondition || await evaluateCondition(contract, action.precondition, context, readings)) {
+            actions.push(action);
+        }
+    }
+    
+    return {
+        context,
+        actions,
+        readings: [...readings.values()].filter(reading => reading.label)
+    };
+}
+
+/**
+ * 按任务的单位格式化数量
+ * @param {Object} task - 任务定义
+ * @param {bigint} value - 数量
+ * @returns {string} - 例如 1.5 HUM
+ */
+function formatTaskAmount(task, value) {
+    return `${ethers.formatUnits(value, task.unit.decimals)} ${task.unit.symbol}`.trim();
+}
+
+/**
+ * 格式化前置条件中读取到的值: 布尔值显示为是/否，数值默认按任务单位显示
+ * @param {Object} task - 任务定义
+ * @param {Object} reading - 读取到的值
+ * @returns {string} - 格式化后的值
+ */
+function formatReading(task, reading) {
+    if (typeof reading.value === 'boolean') {
+        return reading.value ? '是' : '否';
+    }
+    return reading.raw ? reading.value.toString() : formatTaskAmount(task, reading.value);
+}
+
+/**
+ * 解析交易回执中任务定义的事件
+ * 事件配置了amount和summary时计入汇总，配置了groupBy时按该字段分别汇总
+ * @param {ethers.Contract} contract - 合约实例
+ * @param {Object} task - 任务定义
+ * @param {ethers.TransactionReceipt} receipt - 交易回执
+ * @returns {Array<Object>} - 解析后的事件
+ */
+function parseTaskEvents(contract, task, receipt) {
+    const events = [];
+    
+    for (const log of receipt.logs) {
+        let parsedLog;
+        try {
+            parsedLog = contract.interface.parseLog(log);
+        } catch (e) {
+            continue;
+        }
+        
+        const config = parsedLog && task.events.find(event => event.name === parsedLog.name);
+        if (!config) {
+            continue;
+        }
+        
+        const label = config.label || parsedLog.name;
+        const group = config.groupBy ? `${config.groupBy} ${parsedLog.args[config.groupBy]}` : null;
+        events.push({
+            name: parsedLog.name,
+            label,
+            key: group ? `${label} (${group})` : label,
+            args: parsedLog.args.toObject(),
+            amountField: config.amount || null,
+            amount: config.amount ? parsedLog.args[config.amount] : null,
+            summary: !!(config.summary && config.amount)
+        });
+    }
+    
+    return events;
+}
+
+/**
+ * 格式化解析后的事件，显示数量和其他参数
+ * @param {Object} task - 任务定义
+ * @param {Object} event - parseTaskEvents返回的事件
+ * @returns {string} - 格式化后的事件
+ */
+function formatTaskEvent(task, event) {
+    const details = Object.entries(event.args)
+        .filter(([name]) => name !== event.amountField)
+        .map(([name, value]) => `${name}: ${value}`)
+        .join(', ');
+    const amount = event.amount !== null ? `: ${formatTaskAmount(task, event.amount)}` : '';
+    
+    return `${event.label}${amount} (${details})`;
+}
+
+/**
+ * 从链上读取epoch信息，计算下一个epoch开始的时间
+ * @param {ethers.Contract} contract - 合约实例
+ * @param {Object} task - 任务定义，没有epoch配置时返回null
+ * @param {Object} [clock] - 用于读取本地时间的时钟，默认为系统时钟
+ * @returns {Promise<{epoch: bigint, nextEpochStart: number|null, clockOffset: number}|null>} - 当前epoch、下一个epoch开始的链上时间(毫秒)和链上时间与本地时间的差值(毫秒)
+ */
+async function getEpochInfo(contract, task, clock = systemClock) {
+    if (!task.epoch) {
+        return null;
+    }
+    
+    const { currentEpoch, startTimestamp, duration } = task.epoch;
+    const [epoch, cycleStart, block] = await Promise.all([
+        contract[currentEpoch](),
+        contract[startTimestamp](),
+        contract.runner.provider.getBlock('latest')
+    ]);
+    const clockOffset = block.timestamp * 1000 - clock.now();
+    
+    // 按duration推算的epoch与合约不一致时，说明epoch时长不同，无法推算下一个epoch的开始时间
+    const expectedEpoch = Math.floor((block.timestamp - Number(cycleStart)) / duration);
+    if (expectedEpoch !== Number(epoch)) {
+        console.log(`警告: 按 ${duration} 秒推算的epoch(${expectedEpoch})与合约的${currentEpoch}(${epoch})不一致`);
+        return { epoch, nextEpochStart: null, clockOffset };
+    }
+    
+    const nextEpochStart = (Number(cycleStart) + (Number(epoch) + 1) * duration) * 1000;
+    return { epoch, nextEpochStart, clockOffset };
+}
+
+module.exports = {
+    BUILTIN_TASK_DIR,
+    DEFAULT_TASK,
+    loadTask,
+    resolveArgs,
+    evaluateCondition,
+    getPendingActions,
+    formatTaskAmount,
+    formatReading,
+    parseTaskEvents,
+    formatTaskEvent,
+    getEpochInfo
+};
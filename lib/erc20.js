@@ -0,0 +1,39 @@
+// ERC-20代币: 批量转账、资金归集和钱包面板共用的最小ABI和代币信息读取
+const { ethers } = require('ethers');
+
+// ERC-20代币转账、授权和余额查询所需的最小ABI
+const ERC20_ABI = [
+    'function decimals() view returns (uint8)',
+    'function symbol() view returns (string)',
+    'function balanceOf(address owner) view returns (uint256)',
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function approve(address spender, uint256 amount) returns (bool)',
+    'function transfer(address to, uint256 amount) returns (bool)'
+];
+
+/**
+ * 读取代币信息，未指定代币时返回网络原生代币的符号和精度
+ * @param {string|null} tokenAddress - 代币合约地址
+ * @param {ethers.ContractRunner} runner - 钱包或提供者
+ * @param {Object} network - 网络配置
+ * @returns {Promise<{token: ethers.Contract|null, symbol: string, decimals: number}>} - 代币合约、符号和精度
+ */
+async function readTokenInfo(tokenAddress, runner, network) {
+    if (!tokenAddress) {
+        return { token: null, symbol: network.nativeSymbol, decimals: 18 };
+    }
+    
+    const token = new ethers.Contract(tokenAddress, ERC20_ABI, runner);
+    try {
+        const [decimals, symbol] = await Promise.all([token.decimals(), token.symbol()]);
+        console.log(`代币: ${symbol} (${tokenAddress})，精度: ${decimals}`);
+        return { token, symbol, decimals: Number(decimals) };
+    } catch (error) {
+        throw new Error(`读取代币信息失败，请确认 ${tokenAddress} 是ERC-20合约: ${error.message}`);
+    }
+}
+
+module.exports = {
+    ERC20_ABI,
+    readTokenInfo
+};
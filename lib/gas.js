@@ -0,0 +1,295 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const { delay } = require('./utils');
+
+// 可选的gas价格策略
+const GAS_STRATEGIES = {
+    PROVIDER: 'provider',      // 使用节点getFeeData()返回的默认值
+    FEE_HISTORY: 'feeHistory', // 按eth_feeHistory最近区块小费的百分位计算
+    FIXED: 'fixed'             // 使用配置中的固定值
+};
+
+// Rollup类型，决定交易除L2 gas费外是否还需要支付L1数据费
+const ROLLUPS = {
+    OPTIMISM: 'optimism', // OP Stack(例如Base): L1数据费单独从余额中扣除，通过GasPriceOracle查询
+    ARBITRUM: 'arbitrum'  // Arbitrum: L1费用已计入estimateGas返回的gas
+};
+
+// OP Stack链预部署的GasPriceOracle合约
+const OP_GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+const OP_GAS_PRICE_ORACLE_ABI = ['function getL1Fee(bytes data) view returns (uint256)'];
+const L1_FEE_MARGIN = 10n; // L1数据费随L1 gas价格变化，在查询结果上增加的余量(百分比)
+
+// 交易超时未确认时的处理方式
+const STUCK_ACTIONS = {
+    SPEED_UP: 'speedup', // 用相同nonce和更高的gas费重新广播
+    CANCEL: 'cancel',    // 用相同nonce向自己转账0，取消原交易
+    WAIT: 'wait'         // 只提示，继续等待
+};
+
+// 默认gas配置，可在网络配置的gas字段中覆盖
+const DEFAULT_GAS_CONFIG = {
+    strategy: GAS_STRATEGIES.PROVIDER,
+    percentile: 50,         // feeHistory策略使用的小费百分位
+    blocks: 20,             // feeHistory策略统计的区块数
+    baseFeeMultiplier: 2,   // EIP-1559的maxFeePerGas = 基础费 * 倍数 + 小费
+    fixed: {},              // fixed策略的gas价格(gwei): maxFeePerGas、maxPriorityFeePerGas或gasPrice
+    gasLimitMargin: 20,     // 估算gas限制时增加的安全余量(百分比)
+    maxFeeCap: null,        // gas价格上限(gwei)，超过时暂停发送
+    capCheckInterval: 60,   // 超过上限时重新检查的间隔(秒)
+    txTimeout: 180,         // 交易超过该时间(秒)未确认时视为卡住
+    stuckAction: STUCK_ACTIONS.SPEED_UP,
+    maxReplacements: 3      // 同一nonce最多替换的次数
+};
+
+/**
+ * 合并并检查gas配置
+ * @param {Object} [config] - 网络配置中的gas字段
+ * @param {Object} [overrides] - 命令行等来源的覆盖值，值为空时忽略
+ * @returns {Object} - gas配置
+ */
+function resolveGasConfig(config = {}, overrides = {}) {
+    const defined = Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== null && value !== undefined));
+    const resolved = { ...DEFAULT_GAS_CONFIG, ...config, ...defined };
+    
+    if (!Object.values(GAS_STRATEGIES).includes(resolved.strategy)) {
+        throw new Error(`不支持的gas策略: ${resolved.strategy}，可选: ${Object.values(GAS_STRATEGIES).join(', ')}`);
+    }
+    if (resolved.strategy === GAS_STRATEGIES.FIXED && !resolved.fixed.maxFeePerGas && !resolved.fixed.gasPrice) {
+        throw new Error('fixed策略需要在gas.fixed中配置maxFeePerGas或gasPrice');
+    }
+    if (!(resolved.percentile >= 0 && resolved.percentile <= 100)) {
+        throw new Error(`gas百分位无效: ${resolved.percentile}`);
+    }
+    if (resolved.maxFeeCap !== null && !(Number(resolved.maxFeeCap) > 0)) {
+        throw new Error(`gas价格上限无效: ${resolved.maxFeeCap}`);
+    }
+    if (!Object.values(STUCK_ACTIONS).includes(resolved.stuckAction)) {
+        throw new Error(`不支持的卡住交易处理方式: ${resolved.stuckAction}，可选: ${Object.values(STUCK_ACTIONS).join(', ')}`);
+    }
+    resolved.txTimeout = Number(resolved.txTimeout);
+    if (!(resolved.txTimeout > 0)) {
+        throw new Error(`交易确认超时时间无效: ${resolved.txTimeout}`);
+    }
+    
+    return resolved;
+}
+
+/**
+ * 生成gas配置的描述，用于日志
+ * @param {Object} config - gas配置
+ * @returns {string} - 描述
+ */
+function describeGasConfig(config) {
+    const strategy = config.strategy === GAS_STRATEGIES.FEE_HISTORY
+        ? `${config.strategy} (最近 ${config.blocks} 个区块小费的第 ${config.percentile} 百分位)`
+        : config.strategy;
+    const cap = config.maxFeeCap !== null ? `，gas价格上限: ${config.maxFeeCap} gwei` : '';
+    return `gas策略: ${strategy}，gas限制余量: ${config.gasLimitMargin}%${cap}，交易超过 ${config.txTimeout} 秒未确认时: ${config.stuckAction}`;
+}
+
+/**
+ * 把gwei数值转换为wei
+ * @param {number|string} value - gwei数值
+ * @returns {bigint} - wei
+ */
+function parseGwei(value) {
+    return ethers.parseUnits(String(value), 'gwei');
+}
+
+/**
+ * 格式化gas价格
+ * @param {bigint} value - gas价格(wei)
+ * @returns {string} - 例如 1.5 gwei
+ */
+function formatGwei(value) {
+    return `${ethers.formatUnits(value, 'gwei')} gwei`;
+}
+
+/**
+ * 按eth_feeHistory最近区块的小费百分位计算EIP-1559 gas费
+ * @param {ethers.JsonRpcProvider} provider - 提供者
+ * @param {Object} config - gas配置
+ * @returns {Promise<{maxFeePerGas: bigint, maxPriorityFeePerGas: bigint}>} - gas费
+ */
+async function getFeeHistoryFees(provider, config) {
+    const history = await provider.send('eth_feeHistory', [ethers.toQuantity(config.blocks), 'latest', [config.percentile]]);
+    
+    // baseFeePerGas的最后一项是下一个区块的基础费
+    const baseFee = BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]);
+    const rewards = (history.reward || []).map(reward => BigInt(reward[0]));
+    const priorityFee = rewards.length > 0
+        ? rewards.sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))[Math.floor(rewards.length / 2)]
+        : 0n;
+    
+    return {
+        maxFeePerGas: baseFee * BigInt(config.baseFeeMultiplier) + priorityFee,
+        maxPriorityFeePerGas: priorityFee
+    };
+}
+
+/**
+ * 按网络的gas策略获取交易的gas费字段
+ * EIP-1559网络生成type 2交易；网络不支持EIP-1559或节点没有返回EIP-1559费用时回退到legacy的gasPrice
+ * @param {ethers.JsonRpcProvider} provider - 提供者
+ * @param {Object} network - 网络配置，包含gas配置
+ * @param {bigint} [percent] - gas费倍率(百分比)，重试时用于提高gas费
+ * @returns {Promise<Object>} - 交易的gas费字段
+ */
+async function getGasFees(provider, network, percent = 100n) {
+    const config = network.gas || resolveGasConfig();
+    let fees = null;
+    
+    if (config.strategy === GAS_STRATEGIES.FIXED) {
+        fees = network.eip1559 && config.fixed.maxFeePerGas
+            ? {
+                maxFeePerGas: parseGwei(config.fixed.maxFeePerGas),
+                maxPriorityFeePerGas: parseGwei(config.fixed.maxPriorityFeePerGas || 0)
+            }
+            : { gasPrice: parseGwei(config.fixed.gasPrice || config.fixed.maxFeePerGas) };
+    } else if (config.strategy === GAS_STRATEGIES.FEE_HISTORY && network.eip1559) {
+        try {
+            fees = await getFeeHistoryFees(provider, config);
+        } catch (error) {
+            console.log(`eth_feeHistory不可用，改用节点默认gas价格: ${error.shortMessage || error.message}`);
+        }
+    }
+    
+    if (!fees) {
+        const feeData = await provider.getFeeData();
+        if (network.eip1559 && feeData.maxFeePerGas !== null && feeData.maxPriorityFeePerGas !== null) {
+            fees = { maxFeePerGas: feeData.maxFeePerGas, maxPriorityFeePerGas: feeData.maxPriorityFeePerGas };
+        } else if (feeData.gasPrice !== null) {
+            fees = { gasPrice: feeData.gasPrice };
+        } else {
+            throw new Error(`RPC没有返回网络 ${network.name} 的gas价格`);
+        }
+    }
+    
+    return bumpFees(fees.gasPrice !== undefined ? { type: 0, ...fees } : { type: 2, ...fees }, percent);
+}
+
+/**
+ * 按倍率调整gas费
+ * @param {Object} fees - 交易的gas费字段
+ * @param {bigint} percent - gas费倍率(百分比)
+ * @returns {Object} - 调整后的gas费字段
+ */
+function bumpFees(fees, percent) {
+    if (fees.type === 0) {
+        return { type: 0, gasPrice: fees.gasPrice * percent / 100n };
+    }
+    return {
+        type: 2,
+        maxFeePerGas: fees.maxFeePerGas * percent / 100n,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas * percent / 100n
+    };
+}
+
+/**
+ * 获取gas费的单价上限，EIP-1559为maxFeePerGas，legacy为gasPrice
+ * @param {Object} fees - 交易的gas费字段
+ * @returns {bigint} - gas价格(wei)
+ */
+function getFeePerGas(fees) {
+    return fees.type === 0 ? fees.gasPrice : fees.maxFeePerGas;
+}
+
+/**
+ * 获取gas费，并应用gas价格上限: 网络当前gas价格高于上限时暂停，直到回落到上限以下
+ * 重试时提高后的gas费超过上限的部分会被截断，不会因为提高gas费而一直暂停
+ * @param {ethers.JsonRpcProvider} provider - 提供者
+ * @param {Object} network - 网络配置，包含gas配置
+ * @param {bigint} [percent] - gas费倍率(百分比)
+ * @returns {Promise<Object>} - 交易的gas费字段
+ */
+async function waitForGasFees(provider, network, percent = 100n) {
+    const config = network.gas || resolveGasConfig();
+    if (config.maxFeeCap === null) {
+        return getGasFees(provider, network, percent);
+    }
+    
+    const cap = parseGwei(config.maxFeeCap);
+    let current = await getGasFees(provider, network);
+    while (getFeePerGas(current) > cap) {
+        console.log(`当前gas价格 ${formatGwei(getFeePerGas(current))} 高于上限 ${formatGwei(cap)}，暂停发送，${config.capCheckInterval} 秒后重新检查...`);
+        await delay(config.capCheckInterval * 1000);
+        current = await getGasFees(provider, network);
+    }
+    
+    const fees = bumpFees(current, percent);
+    if (fees.type === 0) {
+        return { ...fees, gasPrice: fees.gasPrice < cap ? fees.gasPrice : cap };
+    }
+    const maxFeePerGas = fees.maxFeePerGas < cap ? fees.maxFeePerGas : cap;
+    return {
+        ...fees,
+        maxFeePerGas,
+        maxPriorityFeePerGas: fees.maxPriorityFeePerGas < maxFeePerGas ? fees.maxPriorityFeePerGas : maxFeePerGas
+    };
+}
+
+/**
+ * 获取下一个区块的基础费，节点不支持pending区块时使用最新区块的基础费
+ * @param {ethers.Provider} provider - 提供者
+ * @returns {Promise<bigint>} - 基础费(wei)
+ */
+async function getBaseFee(provider) {
+    const block = await provider.getBlock('pending').catch(() => null) || await provider.getBlock('latest');
+    if (block.baseFeePerGas === null) {
+        throw new Error('RPC没有返回区块的基础费，网络可能不支持EIP-1559');
+    }
+    return block.baseFeePerGas;
+}
+
+/**
+ * 估算交易在Rollup上除L2 gas费外还要支付的L1数据费
+ * OP Stack链通过GasPriceOracle按交易数据查询，并增加余量；其他网络(包括Arbitrum)返回0
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Object} network - 网络配置
+ * @param {Object} tx - 交易字段，需要包含to、value、data、nonce、gasLimit和gas费字段
+ * @returns {Promise<bigint>} - L1数据费(wei)
+ */
+async function estimateL1Fee(provider, network, tx) {
+    if (network.rollup !== ROLLUPS.OPTIMISM) {
+        return 0n;
+    }
+    
+    const oracle = new ethers.Contract(OP_GAS_PRICE_ORACLE, OP_GAS_PRICE_ORACLE_ABI, provider);
+    const unsigned = ethers.Transaction.from({ ...tx, chainId: network.chainId }).unsignedSerialized;
+    try {
+        return await oracle.getL1Fee(unsigned) * (100n + L1_FEE_MARGIN) / 100n;
+    } catch (error) {
+        throw new Error(`查询L1数据费失败: ${error.shortMessage || error.message}`);
+    }
+}
+
+/**
+ * 估算交易的gas限制，并按配置增加安全余量
+ * @param {ethers.ContractRunner} runner - 用于估算的钱包或提供者
+ * @param {Object} tx - 交易请求
+ * @param {Object} network - 网络配置，包含gas配置
+ * @returns {Promise<bigint>} - gas限制
+ */
+async function estimateGasLimit(runner, tx, network) {
+    const config = network.gas || resolveGasConfig();
+    const estimate = await runner.estimateGas(tx);
+    return estimate * BigInt(100 + config.gasLimitMargin) / 100n;
+}
+
+module.exports = {
+    GAS_STRATEGIES,
+    ROLLUPS,
+    STUCK_ACTIONS,
+    DEFAULT_GAS_CONFIG,
+    resolveGasConfig,
+    describeGasConfig,
+    parseGwei,
+    formatGwei,
+    getGasFees,
+    getFeePerGas,
+    waitForGasFees,
+    getBaseFee,
+    estimateL1Fee,
+    estimateGasLimit
+};
@@ -0,0 +1,265 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { addSecret } = require('./logger');
+
+// 默认keystore目录，每个钱包一个加密的JSON文件
+const DEFAULT_KEYSTORE_DIR = path.join(__dirname, '..', 'keystore');
+
+// 可通过环境变量提供密码，避免每次手动输入
+const PASSWORD_ENV = 'KEYSTORE_PASSWORD';
+
+/**
+ * 读取敏感输入(密码、助记词等)，输入内容不回显
+ * @param {string} question - 提示语
+ * @param {readline.Interface} [rl] - 已有的Readline接口，不传则临时创建
+ * @returns {Promise<string>} - 用户的输入
+ */
+function readHidden(question, rl) {
+    const ownInterface = !rl;
+    const input = rl || readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+    
+    return new Promise((resolve) => {
+        // 只输出提示语，屏蔽用户输入的回显
+        const writeToOutput = input._writeToOutput;
+        input._writeToOutput = (text) => {
+            if (text.includes(question)) {
+                writeToOutput.call(input, text);
+            }
+        };
+        
+        input.question(question, (answer) => {
+            input._writeToOutput = writeToOutput;
+            input.output.write('\n');
+            if (ownInterface) {
+                input.close();
+            }
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * 读取密码，设置了KEYSTORE_PASSWORD环境变量时直接使用该值
+ * @param {string} question - 提示语
+ * @param {readline.Interface} [rl] - 已有的Readline接口，不传则临时创建
+ * @returns {Promise<string>} - 密码
+ */
+function readPassword(question, rl) {
+    if (process.env[PASSWORD_ENV]) {
+        return Promise.resolve(process.env[PASSWORD_ENV]);
+    }
+    
+    return readHidden(question, rl);
+}
+
+/**
+ * 读取新密码，需要输入两次确认
+ * @param {readline.Interface} [rl] - 已有的Readline接口
+ * @returns {Promise<string>} - 密码
+ */
+async function readNewPassword(rl) {
+    const password = await readPassword('请设置keystore密码: ', rl);
+    if (!password) {
+        throw new Error('密码不能为空');
+    }
+    
+    if (!process.env[PASSWORD_ENV]) {
+        const confirm = await readPassword('请再次输入密码: ', rl);
+        if (confirm !== password) {
+            throw new Error('两次输入的密码不一致');
+        }
+    }
+    
+    return password;
+}
+
+/**
+ * 列出keystore目录中的所有钱包
+ * @param {string} [dir] - keystore目录
+ * @returns {Array<{address: string, file: string}>} - 钱包地址和对应文件
+ */
+function listKeystores(dir = DEFAULT_KEYSTORE_DIR) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    
+    return fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => {
+            const file = path.join(dir, name);
+            try {
+                const { address } = JSON.parse(fs.readFileSync(file, 'utf8'));
+                return { address: ethers.getAddress(`0x${address.replace(/^0x/, '')}`), file };
+            } catch (error) {
+                console.log(`跳过无法识别的keystore文件 ${file}: ${error.message}`);
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * 把钱包加密保存到keystore目录，文件名为钱包地址
+ * 随机生成的钱包会同时加密保存助记词
+ * @param {ethers.Wallet|ethers.HDNodeWallet} wallet - 钱包
+ * @param {string} password - 密码
+ * @param {string} [dir] - keystore目录
+ * @returns {Promise<string>} - keystore文件路径
+ */
+async function saveKeystore(wallet, password, dir = DEFAULT_KEYSTORE_DIR) {
+    fs.mkdirSync(dir, { recursive: true });
+    
+    const file = path.join(dir, `${wallet.address}.json`);
+    const json = await wallet.encrypt(password);
+    fs.writeFileSync(file, json, { mode: 0o600 });
+    
+    return file;
+}
+
+/**
+ * 解密keystore目录中的钱包
+ * @param {string} password - 密码
+ * @param {Object} [options] - 可选配置
+ * @param {string} [options.dir] - keystore目录
+ * @param {string[]} [options.addresses] - 只解密这些地址，不传则解密全部
+ * @returns {Promise<Array<ethers.Wallet|ethers.HDNodeWallet>>} - 钱包数组
+ */
+async function loadKeystoreWallets(password, options = {}) {
+    const dir = options.dir || DEFAULT_KEYSTORE_DIR;
+    let entries = listKeystores(dir);
+    
+    if (options.addresses) {
+        const wanted = options.addresses.map(address => ethers.getAddress(address));
+        const missing = wanted.filter(address => !entries.some(entry => entry.address === address));
+        if (missing.length > 0) {
+            throw new Error(`keystore中找不到以下地址: ${missing.join(', ')}`);
+        }
+        entries = entries.filter(entry => wanted.includes(entry.address));
+    }
+    
+    const wallets = [];
+    for (let i = 0; i < entries.length; i++) {
+        console.log(`正在解密keystore [${i + 1}/${entries.length}]: ${entries[i].address}`);
+        try {
+            const json = fs.readFileSync(entries[i].file, 'utf8');
+            const wallet = await ethers.Wallet.fromEncryptedJson(json, password);
+            
+            // 解密后的私钥和助记词不会出现在日志中
+            addSecret(wallet.privateKey);
+            if (wallet.mnemonic) {
+                addSecret(wallet.mnemonic.phrase);
+            }
+            wallets.push(wallet);
+        } catch (error) {
+            throw new Error(`解密keystore ${entries[i].file} 失败: ${error.message}`);
+        }
+    }
+    
+    return wallets;
+}
+
+/**
+ * 加载私钥: keystore目录中有钱包时从keystore解密，否则读取明文私钥文件(每行一个私钥)
+ * @param {Object} [options] - 可选配置
+ * @param {string} [options.keyFile] - 明文私钥文件路径
+ * @param {string} [options.dir] - keystore目录
+ * @param {string[]} [options.addresses] - 只从keystore加载这些地址
+ * @param {readline.Interface} [options.rl] - 已有的Readline接口，用于输入密码
+ * @returns {Promise<string[]>} - 私钥数组
+ */
+async function loadPrivateKeys(options = {}) {
+    const dir = options.dir || DEFAULT_KEYSTORE_DIR;
+    
+    if (options.addresses || listKeystores(dir).length > 0) {
+        const password = await readPassword('请输入keystore密码: ', options.rl);
+        const wallets = await loadKeystoreWallets(password, { dir, addresses: options.addresses });
+        return wallets.map(wallet => wallet.privateKey);
+    }
+    
+    if (!options.keyFile) {
+        throw new Error(`keystore目录 ${dir} 中没有钱包`);
+    }
+    
+    try {
+        const content = fs.readFileSync(options.keyFile, 'utf8');
+        console.log(`警告: 正在从明文文件 ${options.keyFile} 读取私钥，建议使用 node migrateKeys.js 迁移到keystore`);
+        const privateKeys = content.split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0);
+        privateKeys.forEach(addSecret);
+        return privateKeys;
+    } catch (error) {
+        throw new Error(`读取私钥文件失败: ${error.message}`);
+    }
+}
+
+/**
+ * 从明文文件中读取单个私钥
+ * @param {string} filePath - 私钥文件路径
+ * @returns {Promise<string>} - 私钥
+ */
+async function readPrivateKey(filePath) {
+    try {
+        const privateKey = fs.readFileSync(filePath, 'utf8').trim();
+        addSecret(privateKey);
+        return privateKey;
+    } catch (error) {
+        throw new Error(`读取私钥文件失败: ${error.message}`);
+    }
+}
+
+/**
+ * 加载单个钱包的私钥: 传入地址时从keystore解密，传入路径时读取明文私钥文件
+ * @param {string} keySource - keystore中的钱包地址或私钥文件路径
+ * @param {readline.Interface} [rl] - 已有的Readline接口，用于输入密码
+ * @returns {Promise<string>} - 私钥
+ */
+async function loadPrivateKey(keySource, rl) {
+    if (ethers.isAddress(keySource)) {
+        return (await loadPrivateKeys({ addresses: [keySource], rl }))[0];
+    }
+    
+    const privateKey = await readPrivateKey(keySource);
+    console.log(`警告: 正在从明文文件 ${keySource} 读取私钥，建议使用 node migrateKeys.js 迁移到keystore`);
+    return privateKey;
+}
+
+/**
+ * 粉碎文件: 先用随机数据覆盖文件内容并写入磁盘，再删除文件
+ * @param {string} filePath - 文件路径
+ */
+function shredFile(filePath) {
+    const { size } = fs.statSync(filePath);
+    const fd = fs.openSync(filePath, 'r+');
+    
+    try {
+        fs.writeSync(fd, crypto.randomBytes(size), 0, size, 0);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    
+    fs.unlinkSync(filePath);
+}
+
+module.exports = {
+    DEFAULT_KEYSTORE_DIR,
+    PASSWORD_ENV,
+    readHidden,
+    readPassword,
+    readNewPassword,
+    listKeystores,
+    saveKeystore,
+    loadKeystoreWallets,
+    loadPrivateKeys,
+    readPrivateKey,
+    loadPrivateKey,
+    shredFile
+};
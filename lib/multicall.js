@@ -0,0 +1,107 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+
+// Multicall3在大多数链上的部署地址，可在networks.json中用multicall3字段覆盖
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL3_ABI = [
+    'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls) payable returns (tuple(bool success, bytes returnData)[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+const MULTICALL_BATCH_SIZE = 300; // 每次aggregate3包含的调用数，过大时节点可能拒绝eth_call
+
+const multicallInterface = new ethers.Interface(MULTICALL3_ABI);
+
+/**
+ * 获取网络的Multicall3地址
+ * @param {Object} network - 网络配置
+ * @returns {string} - Multicall3地址
+ */
+function getMulticallAddress(network) {
+    return network.multicall3 || MULTICALL3_ADDRESS;
+}
+
+/**
+ * 生成读取原生代币余额的调用，通过Multicall3的getEthBalance读取
+ * @param {Object} network - 网络配置
+ * @param {string} address - 钱包地址
+ * @returns {Object} - 调用
+ */
+function nativeBalanceCall(network, address) {
+    return { target: getMulticallAddress(network), iface: multicallInterface, function: 'getEthBalance', args: [address] };
+}
+
+/**
+ * 解码单个调用的返回值，只有一个返回值时直接返回该值
+ * @param {Object} call - 调用
+ * @param {string} returnData - 返回数据
+ * @returns {{success: boolean, value: *}} - 调用结果
+ */
+function decodeCallResult(call, returnData) {
+    try {
+        const decoded = call.iface.decodeFunctionResult(call.function, returnData);
+        return { success: true, value: decoded.length === 1 ? decoded[0] : decoded };
+    } catch (error) {
+        return { success: false, value: null };
+    }
+}
+
+/**
+ * 通过Multicall3的aggregate3批量执行只读调用，单个调用失败不影响其他调用
+ * 网络上没有部署Multicall3时改为逐个eth_call
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Object} network - 网络配置
+ * @param {Array<{target: string, iface: ethers.Interface, function: string, args: Array}>} calls - 调用列表
+ * @returns {Promise<Array<{success: boolean, value: *}>>} - 与调用列表顺序一致的结果
+ */
+async function multicall(provider, network, calls) {
+    const address = getMulticallAddress(network);
+    const deployed = (await provider.getCode(address)) !== '0x';
+    const results = [];
+    
+    if (!deployed) {
+        console.log(`网络 ${network.name} 上没有部署Multicall3 (${address})，改为逐个查询`);
+        for (const call of calls) {
+            // getEthBalance依赖Multicall3合约，改为直接查询余额
+            if (call.iface === multicallInterface && call.function === 'getEthBalance') {
+                results.push({ success: true, value: await provider.getBalance(call.args[0]) });
+                continue;
+            }
+            try {
+                const returnData = await provider.call({ to: call.target, data: call.iface.encodeFunctionData(call.function, call.args) });
+                results.push(decodeCallResult(call, returnData));
+            } catch (error) {
+                results.push({ success: false, value: null });
+            }
+        }
+        return results;
+    }
+    
+    const contract = new ethers.Contract(address, MULTICALL3_ABI, provider);
+    for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+        const batch = calls.slice(i, i + MULTICALL_BATCH_SIZE);
+        let returned;
+        try {
+            returned = await contract.aggregate3.staticCall(batch.map(call => ({
+                target: call.target,
+                allowFailure: true,
+                callData: call.iface.encodeFunctionData(call.function, call.args)
+            })));
+        } catch (error) {
+            throw new Error(`Multicall3批量查询失败: ${error.shortMessage || error.message}`);
+        }
+        
+        returned.forEach((item, index) => {
+            results.push(item.success ? decodeCallResult(batch[index], item.returnData) : { success: false, value: null });
+        });
+    }
+    
+    return results;
+}
+
+module.exports = {
+    MULTICALL3_ADDRESS,
+    MULTICALL_BATCH_SIZE,
+    getMulticallAddress,
+    nativeBalanceCall,
+    multicall
+};
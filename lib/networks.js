@@ -0,0 +1,168 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { getRpcPool, checkRpcHealth, describeRpcHealth, createPoolRequest } = require('./rpcPool');
+const { ROLLUPS, resolveGasConfig } = require('./gas');
+
+// 网络配置文件，每个网络包含RPC列表、chainId、原生代币符号、区块浏览器、gas费模式、gas策略，以及可选的Multicall3地址和Rollup类型
+const NETWORKS_FILE = path.join(__dirname, '..', 'networks.json');
+const DEFAULT_NETWORK = 'humanity-testnet';
+
+/**
+ * 读取网络配置文件
+ * @param {string} [file] - 网络配置文件路径
+ * @returns {Object} - 以网络名称为键的网络配置
+ */
+function loadNetworks(file = NETWORKS_FILE) {
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`读取网络配置文件失败: ${error.message}`);
+    }
+}
+
+/**
+ * 列出所有已配置的网络名称
+ * @param {string} [file] - 网络配置文件路径
+ * @returns {string[]} - 网络名称
+ */
+function listNetworks(file = NETWORKS_FILE) {
+    return Object.keys(loadNetworks(file));
+}
+
+/**
+ * 按名称选择网络
+ * @param {string} [name] - 网络名称
+ * @param {string} [rpcUrl] - 指定使用的RPC URL，多个用逗号分隔，不传则使用配置中的RPC列表
+ * @param {Object} [gasOverrides] - 覆盖网络配置中的gas配置，例如命令行指定的策略和上限
+ * @param {string} [file] - 网络配置文件路径
+ * @returns {{name: string, chainId: number, rpcUrls: string[], nativeSymbol: string, explorer: string|null, eip1559: boolean, multicall3: string|null, rollup: string|null, gas: Object}} - 网络配置
+ */
+function getNetwork(name = DEFAULT_NETWORK, rpcUrl = null, gasOverrides = {}, file = NETWORKS_FILE) {
+    const networks = loadNetworks(file);
+    const profile = networks[name];
+    if (!profile) {
+        throw new Error(`未配置网络 ${name}，可选: ${Object.keys(networks).join(', ')}`);
+    }
+    
+    if (!Number.isInteger(profile.chainId)) {
+        throw new Error(`网络 ${name} 的chainId无效: ${profile.chainId}`);
+    }
+    const rpcUrls = rpcUrl
+        ? rpcUrl.split(',').map(url => url.trim()).filter(Boolean)
+        : profile.rpcUrls || [];
+    if (rpcUrls.length === 0) {
+        throw new Error(`网络 ${name} 没有配置RPC URL`);
+    }
+    if (profile.rollup && !Object.values(ROLLUPS).includes(profile.rollup)) {
+        throw new Error(`网络 ${name} 的rollup类型无效: ${profile.rollup}，可选: ${Object.values(ROLLUPS).join(', ')}`);
+    }
+    
+    return {
+        name,
+        chainId: profile.chainId,
+        rpcUrls,
+        nativeSymbol: profile.nativeSymbol || 'ETH',
+        explorer: profile.explorer ? profile.explorer.replace(/\/+$/, '') : null,
+        eip1559: profile.eip1559 !== false,
+        multicall3: profile.multicall3 || null,
+        rollup: profile.rollup || null,
+        gas: resolveGasConfig(profile.gas, gasOverrides)
+    };
+}
+
+/**
+ * 把网络名称解析为网络配置，传入的已经是网络配置时原样返回
+ * @param {string|Object} [network] - 网络名称或getNetwork返回的网络配置，不传则使用默认网络
+ * @returns {Object} - 网络配置
+ */
+function resolveNetwork(network = DEFAULT_NETWORK) {
+    return typeof network === 'string' ? getNetwork(network) : network;
+}
+
+/**
+ * 创建连接到网络RPC的提供者，不检查chainId
+ * 请求通过节点池发给最健康的RPC节点，节点故障时自动切换
+ * @param {Object} network - 网络配置
+ * @param {Object} [options] - 可选配置
+ * @param {Object} [options.agent] - HTTP代理agent
+ * @param {string} [options.proxy] - 代理URL
+ * @returns {ethers.JsonRpcProvider} - 提供者
+ */
+function createNetworkProvider(network, options) {
+    return new ethers.JsonRpcProvider(createPoolRequest(getRpcPool(network, options)));
+}
+
+/**
+ * 检查网络所有RPC节点的健康状态并输出到日志
+ * @param {Object} network - 网络配置
+ * @param {Object} [options] - 可选配置，与createNetworkProvider相同
+ */
+async function reportRpcHealth(network, options) {
+    const pool = await checkRpcHealth(getRpcPool(network, options));
+    console.log('RPC节点状态:');
+    describeRpcHealth(pool).forEach(line => console.log(`  ${line}`));
+}
+
+/**
+ * 检查RPC返回的chainId与网络配置一致，不一致时拒绝运行
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Object} network - 网络配置
+ * @returns {Promise<bigint>} - chainId
+ */
+async function verifyChainId(provider, network) {
+    const { chainId } = await provider.getNetwork();
+    if (chainId !== BigInt(network.chainId)) {
+        provider.destroy();
+        throw new Error(`RPC返回的chainId为 ${chainId}，与网络 ${network.name} 的chainId ${network.chainId} 不一致，拒绝运行`);
+    }
+    return chainId;
+}
+
+/**
+ * 连接到网络RPC并检查chainId
+ * @param {Object} network - 网络配置
+ * @param {Object} [options] - 可选配置，与createNetworkProvider相同
+ * @returns {Promise<ethers.JsonRpcProvider>} - 提供者
+ */
+async function connectNetwork(network, options) {
+    const provider = createNetworkProvider(network, options);
+    await verifyChainId(provider, network);
+    return provider;
+}
+
+/**
+ * 格式化原生代币数量
+ * @param {Object} network - 网络配置
+ * @param {bigint} value - 数量(wei)
+ * @returns {string} - 例如 0.01 ETH
+ */
+function formatNative(network, value) {
+    return `${ethers.formatEther(value)} ${network.nativeSymbol}`;
+}
+
+/**
+ * 格式化交易哈希，网络配置了区块浏览器时附带交易链接
+ * @param {Object} network - 网络配置
+ * @param {string} hash - 交易哈希
+ * @returns {string} - 交易哈希和链接
+ */
+function formatTxHash(network, hash) {
+    return network.explorer ? `${hash} (${network.explorer}/tx/${hash})` : hash;
+}
+
+module.exports = {
+    NETWORKS_FILE,
+    DEFAULT_NETWORK,
+    loadNetworks,
+    listNetworks,
+    getNetwork,
+    resolveNetwork,
+    createNetworkProvider,
+    reportRpcHealth,
+    verifyChainId,
+    connectNetwork,
+    formatNative,
+    formatTxHash
+};
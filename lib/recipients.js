@@ -0,0 +1,115 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+
+// 已知的销毁地址，转入的资产无法取回
+const BURN_ADDRESSES = {
+    '0x0000000000000000000000000000000000000000': '零地址',
+    '0x0000000000000000000000000000000000000001': '销毁地址',
+    '0x000000000000000000000000000000000000dEaD': '销毁地址',
+    '0xdEAD000000000000000042069420694206942069': '销毁地址'
+};
+const CODE_CHECK_CONCURRENCY = 10; // 同时查询合约代码的地址数
+
+/**
+ * 校验并转换为校验和格式的地址
+ * 全小写或全大写的地址没有校验和，直接转换；大小写混合但校验和不正确的地址视为无效
+ * @param {string} address - 地址
+ * @returns {string|null} - 校验和格式的地址，无效时为null
+ */
+function normalizeAddress(address) {
+    try {
+        return ethers.getAddress(address.trim());
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 按地址汇总出现的行号
+ * @param {Array<{address: string, row: number}>} recipients - 接收方数组
+ * @returns {Map<string, number[]>} - 地址及其所在的行号
+ */
+function groupRows(recipients) {
+    const rows = new Map();
+    for (const recipient of recipients) {
+        if (!rows.has(recipient.address)) {
+            rows.set(recipient.address, []);
+        }
+        rows.get(recipient.address).push(recipient.row);
+    }
+    return rows;
+}
+
+/**
+ * 检查接收方列表: 重复的地址、已知的销毁地址和合约地址(通过getCode查询)
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Array<{address: string, row: number}>} recipients - 已校验格式的接收方数组
+ * @returns {Promise<{total: number, duplicates: Array, burn: Array, contracts: Array}>} - 检查结果，每项包含地址和所在行号
+ */
+async function checkRecipients(provider, recipients) {
+    const rows = groupRows(recipients);
+    const addresses = [...rows.keys()];
+    
+    const duplicates = addresses
+        .filter(address => rows.get(address).length > 1)
+        .map(address => ({ address, rows: rows.get(address) }));
+    const burn = addresses
+        .filter(address => BURN_ADDRESSES[address])
+        .map(address => ({ address, rows: rows.get(address), label: BURN_ADDRESSES[address] }));
+    
+    const contracts = [];
+    for (let i = 0; i < addresses.length; i += CODE_CHECK_CONCURRENCY) {
+        const batch = addresses.slice(i, i + CODE_CHECK_CONCURRENCY);
+        let codes;
+        try {
+            codes = await Promise.all(batch.map(address => provider.getCode(address)));
+        } catch (error) {
+            throw new Error(`查询接收地址的合约代码失败: ${error.shortMessage || error.message}`);
+        }
+        batch.forEach((address, index) => {
+            if (codes[index] !== '0x') {
+                contracts.push({ address, rows: rows.get(address) });
+            }
+        });
+    }
+    
+    return { total: recipients.length, duplicates, burn, contracts };
+}
+
+/**
+ * 输出接收方检查报告
+ * @param {Object} report - checkRecipients返回的检查结果
+ * @returns {boolean} - 是否有需要注意的地址
+ */
+function printRecipientReport(report) {
+    const rowsText = (rows) => `第 ${rows.join(', ')} 行`;
+    const warnings = report.duplicates.length + report.burn.length + report.contracts.length;
+    
+    console.log('\n===== 接收地址检查 =====');
+    console.log(`共 ${report.total} 个接收地址，所有地址格式和校验和均有效`);
+    if (warnings === 0) {
+        console.log('没有发现重复地址、销毁地址或合约地址');
+        return false;
+    }
+    
+    if (report.duplicates.length > 0) {
+        console.log(`\n警告: ${report.duplicates.length} 个地址重复出现，每一行都会单独转账:`);
+        report.duplicates.forEach(({ address, rows }) => console.log(`  ${address} (${rowsText(rows)})`));
+    }
+    if (report.burn.length > 0) {
+        console.log(`\n警告: ${report.burn.length} 个地址是零地址或销毁地址，转入后无法取回:`);
+        report.burn.forEach(({ address, rows, label }) => console.log(`  ${address} ${label} (${rowsText(rows)})`));
+    }
+    if (report.contracts.length > 0) {
+        console.log(`\n警告: ${report.contracts.length} 个地址是合约，请确认合约可以接收转账:`);
+        report.contracts.forEach(({ address, rows }) => console.log(`  ${address} (${rowsText(rows)})`));
+    }
+    return true;
+}
+
+module.exports = {
+    BURN_ADDRESSES,
+    normalizeAddress,
+    checkRecipients,
+    printRecipientReport
+};
@@ -0,0 +1,224 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+
+// 健康检查配置
+const HEALTH_CHECK_INTERVAL = 30000; // 健康检查间隔(毫秒)
+const HEALTH_CHECK_TIMEOUT = 5000;   // 健康检查请求的超时时间(毫秒)
+const REQUEST_TIMEOUT = 30000;       // 普通请求的超时时间(毫秒)，超时后切换到下一个节点
+const MAX_BLOCK_LAG = 5;             // 区块高度落后最高节点超过该值时视为不健康
+const MAX_LATENCY = 3000;            // 延迟超过该值(毫秒)时视为不健康
+
+// 同一网络、同一组RPC和同一代理共用一个节点池，健康状态在所有提供者之间共享
+const pools = new Map();
+
+/**
+ * 获取节点池，不存在时创建
+ * @param {Object} network - 网络配置，包含rpcUrls和chainId
+ * @param {Object} [options] - 可选配置
+ * @param {Object} [options.agent] - HTTP代理agent
+ * @param {string} [options.proxy] - 代理URL，用于区分不同代理的节点池
+ * @returns {Object} - 节点池
+ */
+function getRpcPool(network, options = {}) {
+    const key = `${network.name}|${network.rpcUrls.join(',')}|${options.proxy || ''}`;
+    if (!pools.has(key)) {
+        pools.set(key, {
+            network,
+            getUrl: ethers.FetchRequest.createGetUrlFunc(options.agent ? { agent: options.agent } : undefined),
+            endpoints: network.rpcUrls.map(url => ({
+                url,
+                chainId: null,      // 首次检查时读取，不一致的节点不再使用
+                disabled: false,
+                healthy: false,
+                blockNumber: null,
+                latency: null,
+                error: null,
+                failedAt: 0
+            })),
+            checkedAt: 0,
+            checking: null,
+            current: null
+        });
+    }
+    return pools.get(key);
+}
+
+/**
+ * 向指定节点发送一个JSON-RPC请求
+ * @param {Object} pool - 节点池
+ * @param {string} url - 节点URL
+ * @param {string} method - RPC方法
+ * @returns {Promise<*>} - 返回结果
+ */
+async function sendRpc(pool, url, method) {
+    const request = new ethers.FetchRequest(url);
+    request.body = { jsonrpc: '2.0', id: 1, method, params: [] };
+    request.timeout = HEALTH_CHECK_TIMEOUT;
+    request.getUrlFunc = pool.getUrl;
+    
+    const response = await request.send();
+    response.assertOk();
+    const payload = response.bodyJson;
+    if (payload.error) {
+        throw new Error(payload.error.message);
+    }
+    return payload.result;
+}
+
+/**
+ * 检查单个节点: 首次检查时核对chainId，之后读取区块高度并记录延迟
+ * @param {Object} pool - 节点池
+ * @param {Object} endpoint - 节点
+ */
+async function checkEndpoint(pool, endpoint) {
+    try {
+        if (endpoint.chainId === null) {
+            endpoint.chainId = BigInt(await sendRpc(pool, endpoint.url, 'eth_chainId'));
+            if (endpoint.chainId !== BigInt(pool.network.chainId)) {
+                Object.assign(endpoint, {
+                    disabled: true,
+                    healthy: false,
+                    error: `chainId为 ${endpoint.chainId}，与网络 ${pool.network.name} 的chainId ${pool.network.chainId} 不一致`
+                });
+                return;
+            }
+        }
+        
+        const start = Date.now();
+        const blockNumber = Number(await sendRpc(pool, endpoint.url, 'eth_blockNumber'));
+        Object.assign(endpoint, { blockNumber, latency: Date.now() - start, error: null });
+    } catch (error) {
+        Object.assign(endpoint, { healthy: false, blockNumber: null, latency: null, error: error.shortMessage || error.message, failedAt: Date.now() });
+    }
+}
+
+/**
+ * 检查节点池中所有节点的健康状态: 请求失败、区块高度落后过多或延迟过高的节点视为不健康
+ * @param {Object} pool - 节点池
+ * @returns {Promise<Object>} - 节点池
+ */
+async function checkRpcHealth(pool) {
+    if (!pool.checking) {
+        pool.checking = (async () => {
+            const active = pool.endpoints.filter(endpoint => !endpoint.disabled);
+            await Promise.all(active.map(endpoint => checkEndpoint(pool, endpoint)));
+            
+            const heights = active.filter(endpoint => endpoint.blockNumber !== null).map(endpoint => endpoint.blockNumber);
+            const highest = heights.length > 0 ? Math.max(...heights) : null;
+            
+            for (const endpoint of active) {
+                if (endpoint.blockNumber === null) {
+                    continue;
+                }
+                if (highest - endpoint.blockNumber > MAX_BLOCK_LAG) {
+                    Object.assign(endpoint, { healthy: false, error: `区块高度落后 ${highest - endpoint.blockNumber} 个区块` });
+                } else if (endpoint.latency > MAX_LATENCY) {
+                    Object.assign(endpoint, { healthy: false, error: `延迟 ${endpoint.latency} 毫秒` });
+                } else {
+                    endpoint.healthy = true;
+                }
+            }
+            
+            pool.checkedAt = Date.now();
+        })().finally(() => {
+            pool.checking = null;
+        });
+    }
+    
+    await pool.checking;
+    return pool;
+}
+
+/**
+ * 按健康状态对节点排序: 健康的节点按延迟从低到高，其次是不健康但仍可能响应的节点，最近失败的排在最后
+ * @param {Object} pool - 节点池
+ * @returns {Array<Object>} - 排序后的节点
+ */
+function rankEndpoints(pool) {
+    const active = pool.endpoints.filter(endpoint => !endpoint.disabled);
+    const healthy = active.filter(endpoint => endpoint.healthy).sort((a, b) => a.latency - b.latency);
+    const unhealthy = active.filter(endpoint => !endpoint.healthy).sort((a, b) => a.failedAt - b.failedAt);
+    return [...healthy, ...unhealthy];
+}
+
+/**
+ * 生成节点状态描述，用于日志
+ * @param {Object} pool - 节点池
+ * @returns {string[]} - 每个节点一行
+ */
+function describeRpcHealth(pool) {
+    return pool.endpoints.map(endpoint => {
+        if (endpoint.healthy) {
+            return `${endpoint.url}: 正常，区块 ${endpoint.blockNumber}，延迟 ${endpoint.latency} 毫秒`;
+        }
+        return `${endpoint.url}: ${endpoint.disabled ? '已停用' : '不健康'} (${endpoint.error || '尚未检查'})`;
+    });
+}
+
+/**
+ * 创建通过节点池发送请求的FetchRequest: 每次请求发给最健康的节点，节点无响应或返回HTTP错误时切换到下一个节点
+ * 合约回滚等JSON-RPC错误由节点正常返回，不会触发切换
+ * @param {Object} pool - 节点池
+ * @returns {ethers.FetchRequest} - 请求模板，可传给JsonRpcProvider
+ */
+function createPoolRequest(pool) {
+    const request = new ethers.FetchRequest(pool.endpoints[0].url);
+    
+    request.getUrlFunc = async (req, signal) => {
+        // 到达检查间隔时重新检查节点健康状态
+        if (Date.now() - pool.checkedAt > HEALTH_CHECK_INTERVAL) {
+            await checkRpcHealth(pool);
+        }
+        
+        const candidates = rankEndpoints(pool);
+        if (candidates.length === 0) {
+            throw new Error(`网络 ${pool.network.name} 没有可用的RPC节点: ${describeRpcHealth(pool).join('; ')}`);
+        }
+        
+        let lastError = null;
+        for (const endpoint of candidates) {
+            const target = req.clone();
+            target.url = endpoint.url;
+            target.timeout = Math.min(req.timeout, REQUEST_TIMEOUT);
+            
+            try {
+                const response = await pool.getUrl(target, signal);
+                if (response.statusCode >= 500 || response.statusCode === 429) {
+                    throw new Error(`HTTP ${response.statusCode} ${response.statusMessage}`);
+                }
+                
+                if (pool.current !== endpoint.url) {
+                    if (pool.current) {
+                        console.log(`RPC已切换到 ${endpoint.url}`);
+                    }
+                    pool.current = endpoint.url;
+                }
+                return response;
+            } catch (error) {
+                if (error.code === 'CANCELLED') {
+                    throw error;
+                }
+                lastError = error;
+                Object.assign(endpoint, { healthy: false, error: error.shortMessage || error.message, failedAt: Date.now() });
+                if (candidates.length > 1) {
+                    console.log(`RPC ${endpoint.url} 请求失败: ${endpoint.error}，尝试下一个节点`);
+                }
+            }
+        }
+        
+        throw new Error(`网络 ${pool.network.name} 的所有RPC节点请求失败: ${lastError.shortMessage || lastError.message}`);
+    };
+    
+    return request;
+}
+
+module.exports = {
+    HEALTH_CHECK_INTERVAL,
+    MAX_BLOCK_LAG,
+    MAX_LATENCY,
+    getRpcPool,
+    checkRpcHealth,
+    rankEndpoints,
+    describeRpcHealth,
+    createPoolRequest
+};
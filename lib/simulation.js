@@ -0,0 +1,33 @@
+// 导入所需模块
+const { describeError } = require('./contractErrors');
+
+/**
+ * 获取估算花费使用的gas价格，EIP-1559链按maxFeePerGas计算上限
+ * @param {ethers.FeeData} feeData - gas价格数据
+ * @returns {bigint} - gas价格(wei)
+ */
+function getSimulationGasPrice(feeData) {
+    return feeData.maxFeePerGas || feeData.gasPrice || 0n;
+}
+
+/**
+ * 模拟交易: 先执行eth_call检查是否会回滚并获取回滚原因，再用estimateGas估算gas，不广播交易
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Object} tx - 交易请求，需要包含from
+ * @param {ethers.Interface} [iface] - 合约接口，用于解码自定义错误
+ * @returns {Promise<{gasLimit: bigint|null, result: string|null, error: string|null}>} - gas估算、调用返回值和错误描述
+ */
+async function simulateTransaction(provider, tx, iface) {
+    try {
+        const result = await provider.call(tx);
+        const gasLimit = await provider.estimateGas(tx);
+        return { gasLimit, result, error: null };
+    } catch (error) {
+        return { gasLimit: null, result: null, error: describeError(error, iface) };
+    }
+}
+
+module.exports = {
+    getSimulationGasPrice,
+    simulateTransaction
+};
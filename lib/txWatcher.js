@@ -0,0 +1,188 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const { STUCK_ACTIONS, resolveGasConfig, parseGwei, formatGwei, getGasFees, getFeePerGas } = require('./gas');
+const { delay } = require('./utils');
+
+// 回执轮询配置
+const POLL_INTERVAL = 4000;             // 查询回执的间隔(毫秒)
+const REPLACEMENT_FEE_PERCENT = 125n;   // 替换交易的gas费至少为上一笔的125%，节点通常要求至少提高10%
+
+// 交易的nonce已被其他交易使用、交易不会再上链时，watchTransaction抛出的错误代码
+const NONCE_USED = 'NONCE_USED';
+
+/**
+ * 取两个bigint中较大的一个
+ * @param {bigint} a - 数值
+ * @param {bigint} b - 数值
+ * @returns {bigint} - 较大的数值
+ */
+function maxBigInt(a, b) {
+    return a > b ? a : b;
+}
+
+/**
+ * 计算替换交易的gas费: 上一笔交易的gas费提高到125%，且不低于网络当前的gas费
+ * 保持与上一笔交易相同的交易类型
+ * @param {Object} previous - 上一笔交易的gas费字段
+ * @param {Object} current - 网络当前的gas费字段
+ * @returns {Object} - 替换交易的gas费字段
+ */
+function getReplacementFees(previous, current) {
+    const bump = (value) => value * REPLACEMENT_FEE_PERCENT / 100n;
+    
+    if (previous.type === 2) {
+        const currentTip = current.type === 2 ? current.maxPriorityFeePerGas : 0n;
+        return {
+            type: 2,
+            maxFeePerGas: maxBigInt(bump(previous.maxFeePerGas), getFeePerGas(current)),
+            maxPriorityFeePerGas: maxBigInt(bump(previous.maxPriorityFeePerGas), currentTip)
+        };
+    }
+    return { type: 0, gasPrice: maxBigInt(bump(previous.gasPrice), getFeePerGas(current)) };
+}
+
+/**
+ * 从交易中取出gas费字段
+ * @param {ethers.TransactionResponse|Object} tx - 交易
+ * @returns {Object} - gas费字段
+ */
+function getTxFees(tx) {
+    return tx.type === 2
+        ? { type: 2, maxFeePerGas: tx.maxFeePerGas, maxPriorityFeePerGas: tx.maxPriorityFeePerGas }
+        : { type: 0, gasPrice: tx.gasPrice };
+}
+
+/**
+ * 用相同nonce签名并广播替换交易
+ * 加速时原样重发交易内容，取消时改为向自己转账0
+ * @param {ethers.Wallet} wallet - 发送交易的钱包
+ * @param {Object} previous - 上一笔交易
+ * @param {Object} fees - 替换交易的gas费字段
+ * @param {boolean} cancel - 是否取消
+ * @param {Function} [onReplace] - 广播成功后的回调，参数为替换交易的哈希，用于写入日志
+ * @returns {Promise<ethers.TransactionResponse>} - 替换交易
+ */
+async function sendReplacement(wallet, previous, fees, cancel, onReplace) {
+    const request = cancel
+        ? { to: wallet.address, value: 0n, data: '0x', gasLimit: 21000n }
+        : { to: previous.to, value: previous.value, data: previous.data, gasLimit: previous.gasLimit };
+    const signedTx = await wallet.signTransaction(await wallet.populateTransaction({
+        ...request,
+        nonce: previous.nonce,
+        chainId: previous.chainId,
+        ...fees
+    }));
+    
+    const replacement = await wallet.provider.broadcastTransaction(signedTx);
+    
+    // 只记录节点已接受的替换交易，广播失败时原交易仍是最后一笔
+    if (onReplace) {
+        await onReplace(replacement.hash);
+    }
+    return replacement;
+}
+
+/**
+ * 查找已上链的交易
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Array<ethers.TransactionResponse>} sent - 使用同一nonce发送过的交易
+ * @returns {Promise<ethers.TransactionResponse|null>} - 已上链的交易
+ */
+async function findMined(provider, sent) {
+    for (const tx of sent) {
+        if (await provider.getTransactionReceipt(tx.hash)) {
+            return tx;
+        }
+    }
+    return null;
+}
+
+/**
+ * 等待交易确认，超过网络配置的超时时间仍未确认时按配置加速或取消
+ * - speedup: 用相同nonce和提高后的gas费重新广播
+ * - cancel: 用相同nonce和提高后的gas费向自己转账0
+ * - wait: 只提示，继续等待
+ * 替换后原交易和替换交易任意一笔上链即结束；提高后的gas费超过gas价格上限时不替换，继续等待
+ * nonce已被其他交易使用时抛出代码为 NONCE_USED 的错误
+ * @param {ethers.TransactionResponse} tx - 已广播的交易
+ * @param {Object} network - 网络配置，包含gas配置
+ * @param {Object} [options] - 可选配置
+ * @param {ethers.Wallet} [options.wallet] - 发送交易的钱包，不传时只能等待
+ * @param {string} [options.action] - 覆盖网络配置中的处理方式
+ * @param {string} [options.label] - 日志前缀
+ * @param {Function} [options.onReplace] - 替换交易广播成功后的回调，参数为替换交易的哈希
+ * @returns {Promise<{receipt: ethers.TransactionReceipt, cancelled: boolean}>} - 上链交易的回执，以及原交易是否已被取消
+ */
+async function watchTransaction(tx, network, options = {}) {
+    const config = network.gas || resolveGasConfig();
+    const provider = tx.provider;
+    const prefix = options.label ? `${options.label} ` : '';
+    const action = options.wallet ? options.action || config.stuckAction : STUCK_ACTIONS.WAIT;
+    const cancelled = new Set();
+    const sent = [tx];
+    let replacements = 0;
+    let deadline = Date.now() + config.txTimeout * 1000;
+    
+    while (true) {
+        const mined = await findMined(provider, sent);
+        if (mined) {
+            // 回执已存在，wait会立即返回，交易执行失败时抛出与tx.wait()相同的错误
+            const receipt = await mined.wait();
+            if (mined !== tx) {
+                console.log(`${prefix}nonce ${tx.nonce} 的替换交易已确认: ${receipt.hash}`);
+            }
+            return { receipt, cancelled: cancelled.has(mined.hash) };
+        }
+        
+        // nonce已被使用但没有找到回执时再查一次，排除刚好在两次查询之间上链的情况
+        if (await provider.getTransactionCount(tx.from, 'latest') > tx.nonce) {
+            await delay(POLL_INTERVAL);
+            if (!(await findMined(provider, sent))) {
+                const error = new Error(`nonce ${tx.nonce} 已被其他交易使用，交易 ${tx.hash} 不会被确认`);
+                error.code = NONCE_USED;
+                throw error;
+            }
+            continue;
+        }
+        
+        if (Date.now() >= deadline) {
+            deadline = Date.now() + config.txTimeout * 1000;
+            const last = sent[sent.length - 1];
+            
+            if (action === STUCK_ACTIONS.WAIT || replacements >= config.maxReplacements) {
+                console.log(`${prefix}交易 ${last.hash} (nonce ${tx.nonce}) 超过 ${config.txTimeout} 秒未确认，继续等待...`);
+            } else {
+                replacements++;
+                const cancel = action === STUCK_ACTIONS.CANCEL;
+                const fees = getReplacementFees(getTxFees(last), await getGasFees(provider, network));
+                
+                if (config.maxFeeCap !== null && getFeePerGas(fees) > parseGwei(config.maxFeeCap)) {
+                    console.log(`${prefix}交易 ${last.hash} 超过 ${config.txTimeout} 秒未确认，替换所需的gas价格 ${formatGwei(getFeePerGas(fees))} 高于上限 ${config.maxFeeCap} gwei，继续等待...`);
+                } else {
+                    console.log(`${prefix}交易 ${last.hash} 超过 ${config.txTimeout} 秒未确认，正在按 ${formatGwei(getFeePerGas(fees))} ${cancel ? '取消' : '加速'} (nonce ${tx.nonce}，第 ${replacements}/${config.maxReplacements} 次)...`);
+                    try {
+                        const replacement = await sendReplacement(options.wallet, last, fees, cancel, options.onReplace);
+                        sent.push(replacement);
+                        if (cancel) {
+                            cancelled.add(replacement.hash);
+                        }
+                        console.log(`${prefix}替换交易已发送: ${replacement.hash}`);
+                    } catch (error) {
+                        // 原交易可能刚好上链，或节点认为gas费提高不够，下一轮再处理
+                        console.log(`${prefix}替换交易发送失败: ${error.shortMessage || error.message}`);
+                    }
+                }
+            }
+        }
+        
+        await delay(POLL_INTERVAL);
+    }
+}
+
+module.exports = {
+    POLL_INTERVAL,
+    REPLACEMENT_FEE_PERCENT,
+    NONCE_USED,
+    getReplacementFees,
+    watchTransaction
+};
@@ -0,0 +1,78 @@
+// 导入所需模块
+const readline = require('readline');
+
+/**
+ * 延迟函数
+ * @param {number} ms - 延迟毫秒数
+ * @returns {Promise} - 延迟Promise
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// 系统时钟: 读取当前时间和等待，测试时可以替换为不真正等待的时钟
+const systemClock = {
+    now: () => Date.now(),
+    sleep: delay
+};
+
+/**
+ * 创建用户输入接口
+ * @returns {readline.Interface} - Readline接口
+ */
+function createInterface() {
+    return readline.createInterface({
+        input: process.stdin,
+        output: process.stdout
+    });
+}
+
+/**
+ * 提示用户输入
+ * @param {readline.Interface} rl - Readline接口
+ * @param {string} question - 问题
+ * @returns {Promise<string>} - 用户的回答
+ */
+function prompt(rl, question) {
+    return new Promise((resolve) => {
+        rl.question(question, (answer) => {
+            resolve(answer);
+        });
+    });
+}
+
+/**
+ * 读取命令行中某个参数后面的值
+ * @param {string[]} args - 命令行参数
+ * @param {string} flag - 参数名
+ * @returns {string|null} - 参数值，未传该参数时为null
+ */
+function getArgValue(args, flag) {
+    const index = args.indexOf(flag);
+    if (index < 0) {
+        return null;
+    }
+    if (!args[index + 1]) {
+        throw new Error(`${flag} 需要指定参数值`);
+    }
+    return args[index + 1];
+}
+
+/**
+ * 读取命令行中的位置参数，跳过 --开头的参数和需要参数值的参数后面的值
+ * @param {string[]} args - 命令行参数
+ * @param {string[]} valueFlags - 需要跟参数值的参数名
+ * @returns {string[]} - 位置参数
+ */
+function getPositionalArgs(args, valueFlags) {
+    return args.filter((arg, index) => !arg.startsWith('--') && !valueFlags.includes(args[index - 1]));
+}
+
+module.exports = {
+    delay,
+    systemClock,
+    createInterface,
+    prompt,
+    getArgValue,
+    getPositionalArgs
+};
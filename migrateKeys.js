@@ -0,0 +1,257 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const {
+    DEFAULT_KEYSTORE_DIR,
+    readPassword,
+    readNewPassword,
+    listKeystores,
+    saveKeystore,
+    loadKeystoreWallets,
+    shredFile
+} = require('./lib/keyStore');
+const { createInterface, prompt } = require('./lib/utils');
+const { startLogging } = require('./lib/logger');
+
+// 钱包CSV中私钥和助记词可能使用的列名
+const PRIVATE_KEY_COLUMNS = ['私钥', 'PrivateKey', 'privateKey'];
+const MNEMONIC_COLUMNS = ['助记词', 'Mnemonic', 'mnemonic'];
+
+/**
+ * 从明文私钥文件中读取钱包，每行一个私钥
+ * @param {string} filePath - 私钥文件路径
+ * @returns {{wallets: ethers.Wallet[], skipped: number[]}} - 钱包数组和无效私钥所在的行号
+ */
+function readKeyFile(filePath) {
+    const wallets = [];
+    const skipped = [];
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    
+    lines.forEach((line, index) => {
+        const privateKey = line.trim();
+        if (!privateKey) {
+            return;
+        }
+        
+        try {
+            wallets.push(new ethers.Wallet(privateKey));
+        } catch (error) {
+            skipped.push(index + 1);
+            console.log(`${filePath} 第 ${index + 1} 行不是有效的私钥，已跳过`);
+        }
+    });
+    
+    return { wallets, skipped };
+}
+
+/**
+ * 检查CSV文件的表头中是否有私钥列，只包含地址的钱包CSV不需要迁移
+ * @param {string} filePath - CSV文件路径
+ * @returns {boolean} - 是否有私钥列
+ */
+function hasPrivateKeyColumn(filePath) {
+    const header = fs.readFileSync(filePath, 'utf8').split('\n')[0].replace(/^\uFEFF/, '');
+    return header.split(',').some(column => PRIVATE_KEY_COLUMNS.includes(column.trim().replace(/^"|"$/g, '')));
+}
+
+/**
+ * 从generateWallet.js生成的钱包CSV文件中读取钱包
+ * 有助记词时从助记词恢复，使keystore中同时保存助记词
+ * @param {string} filePath - CSV文件路径
+ * @returns {Promise<{wallets: Array<ethers.Wallet|ethers.HDNodeWallet>, skipped: number[]}>} - 钱包数组和没有有效私钥的行号
+ */
+function readWalletCsv(filePath) {
+    return new Promise((resolve, reject) => {
+        const wallets = [];
+        const skipped = [];
+        let rowNumber = 1; // 第1行为表头
+        
+        fs.createReadStream(filePath)
+            .pipe(csv())
+            .on('data', (row) => {
+                rowNumber++;
+                
+                // 尝试从不同可能的列名中获取私钥和助记词
+                const privateKey = PRIVATE_KEY_COLUMNS.map(column => row[column]).find(Boolean);
+                const mnemonic = MNEMONIC_COLUMNS.map(column => row[column]).find(Boolean);
+                
+                try {
+                    const wallet = new ethers.Wallet(privateKey);
+                    const fromPhrase = mnemonic ? ethers.Wallet.fromPhrase(mnemonic) : null;
+                    wallets.push(fromPhrase && fromPhrase.address === wallet.address ? fromPhrase : wallet);
+                } catch (error) {
+                    skipped.push(rowNumber);
+                    console.log(`${filePath} 第 ${rowNumber} 行没有有效的私钥，已跳过`);
+                }
+            })
+            .on('end', () => resolve({ wallets, skipped }))
+            .on('error', (error) => {
+                reject(new Error(`读取CSV文件失败: ${error.message}`));
+            });
+    });
+}
+
+/**
+ * 查找generateWallet.js生成的、带私钥列的钱包CSV文件
+ * @param {string} [dir] - 查找的目录，默认为项目目录(generateWallet.js保存钱包CSV的位置)
+ * @returns {string[]} - 文件路径
+ */
+function findWalletCsvFiles(dir = __dirname) {
+    return fs.readdirSync(dir)
+        .filter(name => /^钱包-.*\.csv$/.test(name))
+        .map(name => path.join(dir, name))
+        .filter(file => hasPrivateKeyColumn(file));
+}
+
+/**
+ * 读取所有明文来源中的钱包，记录每个文件中跳过的行
+ * @param {string|null} keyFile - 明文私钥文件路径，为null时跳过
+ * @param {string[]} csvFiles - 钱包CSV文件路径
+ * @returns {Promise<{wallets: Array<ethers.Wallet|ethers.HDNodeWallet>, sourceFiles: Array<{file: string, skipped: number[]}>}>} - 钱包数组和读取到钱包的文件
+ */
+async function readSources(keyFile, csvFiles) {
+    const sourceFiles = [];
+    const wallets = [];
+    
+    if (keyFile && fs.existsSync(keyFile)) {
+        const fromKeyFile = readKeyFile(keyFile);
+        console.log(`从 ${keyFile} 读取了 ${fromKeyFile.wallets.length} 个私钥`);
+        wallets.push(...fromKeyFile.wallets);
+        sourceFiles.push({ file: keyFile, skipped: fromKeyFile.skipped });
+    } else if (keyFile) {
+        console.log(`私钥文件 ${keyFile} 不存在，已跳过`);
+    }
+    
+    for (const csvFile of csvFiles) {
+        const fromCsv = await readWalletCsv(csvFile);
+        console.log(`从 ${csvFile} 读取了 ${fromCsv.wallets.length} 个钱包`);
+        if (fromCsv.wallets.length > 0) {
+            wallets.push(...fromCsv.wallets);
+            sourceFiles.push({ file: csvFile, skipped: fromCsv.skipped });
+        }
+    }
+    
+    return { wallets, sourceFiles };
+}
+
+/**
+ * 把keystore中还没有的钱包加密保存，已有keystore时沿用原密码，并用已有文件验证密码是否正确
+ * @param {Array<ethers.Wallet|ethers.HDNodeWallet>} wallets - 钱包数组，可以有重复
+ * @param {readline.Interface} [rl] - 已有的Readline接口
+ * @returns {Promise<number>} - 导入的钱包数
+ */
+async function importWallets(wallets, rl) {
+    // 去重，并跳过keystore中已有的地址
+    const existing = new Set(listKeystores().map(entry => entry.address));
+    const toImport = [];
+    for (const wallet of wallets) {
+        if (!existing.has(wallet.address)) {
+            existing.add(wallet.address);
+            toImport.push(wallet);
+        }
+    }
+    
+    if (toImport.length === 0) {
+        console.log('没有需要导入的新钱包');
+        return 0;
+    }
+    
+    let password;
+    const current = listKeystores();
+    if (current.length > 0) {
+        password = await readPassword('请输入现有keystore的密码: ', rl);
+        await loadKeystoreWallets(password, { addresses: [current[0].address] });
+    } else {
+        password = await readNewPassword(rl);
+    }
+    
+    for (let i = 0; i < toImport.length; i++) {
+        const file = await saveKeystore(toImport[i], password);
+        console.log(`[${i + 1}/${toImport.length}] 已导入 ${toImport[i].address} -> ${path.basename(file)}`);
+    }
+    console.log(`共导入 ${toImport.length} 个钱包`);
+    return toImport.length;
+}
+
+/**
+ * 列出可以粉碎的明文文件: 有跳过的行的文件不粉碎，这些行中可能是格式有误但仍然有用的私钥
+ * @param {Array<{file: string, skipped: number[]}>} sourceFiles - readSources返回的文件
+ * @returns {string[]} - 私钥已全部保存到keystore的文件
+ */
+function listShreddableFiles(sourceFiles) {
+    const incomplete = sourceFiles.filter(source => source.skipped.length > 0);
+    const shreddable = sourceFiles.filter(source => source.skipped.length === 0).map(source => source.file);
+    
+    if (incomplete.length > 0) {
+        console.log('\n以下文件中有未能导入的行，不会粉碎，请检查后手动处理:');
+        incomplete.forEach(source => console.log(`  ${source.file}: 第 ${source.skipped.join('、')} 行`));
+    }
+    if (shreddable.length > 0) {
+        console.log('\n以下明文文件中的私钥已全部保存到keystore:');
+        shreddable.forEach(file => console.log(`  ${file}`));
+    }
+    return shreddable;
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+    const rl = createInterface();
+    
+    try {
+        startLogging();
+        
+        console.log('===== 私钥迁移工具 =====');
+        console.log(`将明文私钥导入加密keystore: ${DEFAULT_KEYSTORE_DIR}`);
+        
+        // 1. 获取明文私钥文件路径
+        const keyInput = await prompt(rl, '请输入私钥文件路径 (默认: pk.txt，输入 - 跳过): ');
+        const keyFile = keyInput === '-' ? null : keyInput || path.join(__dirname, 'pk.txt');
+        
+        // 2. 获取钱包CSV文件路径，默认导入generateWallet.js生成的、带私钥列的文件
+        const defaultCsvFiles = findWalletCsvFiles();
+        const csvInput = await prompt(rl, `请输入钱包CSV文件路径，多个用逗号分隔 (默认: ${defaultCsvFiles.map(file => path.basename(file)).join(',') || '无'}): `);
+        const csvFiles = csvInput
+            ? csvInput.split(',').map(file => file.trim()).filter(Boolean)
+            : defaultCsvFiles;
+        
+        const { wallets, sourceFiles } = await readSources(keyFile, csvFiles);
+        await importWallets(wallets, rl);
+        
+        // 3. 确认是否粉碎明文文件
+        const shreddable = listShreddableFiles(sourceFiles);
+        if (shreddable.length === 0) {
+            return;
+        }
+        const confirm = await prompt(rl, '是否粉碎这些明文文件? 粉碎后无法恢复 (y/n): ');
+        if (confirm.toLowerCase() !== 'y') {
+            console.log('已保留明文文件，请妥善保管');
+            return;
+        }
+        
+        for (const file of shreddable) {
+            shredFile(file);
+            console.log(`已粉碎: ${file}`);
+        }
+        
+    } catch (error) {
+        console.error(`错误: ${error.message}`);
+    } finally {
+        rl.close();
+    }
+}
+
+// 直接运行时执行主函数，被其他脚本引用时只导出迁移函数
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    findWalletCsvFiles,
+    readSources,
+    importWallets,
+    listShreddableFiles
+};
@@ -0,0 +1,342 @@
+// 导入所需模块
+const { ethers } = require('ethers');
+const fs = require('fs');
+const path = require('path');
+const { loadPrivateKeys, loadPrivateKey } = require('./lib/keyStore');
+const {
+    DEFAULT_NETWORK,
+    getNetwork,
+    reportRpcHealth,
+    connectNetwork,
+    formatNative,
+    formatTxHash
+} = require('./lib/networks');
+const {
+    STUCK_ACTIONS,
+    resolveGasConfig,
+    describeGasConfig,
+    parseGwei,
+    waitForGasFees,
+    getFeePerGas,
+    getBaseFee,
+    estimateL1Fee,
+    estimateGasLimit
+} = require('./lib/gas');
+const { watchTransaction } = require('./lib/txWatcher');
+const { readTokenInfo } = require('./lib/erc20');
+const { createInterface, prompt, getArgValue, getPositionalArgs } = require('./lib/utils');
+const { startLogging } = require('./lib/logger');
+
+// 需要跟参数值的命令行参数
+const VALUE_FLAGS = ['--network', '--gas-strategy', '--max-fee-cap', '--tx-timeout', '--stuck-action'];
+
+// 补充gas时在估算的gas费上增加的余量(百分比)，补充后gas价格或L1数据费小幅上涨时仍足够支付
+const TOP_UP_MARGIN_PERCENT = 20n;
+
+/**
+ * 计算归集原生代币的gas费: EIP-1559网络的maxFeePerGas取gas策略给出的值和基础费乘以baseFeeMultiplier(默认2)加小费中较高的一个，
+ * 配置了gas价格上限时不超过上限。归集交易卡住时不能提高gas费，预留的余量使基础费连续上涨几个区块后交易仍能打包
+ * @param {ethers.Provider} provider - 提供者
+ * @param {Object} network - 网络配置
+ * @returns {Promise<Object>} - 交易的gas费字段
+ */
+async function getSweepFees(provider, network) {
+    const fees = await waitForGasFees(provider, network);
+    if (fees.type === 0) {
+        return fees;
+    }
+    
+    const config = network.gas || resolveGasConfig();
+    let maxFeePerGas = await getBaseFee(provider) * BigInt(config.baseFeeMultiplier) + fees.maxPriorityFeePerGas;
+    if (maxFeePerGas < fees.maxFeePerGas) {
+        maxFeePerGas = fees.maxFeePerGas;
+    }
+    if (config.maxFeeCap !== null && maxFeePerGas > parseGwei(config.maxFeeCap)) {
+        maxFeePerGas = parseGwei(config.maxFeeCap);
+    }
+    return { ...fees, maxFeePerGas };
+}
+
+/**
+ * 归集一个钱包的原生代币: 转出余额减去gas费后的全部数量
+ * gas限制按实际转账估算(转到合约或在Arbitrum上都会超过21000)，gas费按maxFeePerGas预留，OP Stack网络还要预留L1数据费；
+ * 实际按出块时的基础费加小费扣费，预留多出的部分退回钱包，作为少量余额留下
+ * @param {ethers.Wallet} wallet - 来源钱包
+ * @param {string} target - 归集地址
+ * @param {Object} network - 网络配置
+ * @param {bigint} dust - 低于该数量时跳过
+ * @param {string} label - 日志前缀
+ * @returns {Promise<Object>} - 归集结果
+ */
+async function sweepNative(wallet, target, network, dust, label) {
+    const provider = wallet.provider;
+    const balance = await provider.getBalance(wallet.address);
+    const skipped = { status: 'skipped', amount: balance, error: `余额 ${formatNative(network, balance)} 扣除gas后低于归集阈值` };
+    if (balance === 0n || balance < dust) {
+        return skipped;
+    }
+    
+    const gasLimit = await provider.estimateGas({ from: wallet.address, to: target, value: 1n });
+    const fees = await getSweepFees(provider, network);
+    const nonce = await provider.getTransactionCount(wallet.address, 'pending');
+    const request = { to: target, value: balance, gasLimit, nonce, ...fees };
+    const gasCost = gasLimit * getFeePerGas(fees) + await estimateL1Fee(provider, network, request);
+    const value = balance - gasCost;
+    
+    if (value <= 0n || value < dust) {
+        return skipped;
+    }
+    
+    console.log(`${label} 正在归集 ${formatNative(network, value)}，gas费 ${formatNative(network, gasCost)}...`);
+    const tx = await wallet.sendTransaction({ ...request, value });
+    console.log(`${label} 交易已发送，交易哈希: ${formatTxHash(network, tx.hash)}`);
+    
+    // 转出金额已扣除预留的gas费，提高gas费会导致余额不足，卡住时只等待
+    const { receipt } = await watchTransaction(tx, network, { wallet, label, action: STUCK_ACTIONS.WAIT });
+    return { status: 'confirmed', amount: value, txHash: receipt.hash };
+}
+
+/**
+ * 归集一个钱包的ERC-20代币，原生代币不足以支付gas时先由gas供应钱包补充差额，补充数量在gas费上增加余量
+ * @param {ethers.Wallet} wallet - 来源钱包
+ * @param {ethers.Contract} token - 代币合约实例
+ * @param {string} target - 归集地址
+ * @param {Object} network - 网络配置
+ * @param {ethers.Wallet|null} funder - gas供应钱包，不指定时跳过gas不足的钱包
+ * @param {bigint} dust - 低于该数量时跳过
+ * @param {string} label - 日志前缀
+ * @returns {Promise<Object>} - 归集结果
+ */
+async function sweepToken(wallet, token, target, network, funder, dust, label) {
+    const provider = wallet.provider;
+    const walletToken = token.connect(wallet);
+    const amount = await walletToken.balanceOf(wallet.address);
+    
+    if (amount === 0n || amount < dust) {
+        return { status: 'skipped', amount, error: '代币余额低于归集阈值' };
+    }
+    
+    // 补充gas和代币转账使用同一组gas费，避免补充后gas价格上涨导致余额不足
+    const request = await walletToken.transfer.populateTransaction(target, amount);
+    const gasLimit = await estimateGasLimit(wallet, request, network);
+    const fees = await waitForGasFees(provider, network);
+    const nonce = await provider.getTransactionCount(wallet.address, 'pending');
+    const gasCost = gasLimit * getFeePerGas(fees) + await estimateL1Fee(provider, network, { ...request, gasLimit, nonce, ...fees });
+    const balance = await provider.getBalance(wallet.address);
+    
+    let topUp = 0n;
+    if (balance < gasCost) {
+        if (!funder) {
+            return { status: 'skipped', amount, error: `原生代币余额 ${formatNative(network, balance)} 不足以支付gas ${formatNative(network, gasCost)}，且未指定gas供应钱包` };
+        }
+        
+        topUp = gasCost * (100n + TOP_UP_MARGIN_PERCENT) / 100n - balance;
+        console.log(`${label} 正在从 ${funder.address} 补充gas ${formatNative(network, topUp)}...`);
+        // 补充交易同样遵守gas策略和gas价格上限
+        const topUpRequest = { to: wallet.address, value: topUp };
+        const topUpGasLimit = await estimateGasLimit(funder, topUpRequest, network);
+        const topUpTx = await funder.sendTransaction({ ...topUpRequest, gasLimit: topUpGasLimit, ...await waitForGasFees(provider, network) });
+        await watchTransaction(topUpTx, network, { wallet: funder, label });
+        console.log(`${label} gas补充成功，交易哈希: ${formatTxHash(network, topUpTx.hash)}`);
+    }
+    
+    const tx = await wallet.sendTransaction({ ...request, gasLimit, nonce, ...fees });
+    console.log(`${label} 交易已发送，交易哈希: ${formatTxHash(network, tx.hash)}`);
+    
+    const { receipt, cancelled } = await watchTransaction(tx, network, { wallet, label });
+    if (cancelled) {
+        return { status: 'failed', amount, topUp, error: `交易超时未确认，已通过 ${receipt.hash} 取消` };
+    }
+    return { status: 'confirmed', amount, topUp, txHash: receipt.hash };
+}
+
+/**
+ * 保存归集结果到CSV文件
+ * @param {Object[]} results - 归集结果
+ * @param {string} symbol - 币种符号
+ * @param {number} decimals - 精度
+ * @param {Object} network - 网络配置
+ * @returns {string} - 结果文件路径
+ */
+function writeSweepCsv(results, symbol, decimals, network) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const resultFile = path.join(__dirname, `归集结果-${timestamp}.csv`);
+    
+    let csvContent = '序号,钱包地址,归集数量,状态,补充gas,交易哈希/原因\n';
+    results.forEach((result, index) => {
+        const status = result.status === 'confirmed' ? '成功' : result.status === 'skipped' ? '跳过' : '失败';
+        const amount = result.status === 'confirmed' ? `${ethers.formatUnits(result.amount, decimals)} ${symbol}` : '';
+        const topUp = result.topUp ? formatNative(network, result.topUp) : '';
+        const hashOrReason = result.status === 'confirmed' ? result.txHash : result.error;
+        csvContent += `${index + 1},"${result.address}","${amount}","${status}","${topUp}","${hashOrReason}"\n`;
+    });
+    
+    fs.writeFileSync(resultFile, csvContent);
+    return resultFile;
+}
+
+/**
+ * 列出各来源钱包待归集的余额
+ * @param {ethers.Wallet[]} wallets - 来源钱包
+ * @param {{token: ethers.Contract|null, symbol: string, decimals: number}} asset - 要归集的代币，token为null时归集原生代币
+ */
+async function printSweepBalances(wallets, asset) {
+    console.log('\n各钱包余额:');
+    for (const wallet of wallets) {
+        const balance = asset.token ? await asset.token.balanceOf(wallet.address) : await wallet.provider.getBalance(wallet.address);
+        console.log(`  ${wallet.address}: ${ethers.formatUnits(balance, asset.decimals)} ${asset.symbol}`);
+    }
+}
+
+/**
+ * 逐个钱包归集，单个钱包失败不影响其他钱包，最后输出统计并保存结果
+ * @param {ethers.Wallet[]} wallets - 来源钱包
+ * @param {string} target - 归集地址
+ * @param {Object} network - 网络配置
+ * @param {{token: ethers.Contract|null, symbol: string, decimals: number}} asset - 要归集的代币，token为null时归集原生代币
+ * @param {Object} [options] - 可选配置
+ * @param {bigint} [options.dust] - 低于该数量时跳过，默认为0
+ * @param {ethers.Wallet|null} [options.funder] - 代币归集时的gas供应钱包
+ * @returns {Promise<{results: Object[], resultFile: string}>} - 每个钱包的归集结果和结果文件路径
+ */
+async function sweepWallets(wallets, target, network, asset, options = {}) {
+    const { token, symbol, decimals } = asset;
+    const dust = options.dust || 0n;
+    const funder = options.funder || null;
+    
+    console.log('\n开始归集...');
+    const results = [];
+    for (let i = 0; i < wallets.length; i++) {
+        const wallet = wallets[i];
+        const label = `[${i + 1}/${wallets.length}]`;
+        
+        let result;
+        try {
+            result = token
+                ? await sweepToken(wallet, token, target, network, funder, dust, label)
+                : await sweepNative(wallet, target, network, dust, label);
+        } catch (error) {
+            result = { status: 'failed', amount: 0n, error: error.shortMessage || error.message };
+        }
+        results.push({ address: wallet.address, ...result });
+        
+        if (result.status === 'confirmed') {
+            console.log(`${label} ${wallet.address} 归集成功: ${ethers.formatUnits(result.amount, decimals)} ${symbol}`);
+        } else {
+            console.log(`${label} ${wallet.address} ${result.status === 'skipped' ? '跳过' : '失败'}: ${result.error}`);
+        }
+    }
+    
+    const confirmed = results.filter(result => result.status === 'confirmed');
+    const total = confirmed.reduce((sum, result) => sum + result.amount, 0n);
+    const topUpTotal = results.reduce((sum, result) => sum + (result.topUp || 0n), 0n);
+    console.log('\n归集完成!');
+    console.log(`成功: ${confirmed.length}，跳过: ${results.filter(result => result.status === 'skipped').length}，失败: ${results.filter(result => result.status === 'failed').length}`);
+    console.log(`共归集: ${ethers.formatUnits(total, decimals)} ${symbol}`);
+    if (topUpTotal > 0n) {
+        console.log(`共补充gas: ${formatNative(network, topUpTotal)}`);
+    }
+    const resultFile = writeSweepCsv(results, symbol, decimals, network);
+    console.log(`归集结果已保存至: ${resultFile}`);
+    
+    return { results, resultFile };
+}
+
+/**
+ * 主函数
+ */
+async function main() {
+    const rl = createInterface();
+    
+    try {
+        startLogging();
+        
+        console.log('===== 资金归集工具 =====');
+        
+        // 读取命令行参数
+        // --network <网络名称> 指定网络，默认 humanity-testnet
+        // --gas-strategy <provider|feeHistory|fixed> 覆盖网络配置中的gas策略
+        // --max-fee-cap <gwei> 覆盖网络配置中的gas价格上限，超过时暂停发送
+        // --tx-timeout <秒> --stuck-action <speedup|cancel|wait> 覆盖交易超时未确认时的处理方式
+        const args = process.argv.slice(2);
+        const networkName = getArgValue(args, '--network') || DEFAULT_NETWORK;
+        const gasOverrides = {
+            strategy: getArgValue(args, '--gas-strategy'),
+            maxFeeCap: getArgValue(args, '--max-fee-cap'),
+            txTimeout: getArgValue(args, '--tx-timeout'),
+            stuckAction: getArgValue(args, '--stuck-action')
+        };
+        const positional = getPositionalArgs(args, VALUE_FLAGS);
+        const rpcUrl = positional[0]; // 可选，多个用逗号分隔，不传则使用网络配置中的RPC列表
+        
+        const network = getNetwork(networkName, rpcUrl, gasOverrides);
+        console.log(`使用网络: ${network.name} (chainId: ${network.chainId})`);
+        console.log(describeGasConfig(network.gas));
+        await reportRpcHealth(network);
+        const provider = await connectNetwork(network);
+        
+        // 1. 读取来源钱包，keystore中有钱包时优先使用keystore
+        const privateKeys = await loadPrivateKeys({ keyFile: path.join(__dirname, 'pk.txt'), rl });
+        
+        // 2. 获取归集地址
+        const target = await prompt(rl, '请输入归集地址: ');
+        if (!ethers.isAddress(target)) {
+            throw new Error('请输入有效的归集地址');
+        }
+        const targetAddress = ethers.getAddress(target);
+        const wallets = privateKeys
+            .map(key => new ethers.Wallet(key, provider))
+            .filter(wallet => wallet.address !== targetAddress);
+        console.log(`共 ${wallets.length} 个来源钱包`);
+        
+        // 3. 获取代币地址和归集阈值
+        const tokenAddress = await prompt(rl, `请输入ERC-20代币合约地址 (留空则归集${network.nativeSymbol}): `) || null;
+        if (tokenAddress && !ethers.isAddress(tokenAddress)) {
+            throw new Error('请输入有效的代币合约地址');
+        }
+        const asset = await readTokenInfo(tokenAddress, provider, network);
+        const dustInput = await prompt(rl, `请输入归集阈值，低于该数量的余额不归集 (默认: 0 ${asset.symbol}): `) || '0';
+        const dust = ethers.parseUnits(dustInput, asset.decimals);
+        
+        // 4. 代币归集时可指定gas供应钱包，为原生代币不足的钱包补充gas
+        let funder = null;
+        if (asset.token) {
+            const funderSource = await prompt(rl, '请输入gas供应钱包地址(从keystore加载)或私钥文件路径 (留空则跳过gas不足的钱包): ');
+            if (funderSource) {
+                const funderKey = await loadPrivateKey(funderSource, rl);
+                funder = new ethers.Wallet(funderKey, provider);
+                console.log(`gas供应钱包: ${funder.address}，余额: ${formatNative(network, await provider.getBalance(funder.address))}`);
+            }
+        }
+        
+        // 5. 列出各钱包余额并确认
+        await printSweepBalances(wallets, asset);
+        const confirm = await prompt(rl, `\n确认将以上钱包的 ${asset.symbol} 归集到 ${targetAddress}? (y/n): `);
+        if (confirm.toLowerCase() !== 'y') {
+            console.log('已取消归集');
+            provider.destroy();
+            return;
+        }
+        
+        // 6. 逐个钱包归集，输出统计并保存结果
+        await sweepWallets(wallets, targetAddress, network, asset, { dust, funder });
+        provider.destroy();
+        
+    } catch (error) {
+        console.error(`错误: ${error.message}`);
+    } finally {
+        rl.close();
+    }
+}
+
+// 直接运行时执行主函数，被其他脚本引用时只导出归集函数
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    sweepNative,
+    sweepToken,
+    printSweepBalances,
+    sweepWallets
+};
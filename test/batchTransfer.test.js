@@ -0,0 +1,303 @@
+// 批量转账集成测试: 在本地链上发送原生代币和代币转账
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { batchTransfer, readJournal, prepareTransfers, signTransfers, broadcastTransfers } = require('../batchTransfer');
+const {
+    startChain,
+    deployMockHumanity,
+    deployMockToken,
+    confirm,
+    startFaultyRpc,
+    preserveDisperseDeployments
+} = require('./helpers');
+
+// 本机部署的批量分发合约地址
+const DISPERSE_DEPLOYMENTS_FILE = path.join(__dirname, '..', 'contracts', 'disperse.deployments.json');
+
+// RPC节点内部错误，无法确定交易是否已被接受
+const UPSTREAM_ERROR = { code: -32603, message: 'upstream request timeout' };
+
+describe('batchTransfer', () => {
+    let chain;
+    let rpc;
+    let outputDir;
+    let restoreDeployments;
+    
+    before(async () => {
+        // 转账过程的输出很多，测试时不打印
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        // 转账日志和结果写入临时目录，不写入项目目录
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-transfer-test-'));
+        restoreDeployments = preserveDisperseDeployments();
+        chain = await startChain();
+        rpc = await startFaultyRpc(chain.url);
+    });
+    
+    after(async () => {
+        await rpc.close();
+        await chain.close();
+        fs.rmSync(outputDir, { recursive: true, force: true });
+        restoreDeployments();
+        mock.restoreAll();
+    });
+    
+    it('向所有接收方转账并返回每笔转账的状态', async () => {
+        const recipients = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+        
+        const result = await batchTransfer({
+            privateKey: chain.keys[0],
+            recipients: [{ address: recipients[0] }, { address: recipients[1], amount: '0.02' }],
+            network: chain.network,
+            amount: '0.01',
+            outputDir
+        });
+        
+        assert.equal(result.from, ethers.computeAddress(chain.keys[0]));
+        assert.equal(result.total, 2);
+        assert.equal(result.confirmed, 2);
+        assert.equal(result.failed, 0);
+        assert.equal(await chain.provider.getBalance(recipients[0]), ethers.parseEther('0.01'));
+        assert.equal(await chain.provider.getBalance(recipients[1]), ethers.parseEther('0.02'));
+    });
+    
+    it('余额不足时抛出异常，不发送任何转账', async () => {
+        const sender = ethers.Wallet.createRandom();
+        const recipient = ethers.Wallet.createRandom().address;
+        
+        await assert.rejects(
+            batchTransfer({
+                privateKey: sender.privateKey,
+                recipients: [{ address: recipient }],
+                network: chain.network,
+                amount: '1',
+                outputDir
+            }),
+            /批量转账过程中出错/
+        );
+        assert.equal(await chain.provider.getBalance(recipient), 0n);
+    });
+    
+    it('部分转账失败时记录失败原因，其他转账正常确认', async () => {
+        // 模拟签到合约没有receive函数，向它转账原生代币会回滚
+        const contract = await deployMockHumanity(chain, chain.keys[1]);
+        const recipient = ethers.Wallet.createRandom().address;
+        
+        const result = await batchTransfer({
+            privateKey: chain.keys[2],
+            recipients: [{ address: recipient }, { address: contract.target }],
+            network: chain.network,
+            amount: '0.01',
+            outputDir
+        });
+        
+        assert.equal(result.confirmed, 1);
+        assert.equal(result.failed, 1);
+        const failed = result.entries.find(entry => entry.toAddress === contract.target);
+        assert.equal(failed.status, 'failed');
+        assert.ok(failed.error);
+        assert.equal(await chain.provider.getBalance(recipient), ethers.parseEther('0.01'));
+    });
+    
+    it('广播出错但交易已被节点接受时，继续等待确认', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+        rpc.failRequests('eth_sendRawTransaction', 1, UPSTREAM_ERROR, true);
+        
+        const result = await batchTransfer({
+            privateKey: chain.keys[3],
+            recipients: [{ address: recipient }],
+            network: rpc.network,
+            amount: '0.01',
+            outputDir
+        });
+        
+        assert.equal(result.confirmed, 1);
+        assert.equal(await chain.provider.getBalance(recipient), ethers.parseEther('0.01'));
+    });
+    
+    it('广播结果不确定时不复用nonce，标记为待核实', async () => {
+        const sender = ethers.computeAddress(chain.keys[4]);
+        const nonce = await chain.provider.getTransactionCount(sender);
+        rpc.failRequests('eth_sendRawTransaction', 1, UPSTREAM_ERROR);
+        
+        const result = await batchTransfer({
+            privateKey: chain.keys[4],
+            recipients: [{ address: ethers.Wallet.createRandom().address }],
+            network: rpc.network,
+            amount: '0.01',
+            outputDir
+        });
+        
+        assert.equal(result.unknown, 1);
+        assert.equal(result.entries[0].status, 'unknown');
+        assert.equal(result.entries[0].nonce, nonce);
+        assert.ok(result.entries[0].txHash);
+        assert.equal(await chain.provider.getTransactionCount(sender), nonce);
+    });
+    
+    it('nonce冲突重试次数用完后标记为失败，不留下nonce空缺', async () => {
+        const sender = ethers.computeAddress(chain.keys[7]);
+        const nonce = await chain.provider.getTransactionCount(sender);
+        // 首次发送加2次重试都返回nonce过低
+        rpc.failRequests('eth_sendRawTransaction', 3, { code: -32000, message: 'nonce too low' });
+        
+        const result = await batchTransfer({
+            privateKey: chain.keys[7],
+            recipients: [{ address: ethers.Wallet.createRandom().address }],
+            network: rpc.network,
+            amount: '0.01',
+            outputDir
+        });
+        
+        assert.equal(result.failed, 1);
+        assert.equal(result.unknown, 0);
+        assert.equal(result.entries[0].status, 'failed');
+        assert.match(result.entries[0].error, /nonce冲突重试 2 次后仍失败/);
+        assert.equal(await chain.provider.getTransactionCount(sender), nonce);
+    });
+    
+    it('继续转账时，待核实的交易已丢弃则重新发送', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+        rpc.failRequests('eth_sendRawTransaction', 1, UPSTREAM_ERROR);
+        const first = await batchTransfer({
+            privateKey: chain.keys[5],
+            recipients: [{ address: recipient }],
+            network: rpc.network,
+            amount: '0.01',
+            outputDir
+        });
+        assert.equal(first.entries[0].status, 'unknown');
+        
+        const result = await batchTransfer({ privateKey: chain.keys[5], network: rpc.network, journalFile: first.journalFile, outputDir });
+        
+        assert.equal(result.confirmed, 1);
+        assert.equal(await chain.provider.getBalance(recipient), ethers.parseEther('0.01'));
+    });
+    
+    it('继续转账时，待核实的交易已上链则不重复转账', async () => {
+        const recipient = ethers.Wallet.createRandom().address;
+        const first = await batchTransfer({
+            privateKey: chain.keys[6],
+            recipients: [{ address: recipient }],
+            network: chain.network,
+            amount: '0.01',
+            outputDir
+        });
+        
+        // 模拟交易已上链，但等待确认时出错、结果未确定
+        const journal = readJournal(first.journalFile);
+        Object.assign(journal.entries[0], { status: 'unknown', error: 'timeout' });
+        fs.writeFileSync(first.journalFile, JSON.stringify(journal));
+        
+        const result = await batchTransfer({ privateKey: chain.keys[6], network: chain.network, journalFile: first.journalFile, outputDir });
+        
+        assert.equal(result.confirmed, 1);
+        assert.equal(result.entries[0].txHash, first.entries[0].txHash);
+        assert.equal(await chain.provider.getBalance(recipient), ethers.parseEther('0.01'));
+    });
+    
+    it('逐笔转账代币，按代币精度换算数量', async () => {
+        const sender = ethers.computeAddress(chain.keys[0]);
+        const token = await deployMockToken(chain, chain.keys[0], 'USDT', 6);
+        await confirm(token.mint(sender, ethers.parseUnits('10', 6)));
+        const recipients = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+        
+        const result = await batchTransfer({
+            privateKey: chain.keys[0],
+            recipients: [{ address: recipients[0] }, { address: recipients[1], amount: '2.5' }],
+            network: chain.network,
+            amount: '1',
+            tokenAddress: token.target,
+            outputDir
+        });
+        
+        assert.equal(result.confirmed, 2);
+        assert.equal(result.symbol, 'USDT');
+        assert.equal(await token.balanceOf(recipients[0]), ethers.parseUnits('1', 6));
+        assert.equal(await token.balanceOf(recipients[1]), ethers.parseUnits('2.5', 6));
+        assert.equal(await token.balanceOf(sender), ethers.parseUnits('6.5', 6));
+        assert.equal(await chain.provider.getBalance(recipients[0]), 0n);
+    });
+    
+    it('批量分发合约的部署地址记录在本机文件，不修改合约配置', async () => {
+        const artifactFile = path.join(__dirname, '..', 'contracts', 'disperse.json');
+        const artifact = fs.readFileSync(artifactFile, 'utf8');
+        const recipients = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+        
+        const result = await batchTransfer({
+            privateKey: chain.keys[7],
+            recipients: recipients.map(address => ({ address })),
+            network: chain.network,
+            amount: '0.01',
+            outputDir,
+            disperse: true
+        });
+        
+        assert.equal(result.confirmed, 2);
+        assert.equal(fs.readFileSync(artifactFile, 'utf8'), artifact);
+        const deployed = JSON.parse(fs.readFileSync(DISPERSE_DEPLOYMENTS_FILE, 'utf8'))['1337'];
+        assert.notEqual(await chain.provider.getCode(deployed), '0x');
+    });
+    
+    it('通过批量分发合约转账代币，已有授权不足时先重置为0再授权', async () => {
+        const sender = new ethers.Wallet(chain.keys[9], chain.provider);
+        const token = await deployMockToken(chain, chain.keys[9]);
+        await confirm(token.mint(sender.address, ethers.parseUnits('100', 6)));
+        const recipients = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+        const transfer = () => batchTransfer({
+            privateKey: chain.keys[9],
+            recipients: recipients.map(address => ({ address })),
+            network: chain.network,
+            amount: '1',
+            outputDir,
+            tokenAddress: token.target,
+            disperse: true
+        });
+        
+        assert.equal((await transfer()).confirmed, 2);
+        
+        // 留下不足下一次分发的授权，代币不允许直接把它改成另一个非0值
+        const disperseAddress = JSON.parse(fs.readFileSync(DISPERSE_DEPLOYMENTS_FILE, 'utf8'))['1337'];
+        await confirm(token.connect(sender).approve(disperseAddress, ethers.parseUnits('1', 6)));
+        
+        const result = await transfer();
+        
+        assert.equal(result.confirmed, 2);
+        assert.equal(result.symbol, 'MOCK');
+        assert.equal(await token.balanceOf(recipients[0]), ethers.parseUnits('2', 6));
+        assert.equal(await token.allowance(sender.address, disperseAddress), 0n);
+    });
+    
+    it('广播离线签名的交易后返回每笔交易的状态，计划、签名和结果文件保存在指定目录', async () => {
+        const from = ethers.computeAddress(chain.keys[8]);
+        const recipients = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+        const offlineDir = path.join(outputDir, 'offline');
+        
+        const planFile = await prepareTransfers(from, recipients.map(address => ({ address })), chain.network, '0.01', { outputDir: offlineDir });
+        const signedFile = await signTransfers(planFile, chain.keys[8], { outputDir: offlineDir });
+        const result = await broadcastTransfers(signedFile, chain.network, { outputDir: offlineDir });
+        
+        assert.deepEqual([planFile, signedFile, result.resultFile].map(file => path.dirname(file)), [offlineDir, offlineDir, offlineDir]);
+        assert.equal(result.total, 2);
+        assert.equal(result.confirmed, 2);
+        assert.equal(result.failed, 0);
+        assert.deepEqual(result.entries.map(entry => entry.status), ['confirmed', 'confirmed']);
+        assert.equal(await chain.provider.getBalance(recipients[1]), ethers.parseEther('0.01'));
+    });
+    
+    it('广播的文件不是已签名交易时抛出异常', async () => {
+        const journal = await batchTransfer({
+            privateKey: chain.keys[8],
+            recipients: [{ address: ethers.Wallet.createRandom().address }],
+            network: chain.network,
+            amount: '0.01',
+            outputDir
+        });
+        
+        await assert.rejects(broadcastTransfers(journal.journalFile, chain.network), /不是已签名交易文件/);
+    });
+});
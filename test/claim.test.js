@@ -0,0 +1,125 @@
+// 签到集成测试: 在本地链上对模拟签到合约执行签到，检查各类错误的重试方式
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { claimReward } = require('../lib/claim');
+const {
+    startChain,
+    deployMockHumanity,
+    loadMockTask,
+    confirm,
+    createFakeClock,
+    startFaultyRpc
+} = require('./helpers');
+
+// 缩短重试次数，便于检查每次重试前的等待时间
+const SETTINGS = { maxRetries: 2, retryDelay: 1000, escalationFactor: 1.5 };
+
+// RPC节点内部错误，按网络错误处理
+const UPSTREAM_ERROR = { code: -32603, message: 'upstream request timeout' };
+
+describe('claimReward', () => {
+    let chain;
+    let rpc;
+    let contract;
+    let task;
+    
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        chain = await startChain();
+        rpc = await startFaultyRpc(chain.url);
+        contract = await deployMockHumanity(chain, chain.keys[9]);
+        task = loadMockTask(contract);
+    });
+    
+    after(async () => {
+        await rpc.close();
+        await chain.close();
+        mock.restoreAll();
+    });
+    
+    /**
+     * 为私钥对应的地址设置可领取的奖励
+     */
+    async function setRewards(privateKey, daily, referral = 0n, genesis = 0n, buffer = 0n) {
+        await confirm(contract.setRewards(ethers.computeAddress(privateKey), daily, referral, genesis, buffer));
+    }
+    
+    it('领取奖励并按事件汇总领取数量', async () => {
+        const clock = createFakeClock();
+        await setRewards(chain.keys[1], ethers.parseEther('10'), ethers.parseEther('2'), 0n, ethers.parseEther('1'));
+        
+        const result = await claimReward({ privateKey: chain.keys[1], network: chain.network, task, settings: SETTINGS, clock });
+        
+        assert.equal(result.status, 'claimed');
+        assert.equal(result.error, null);
+        assert.equal(result.txHashes.length, 2);
+        assert.deepEqual(result.rewards, {
+            '领取的奖励 (rewardType 0)': ethers.parseEther('10'),
+            '领取的奖励 (rewardType 1)': ethers.parseEther('3')
+        });
+        assert.deepEqual(clock.sleeps, []);
+    });
+    
+    it('本epoch已签到时跳过', async () => {
+        const result = await claimReward({ privateKey: chain.keys[1], network: chain.network, task, settings: SETTINGS });
+        
+        assert.equal(result.status, 'skipped');
+        assert.deepEqual(result.txHashes, []);
+    });
+    
+    it('合约回滚时解码错误，不重试', async () => {
+        const clock = createFakeClock();
+        await setRewards(chain.keys[2], ethers.parseEther('1'));
+        await confirm(contract.setBlocked(ethers.computeAddress(chain.keys[2]), true));
+        
+        const result = await claimReward({ privateKey: chain.keys[2], network: chain.network, task, settings: SETTINGS, clock });
+        
+        assert.equal(result.status, 'failed');
+        assert.match(result.error, /AccessControlUnauthorizedAccount/);
+        assert.deepEqual(clock.sleeps, []);
+    });
+    
+    it('网络错误按递增的间隔重试，恢复后签到成功', async () => {
+        const clock = createFakeClock();
+        await setRewards(chain.keys[3], ethers.parseEther('1'));
+        rpc.failRequests('eth_getTransactionCount', 2, UPSTREAM_ERROR);
+        
+        const result = await claimReward({ privateKey: chain.keys[3], network: rpc.network, task, settings: SETTINGS, clock });
+        
+        assert.equal(result.status, 'claimed');
+        assert.equal(result.txHashes.length, 1);
+        assert.deepEqual(clock.sleeps, [1000, 1500]);
+    });
+    
+    it('网络错误达到最大重试次数后失败', async () => {
+        const clock = createFakeClock();
+        await setRewards(chain.keys[4], ethers.parseEther('1'));
+        rpc.failRequests('eth_getTransactionCount', SETTINGS.maxRetries + 1, UPSTREAM_ERROR);
+        
+        const result = await claimReward({ privateKey: chain.keys[4], network: rpc.network, task, settings: SETTINGS, clock });
+        
+        assert.equal(result.status, 'failed');
+        assert.ok(result.error);
+        assert.deepEqual(clock.sleeps, [1000, 1500]);
+        assert.equal(await contract.dailyRewardsAvailable(ethers.computeAddress(chain.keys[4])), ethers.parseEther('1'));
+    });
+    
+    it('nonce冲突时提高gas费后立即重试', async () => {
+        const clock = createFakeClock();
+        await setRewards(chain.keys[5], ethers.parseEther('1'));
+        rpc.failRequests('eth_sendRawTransaction', 1, { code: -32000, message: 'nonce too low' });
+        
+        const result = await claimReward({ privateKey: chain.keys[5], network: rpc.network, task, settings: SETTINGS, clock });
+        
+        assert.equal(result.status, 'claimed');
+        assert.deepEqual(clock.sleeps, []);
+        
+        // 被拒绝的交易按100%的gas费发送，重试的交易提高了小费
+        const rejected = ethers.Transaction.from(rpc.intercepted.at(-1).params[0]);
+        const mined = await chain.provider.getTransaction(result.txHashes[0]);
+        assert.equal(mined.nonce, rejected.nonce);
+        assert.ok(mined.maxPriorityFeePerGas > rejected.maxPriorityFeePerGas);
+    });
+});
@@ -0,0 +1,94 @@
+// 待确认交易清理测试: 在本地链上用更高的gas费取消交易池中的交易
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { cancelNonce } = require('../clearPending');
+const { startChain, startFaultyRpc } = require('./helpers');
+
+describe('cancelNonce', () => {
+    let chain;
+    let rpc;
+    
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        chain = await startChain();
+        rpc = await startFaultyRpc(chain.url);
+    });
+    
+    after(async () => {
+        await rpc.close();
+        await chain.close();
+        mock.restoreAll();
+    });
+    
+    /**
+     * 等待交易池中指定nonce的交易变为向自己转账0的取消交易
+     */
+    async function waitForCancelInPool(address, nonce) {
+        while (true) {
+            const { pending } = await chain.provider.send('txpool_content', []);
+            const pooled = (pending[address.toLowerCase()] || {})[nonce];
+            if (pooled && BigInt(pooled.value) === 0n) {
+                return;
+            }
+            await new Promise(resolve => setTimeout(resolve, 50));
+        }
+    }
+    
+    it('原交易的gas费更高时，逐步提高gas费直到替换成功', async () => {
+        const wallet = new ethers.Wallet(chain.keys[1], chain.provider);
+        
+        // ganache把nonce 0当作未指定，先发一笔交易让待取消的交易使用nonce 1
+        await (await wallet.sendTransaction({ to: wallet.address, value: 0n })).wait();
+        
+        // 停止出块，原交易按当前gas费的150%留在交易池中
+        await chain.provider.send('miner_stop', []);
+        const fees = await chain.provider.getFeeData();
+        const original = await wallet.sendTransaction({
+            to: ethers.Wallet.createRandom().address,
+            value: ethers.parseEther('1'),
+            nonce: 1,
+            maxFeePerGas: fees.maxFeePerGas * 150n / 100n,
+            maxPriorityFeePerGas: fees.maxPriorityFeePerGas * 150n / 100n
+        });
+        
+        const cancelling = cancelNonce(wallet, 1, chain.network);
+        await waitForCancelInPool(wallet.address, 1);
+        await chain.provider.send('miner_start', []);
+        const receipt = await cancelling;
+        
+        assert.equal(receipt.status, 1);
+        assert.equal(receipt.to, wallet.address);
+        assert.equal(await chain.provider.getTransactionReceipt(original.hash), null);
+        assert.equal(await chain.provider.getTransactionCount(wallet.address), 2);
+        
+        // 125%和156%的gas费都不足以替换原交易，第三次才被接受
+        const cancelTx = await chain.provider.getTransaction(receipt.hash);
+        assert.ok(cancelTx.maxPriorityFeePerGas > original.maxPriorityFeePerGas);
+    });
+    
+    it('等待取消交易确认时原交易先上链，按已清除处理', async () => {
+        const provider = new ethers.JsonRpcProvider(rpc.url, 1337, { staticNetwork: true, cacheTimeout: -1 });
+        const wallet = new ethers.Wallet(chain.keys[2], provider);
+        await (await wallet.sendTransaction({ to: wallet.address, value: 0n })).wait();
+        
+        try {
+            // 停止出块，原交易留在交易池中；取消交易被代理节点接受但没有传播出去
+            await chain.provider.send('miner_stop', []);
+            const original = await wallet.sendTransaction({ to: ethers.Wallet.createRandom().address, value: 1n, nonce: 1 });
+            rpc.dropTransactions(1);
+            
+            const cancelling = cancelNonce(wallet, 1, rpc.network);
+            while (!rpc.intercepted.some(request => request.method === 'eth_sendRawTransaction')) {
+                await new Promise(resolve => setTimeout(resolve, 50));
+            }
+            await chain.provider.send('miner_start', []);
+            
+            assert.equal(await cancelling, null);
+            assert.equal((await chain.provider.getTransactionReceipt(original.hash)).status, 1);
+        } finally {
+            provider.destroy();
+        }
+    });
+});
@@ -0,0 +1,38 @@
+// 交易失败分类测试: 检查签到重试时使用的失败类型
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { ERROR_TYPES, classifyError } = require('../lib/contractErrors');
+const { NONCE_USED } = require('../lib/txWatcher');
+
+describe('classifyError', () => {
+    it('已被替换或取消的交易按nonce问题处理', () => {
+        const replaced = ethers.makeError('transaction was replaced', 'TRANSACTION_REPLACED', {
+            cancelled: true,
+            reason: 'cancelled',
+            hash: ethers.ZeroHash,
+            replacement: null,
+            receipt: null
+        });
+        
+        assert.equal(classifyError(replaced).type, ERROR_TYPES.NONCE);
+    });
+    
+    it('nonce已被其他交易使用时按nonce问题处理', () => {
+        const error = new Error('nonce 3 已被其他交易使用，交易 0x01 不会被确认');
+        error.code = NONCE_USED;
+        
+        const failure = classifyError(error);
+        
+        assert.equal(failure.type, ERROR_TYPES.NONCE);
+        assert.equal(failure.message, error.message);
+    });
+    
+    it('节点拒绝nonce过低的交易时按nonce问题处理，其他节点错误按网络错误处理', () => {
+        const nonceTooLow = ethers.makeError('nonce has already been used', 'NONCE_EXPIRED', {});
+        const timeout = ethers.makeError('request timeout', 'TIMEOUT', { operation: 'request' });
+        
+        assert.equal(classifyError(nonceTooLow).type, ERROR_TYPES.NONCE);
+        assert.equal(classifyError(timeout).type, ERROR_TYPES.TRANSPORT);
+    });
+});
@@ -0,0 +1,101 @@
+// 钱包面板集成测试: 在本地链上读取余额和奖励，分别通过Multicall3和逐个查询
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readDashboard, showDashboard } = require('../dashboard');
+const { ERC20_ABI } = require('../lib/erc20');
+const {
+    startChain,
+    deployMockHumanity,
+    deployMockToken,
+    deployMockMulticall3,
+    loadMockTask,
+    confirm
+} = require('./helpers');
+
+const DAILY_REWARD = ethers.parseEther('1');
+const BUFFER = ethers.parseEther('0.5');
+
+describe('钱包面板', () => {
+    let chain;
+    let task;
+    let token;
+    let multicallNetwork;
+    let funded;
+    let empty;
+    let outputDir;
+    
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        chain = await startChain();
+        const contract = await deployMockHumanity(chain, chain.keys[9]);
+        task = loadMockTask(contract);
+        token = await deployMockToken(chain, chain.keys[9]);
+        multicallNetwork = { ...chain.network, multicall3: (await deployMockMulticall3(chain, chain.keys[9])).target };
+        
+        funded = ethers.computeAddress(chain.keys[1]);
+        empty = ethers.Wallet.createRandom().address;
+        await confirm(contract.setRewards(funded, DAILY_REWARD, 0n, 0n, BUFFER));
+        await confirm(token.mint(empty, ethers.parseUnits('3', 6)));
+        outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dashboard-test-'));
+    });
+    
+    after(async () => {
+        await chain.close();
+        fs.rmSync(outputDir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+    
+    /**
+     * 检查两个钱包的余额、nonce和奖励
+     */
+    async function assertRows(rows) {
+        assert.deepEqual(rows.map(row => row.address), [funded, empty]);
+        assert.equal(rows[0].nativeBalance, await chain.provider.getBalance(funded));
+        assert.equal(rows[0].nonce, await chain.provider.getTransactionCount(funded));
+        assert.equal(rows[0].rewards.dailyRewardsAvailable, DAILY_REWARD);
+        assert.equal(rows[0].rewards.userBuffer, BUFFER);
+        assert.equal(rows[1].nativeBalance, 0n);
+        assert.equal(rows[1].nonce, 0);
+        assert.equal(rows[1].rewards.dailyRewardsAvailable, 0n);
+    }
+    
+    it('网络上没有部署Multicall3时逐个查询余额、代币余额和奖励', async () => {
+        const { columns, rows } = await readDashboard(chain.provider, chain.network, task, [funded, empty], token);
+        
+        assert.ok(columns.includes('dailyRewardsAvailable'));
+        assert.ok(columns.includes('userBuffer'));
+        await assertRows(rows);
+        assert.equal(rows[1].tokenBalance, ethers.parseUnits('3', 6));
+        assert.ok(console.log.mock.calls.some(call => String(call.arguments[0]).includes('改为逐个查询')));
+    });
+    
+    it('通过Multicall3批量查询，单个调用失败时该值为空', async () => {
+        console.log.mock.resetCalls();
+        // 奖励合约没有balanceOf函数，查询代币余额的调用会回滚
+        const notToken = new ethers.Contract(task.contract, ERC20_ABI, chain.provider);
+        
+        const { rows } = await readDashboard(chain.provider, multicallNetwork, task, [funded, empty], notToken);
+        
+        await assertRows(rows);
+        assert.deepEqual(rows.map(row => row.tokenBalance), [null, null]);
+        assert.ok(!console.log.mock.calls.some(call => String(call.arguments[0]).includes('改为逐个查询')));
+    });
+    
+    it('导出表格，并标记原生代币余额低于阈值的钱包', async () => {
+        const outputFile = path.join(outputDir, 'dashboard.json');
+        
+        const table = await showDashboard(chain.provider, multicallNetwork, task, [funded, empty], {
+            tokenAddress: token.target,
+            outputFile
+        });
+        
+        assert.deepEqual(table.map(row => row['状态']), ['', 'gas不足']);
+        assert.equal(table[1]['MOCK余额'], '3.0');
+        assert.equal(table[0]['dailyRewardsAvailable'], '1.0');
+        assert.deepEqual(JSON.parse(fs.readFileSync(outputFile, 'utf8')), table);
+    });
+});
@@ -0,0 +1,108 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.0;
+
+/**
+ * 测试用的Humanity签到合约，签到相关的函数和事件与 hum/abi.json 一致
+ * 奖励、epoch和拒绝签到的地址由测试通过set开头的函数设置
+ * 编译: solc 0.8.24，开启优化(runs=200)，evmVersion=paris
+ */
+contract MockHumanity {
+    error AccessControlUnauthorizedAccount(address account, bytes32 neededRole);
+
+    event RewardClaimed(address indexed user, uint8 indexed rewardType, uint256 amount);
+    event ReferralRewardBuffered(address indexed from, address indexed to, uint256 amount, bool bufferSafe);
+
+    struct UserClaimStatus {
+        uint256 buffer;
+        bool claimStatus;
+    }
+
+    mapping(address => uint256) public dailyRewardsAvailable;
+    mapping(address => uint256) public referralRewardsAvailable;
+    mapping(address => uint256) public genesisRewardsAvailable;
+    mapping(address => uint256) public userBuffer;
+    mapping(address => bool) public userGenesisClaimStatus;
+    mapping(address => bool) public blocked;
+    mapping(address => mapping(uint256 => bool)) public claimed;
+    uint256 public cycleStartTimestamp;
+    uint256 public epochLength = 86400;
+    bool public paused;
+
+    constructor() {
+        cycleStartTimestamp = block.timestamp;
+    }
+
+    function currentEpoch() public view returns (uint256) {
+        return (block.timestamp - cycleStartTimestamp) / epochLength;
+    }
+
+    function userClaimStatus(address user, uint256 epochID) external view returns (UserClaimStatus memory) {
+        return UserClaimStatus(userBuffer[user], claimed[user][epochID]);
+    }
+
+    /**
+     * 设置epoch的开始时间和时长
+     */
+    function setEpoch(uint256 start, uint256 length) external {
+        cycleStartTimestamp = start;
+        epochLength = length;
+    }
+
+    /**
+     * 设置地址可领取的每日、推荐、创世奖励和缓冲区中的奖励
+     */
+    function setRewards(address user, uint256 daily, uint256 referral, uint256 genesis, uint256 buffer) external {
+        dailyRewardsAvailable[user] = daily;
+        referralRewardsAvailable[user] = referral;
+        genesisRewardsAvailable[user] = genesis;
+        userBuffer[user] = buffer;
+    }
+
+    /**
+     * 拒绝地址签到，签到时以AccessControlUnauthorizedAccount回滚
+     */
+    function setBlocked(address user, bool value) external {
+        blocked[user] = value;
+    }
+
+    /**
+     * 暂停签到，签到时以字符串原因回滚
+     */
+    function setPaused(bool value) external {
+        paused = value;
+    }
+
+    function claimReward() external {
+        require(!paused, "claims paused");
+        if (blocked[msg.sender]) {
+            revert AccessControlUnauthorizedAccount(msg.sender, keccak256("CLAIMER"));
+        }
+
+        uint256 daily = dailyRewardsAvailable[msg.sender];
+        require(daily > 0, "nothing to claim");
+        dailyRewardsAvailable[msg.sender] = 0;
+        claimed[msg.sender][currentEpoch()] = true;
+        emit RewardClaimed(msg.sender, 0, daily);
+
+        uint256 referral = referralRewardsAvailable[msg.sender];
+        if (referral > 0) {
+            referralRewardsAvailable[msg.sender] = 0;
+            emit RewardClaimed(msg.sender, 1, referral);
+            emit ReferralRewardBuffered(msg.sender, address(0xdead), referral / 10, true);
+        }
+
+        uint256 genesis = genesisRewardsAvailable[msg.sender];
+        if (genesis > 0) {
+            genesisRewardsAvailable[msg.sender] = 0;
+            userGenesisClaimStatus[msg.sender] = true;
+            emit RewardClaimed(msg.sender, 2, genesis);
+        }
+    }
+
+    function claimBuffer() external {
+        uint256 buffer = userBuffer[msg.sender];
+        require(buffer > 0, "empty buffer");
+        userBuffer[msg.sender] = 0;
+        emit RewardClaimed(msg.sender, 1, buffer);
+    }
+}
@@ -0,0 +1,156 @@
+// gas费测试: 在本地链上检查各gas策略、gas价格上限和Rollup的L1数据费
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { ROLLUPS, resolveGasConfig, getGasFees, waitForGasFees, estimateL1Fee } = require('../lib/gas');
+const { connectNetwork } = require('../lib/networks');
+const { startChain, startFaultyRpc } = require('./helpers');
+
+// OP Stack链预部署GasPriceOracle的地址
+const OP_GAS_PRICE_ORACLE = '0x420000000000000000000000000000000000000F';
+// 模拟GasPriceOracle: 任何调用都返回1000 (PUSH2 0x03e8, MSTORE到0, RETURN 32字节)
+const MOCK_ORACLE_CODE = '0x6103e860005260206000f3';
+
+describe('gas策略', () => {
+    let chain;
+    let rpc;
+    
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        chain = await startChain();
+        rpc = await startFaultyRpc(chain.url);
+    });
+    
+    after(async () => {
+        await rpc.close();
+        await chain.close();
+        mock.restoreAll();
+    });
+    
+    /**
+     * 使用指定gas配置的本地网络
+     */
+    function withGas(config, network = chain.network) {
+        return { ...network, gas: resolveGasConfig(config) };
+    }
+    
+    it('provider策略使用节点返回的gas费，并按倍率提高', async () => {
+        const feeData = await chain.provider.getFeeData();
+        
+        assert.deepEqual(await getGasFees(chain.provider, chain.network), {
+            type: 2,
+            maxFeePerGas: feeData.maxFeePerGas,
+            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas
+        });
+        assert.deepEqual(await getGasFees(chain.provider, chain.network, 150n), {
+            type: 2,
+            maxFeePerGas: feeData.maxFeePerGas * 150n / 100n,
+            maxPriorityFeePerGas: feeData.maxPriorityFeePerGas * 150n / 100n
+        });
+    });
+    
+    it('fixed策略使用配置的gas价格，网络不支持EIP-1559时使用gasPrice', async () => {
+        const fixed = { maxFeePerGas: '3', maxPriorityFeePerGas: '0.5', gasPrice: '2' };
+        
+        assert.deepEqual(await getGasFees(chain.provider, withGas({ strategy: 'fixed', fixed })), {
+            type: 2,
+            maxFeePerGas: ethers.parseUnits('3', 'gwei'),
+            maxPriorityFeePerGas: ethers.parseUnits('0.5', 'gwei')
+        });
+        assert.deepEqual(await getGasFees(chain.provider, withGas({ strategy: 'fixed', fixed }, { ...chain.network, eip1559: false })), {
+            type: 0,
+            gasPrice: ethers.parseUnits('2', 'gwei')
+        });
+    });
+    
+    it('feeHistory策略按下一个区块的基础费乘以倍数再加小费', async () => {
+        // baseFeePerGas的最后一项是下一个区块的基础费
+        const { baseFeePerGas } = await chain.provider.send('eth_feeHistory', ['0x1', 'latest', []]);
+        const baseFee = BigInt(baseFeePerGas[baseFeePerGas.length - 1]);
+        
+        const fees = await getGasFees(chain.provider, withGas({ strategy: 'feeHistory', baseFeeMultiplier: 3, blocks: 5 }));
+        
+        assert.equal(fees.type, 2);
+        assert.equal(fees.maxFeePerGas - fees.maxPriorityFeePerGas, baseFee * 3n);
+    });
+    
+    it('节点不支持eth_feeHistory时改用节点默认gas价格', async () => {
+        const provider = await connectNetwork(rpc.network);
+        rpc.failRequests('eth_feeHistory', 1, { code: -32601, message: 'the method eth_feeHistory does not exist' });
+        
+        try {
+            const fees = await getGasFees(provider, withGas({ strategy: 'feeHistory' }, rpc.network));
+            const feeData = await chain.provider.getFeeData();
+            
+            assert.equal(fees.maxFeePerGas, feeData.maxFeePerGas);
+            assert.ok(console.log.mock.calls.some(call => String(call.arguments[0]).includes('eth_feeHistory不可用')));
+        } finally {
+            provider.destroy();
+        }
+    });
+    
+    it('gas价格高于上限时暂停，回落后继续，提高后的gas费不超过上限', async () => {
+        const network = withGas({ maxFeeCap: '5', capCheckInterval: 0.01 });
+        const high = { maxFeePerGas: ethers.parseUnits('8', 'gwei'), maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'), gasPrice: null };
+        const low = { maxFeePerGas: ethers.parseUnits('4', 'gwei'), maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei'), gasPrice: null };
+        const feeData = [high, high, low];
+        mock.method(chain.provider, 'getFeeData', async () => feeData.shift() || low);
+        
+        try {
+            const fees = await waitForGasFees(chain.provider, network, 150n);
+            
+            assert.equal(feeData.length, 0);
+            assert.equal(console.log.mock.calls.filter(call => String(call.arguments[0]).includes('暂停发送')).length, 2);
+            assert.deepEqual(fees, {
+                type: 2,
+                maxFeePerGas: ethers.parseUnits('5', 'gwei'),
+                maxPriorityFeePerGas: ethers.parseUnits('1.5', 'gwei')
+            });
+        } finally {
+            chain.provider.getFeeData.mock.restore();
+        }
+    });
+});
+
+describe('estimateL1Fee', () => {
+    let chain;
+    let tx;
+    
+    before(async () => {
+        chain = await startChain();
+        await chain.provider.send('evm_setAccountCode', [OP_GAS_PRICE_ORACLE, MOCK_ORACLE_CODE]);
+        tx = {
+            to: ethers.Wallet.createRandom().address,
+            value: 1n,
+            nonce: 0,
+            gasLimit: 21000n,
+            type: 2,
+            maxFeePerGas: ethers.parseUnits('2', 'gwei'),
+            maxPriorityFeePerGas: ethers.parseUnits('1', 'gwei')
+        };
+    });
+    
+    after(async () => {
+        await chain.close();
+    });
+    
+    it('OP Stack网络查询GasPriceOracle并增加10%余量', async () => {
+        const network = { ...chain.network, rollup: ROLLUPS.OPTIMISM };
+        assert.equal(await estimateL1Fee(chain.provider, network, tx), 1100n);
+    });
+    
+    it('非OP Stack网络不查询GasPriceOracle，返回0', async () => {
+        assert.equal(await estimateL1Fee(chain.provider, chain.network, tx), 0n);
+        assert.equal(await estimateL1Fee(chain.provider, { ...chain.network, rollup: ROLLUPS.ARBITRUM }, tx), 0n);
+    });
+    
+    it('GasPriceOracle调用失败时抛出异常', async () => {
+        await chain.provider.send('evm_setAccountCode', [OP_GAS_PRICE_ORACLE, '0x60006000fd']);
+        try {
+            const network = { ...chain.network, rollup: ROLLUPS.OPTIMISM };
+            await assert.rejects(estimateL1Fee(chain.provider, network, tx), /查询L1数据费失败/);
+        } finally {
+            await chain.provider.send('evm_setAccountCode', [OP_GAS_PRICE_ORACLE, MOCK_ORACLE_CODE]);
+        }
+    });
+});
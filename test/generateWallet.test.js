@@ -0,0 +1,88 @@
+// 钱包生成测试: 从助记词按派生路径和起始索引生成钱包，与本地链的账户核对
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_HD_PATH, generateWallets } = require('../generateWallet');
+const { loadKeystoreWallets } = require('../lib/keyStore');
+const { startChain } = require('./helpers');
+
+// 本地链(ganache)固定账户使用的助记词，账户按默认派生路径从索引0开始
+const CHAIN_MNEMONIC = 'myth like bonus scare over problem client lizard pioneer submit female collect';
+const PASSWORD = 'test-password';
+
+describe('generateWallets', () => {
+    let chain;
+    let dir;
+    
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        chain = await startChain();
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'generate-wallet-test-'));
+    });
+    
+    after(async () => {
+        await chain.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+        mock.restoreAll();
+    });
+    
+    it('从已有助记词的起始索引派生钱包，地址和私钥与本地链的账户一致', async () => {
+        const keystoreDir = path.join(dir, 'keystore-1');
+        
+        const result = await generateWallets({
+            count: 2,
+            password: PASSWORD,
+            hd: true,
+            mnemonic: CHAIN_MNEMONIC,
+            startIndex: 3,
+            keystoreDir,
+            outputDir: dir
+        });
+        
+        assert.equal(result.mnemonic, null);
+        assert.deepEqual(result.wallets.map(wallet => wallet.address), [ethers.computeAddress(chain.keys[3]), ethers.computeAddress(chain.keys[4])]);
+        assert.deepEqual(result.wallets.map(wallet => wallet.index), [3, 4]);
+        assert.deepEqual(result.wallets.map(wallet => wallet.path), [`${DEFAULT_HD_PATH}/3`, `${DEFAULT_HD_PATH}/4`]);
+        assert.equal(await chain.provider.getBalance(result.wallets[0].address), ethers.parseEther('1000'));
+        
+        const decrypted = await loadKeystoreWallets(PASSWORD, { dir: keystoreDir });
+        assert.deepEqual(decrypted.map(wallet => wallet.privateKey).sort(), [chain.keys[3], chain.keys[4]].sort());
+        
+        assert.equal(path.dirname(result.csvFile), dir);
+        const lines = fs.readFileSync(result.csvFile, 'utf8').trim().split('\n');
+        assert.equal(lines[0], '序号,钱包地址,派生索引,派生路径,keystore文件');
+        assert.ok(lines[1].startsWith(`1,"${result.wallets[0].address}",3,"${DEFAULT_HD_PATH}/3",`));
+    });
+    
+    it('生成新助记词时返回助记词，之后可用它按自定义路径继续派生出相同的钱包', async () => {
+        const basePath = "m/44'/60'/1'/0";
+        
+        const first = await generateWallets({
+            count: 1,
+            password: PASSWORD,
+            hd: true,
+            basePath,
+            keystoreDir: path.join(dir, 'keystore-2'),
+            outputDir: dir
+        });
+        const extended = await generateWallets({
+            count: 2,
+            password: PASSWORD,
+            hd: true,
+            mnemonic: first.mnemonic,
+            basePath,
+            keystoreDir: path.join(dir, 'keystore-3'),
+            outputDir: dir
+        });
+        
+        assert.ok(ethers.Mnemonic.isValidMnemonic(first.mnemonic));
+        assert.equal(first.wallets[0].path, `${basePath}/0`);
+        assert.equal(extended.wallets[0].address, first.wallets[0].address);
+        assert.deepEqual(extended.wallets.map(wallet => wallet.path), [`${basePath}/0`, `${basePath}/1`]);
+        // 不同账户路径派生出的地址与默认路径的本地链账户不同
+        assert.ok(!chain.keys.map(key => ethers.computeAddress(key)).includes(extended.wallets[1].address));
+    });
+});
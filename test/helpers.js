@@ -0,0 +1,241 @@
+// 集成测试辅助函数: 本地链、模拟合约、不真正等待的时钟和可注入故障的RPC代理
+const { ethers } = require('ethers');
+const ganache = require('ganache');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { getNetwork } = require('../lib/networks');
+const { loadTask } = require('../lib/contractTask');
+
+// 模拟签到合约，签到相关的函数和事件与 hum/abi.json 一致
+const MOCK_HUMANITY_FILE = path.join(__dirname, 'fixtures', 'MockHumanity.json');
+// 模拟ERC-20代币，与USDT一样修改非0授权前需要先重置为0
+const MOCK_TOKEN_FILE = path.join(__dirname, 'fixtures', 'MockToken.json');
+// 模拟Multicall3，只包含aggregate3和getEthBalance
+const MOCK_MULTICALL3_FILE = path.join(__dirname, 'fixtures', 'MockMulticall3.json');
+
+// 本机部署的批量分发合约地址，测试部署的合约地址不能留在该文件中
+const DISPERSE_DEPLOYMENTS_FILE = path.join(__dirname, '..', 'contracts', 'disperse.deployments.json');
+
+/**
+ * 在随机端口启动本地链，每次请求立即出块，账户固定且各有1000 ETH
+ * @returns {Promise<{url: string, network: Object, keys: string[], provider: ethers.JsonRpcProvider, close: Function}>} - RPC地址、localhost网络配置、账户私钥和用于准备数据的提供者
+ */
+async function startChain() {
+    const server = ganache.server({
+        logging: { quiet: true },
+        wallet: { deterministic: true, totalAccounts: 10 },
+        chain: { chainId: 1337 }
+    });
+    await server.listen(0, '127.0.0.1');
+    
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const keys = Object.values(await server.provider.getInitialAccounts()).map(account => account.secretKey);
+    // 关闭请求缓存，连续发送交易时每次都读取最新的nonce
+    const provider = new ethers.JsonRpcProvider(url, 1337, { staticNetwork: true, cacheTimeout: -1 });
+    
+    return {
+        url,
+        network: getNetwork('localhost', url),
+        keys,
+        provider,
+        close: async () => {
+            provider.destroy();
+            await server.close();
+        }
+    };
+}
+
+/**
+ * 部署模拟签到合约
+ * @param {Object} chain - startChain返回的本地链
+ * @param {string} privateKey - 部署和设置合约使用的私钥
+ * @returns {Promise<ethers.Contract>} - 合约实例，可调用setRewards、setBlocked、setPaused和setEpoch
+ */
+async function deployMockHumanity(chain, privateKey) {
+    const { abi, bytecode } = JSON.parse(fs.readFileSync(MOCK_HUMANITY_FILE, 'utf8'));
+    const admin = new ethers.Wallet(privateKey, chain.provider);
+    
+    const contract = await new ethers.ContractFactory(abi, bytecode, admin).deploy();
+    await contract.waitForDeployment();
+    return contract;
+}
+
+/**
+ * 部署模拟ERC-20代币
+ * @param {Object} chain - startChain返回的本地链
+ * @param {string} privateKey - 部署合约使用的私钥
+ * @param {string} [symbol] - 代币符号
+ * @param {number} [decimals] - 代币精度
+ * @returns {Promise<ethers.Contract>} - 合约实例，可调用mint铸造代币
+ */
+async function deployMockToken(chain, privateKey, symbol = 'MOCK', decimals = 6) {
+    const { abi, bytecode } = JSON.parse(fs.readFileSync(MOCK_TOKEN_FILE, 'utf8'));
+    const admin = new ethers.Wallet(privateKey, chain.provider);
+    
+    const contract = await new ethers.ContractFactory(abi, bytecode, admin).deploy(symbol, decimals);
+    await contract.waitForDeployment();
+    return contract;
+}
+
+/**
+ * 部署模拟Multicall3，本地链上没有部署在正式地址的Multicall3，需要通过网络配置的multicall3字段指定部署地址
+ * @param {Object} chain - startChain返回的本地链
+ * @param {string} privateKey - 部署合约使用的私钥
+ * @returns {Promise<ethers.Contract>} - 合约实例
+ */
+async function deployMockMulticall3(chain, privateKey) {
+    const { abi, bytecode } = JSON.parse(fs.readFileSync(MOCK_MULTICALL3_FILE, 'utf8'));
+    const admin = new ethers.Wallet(privateKey, chain.provider);
+    
+    const contract = await new ethers.ContractFactory(abi, bytecode, admin).deploy();
+    await contract.waitForDeployment();
+    return contract;
+}
+
+/**
+ * 加载内置的Humanity签到任务，并把合约地址换成模拟合约
+ * @param {ethers.Contract} contract - 模拟签到合约
+ * @returns {Object} - 任务定义
+ */
+function loadMockTask(contract) {
+    return { ...loadTask('humanity'), contract: contract.target, network: 'localhost' };
+}
+
+/**
+ * 发送交易并等待确认
+ * @param {Promise<ethers.TransactionResponse>} pending - 发送中的交易
+ * @returns {Promise<ethers.TransactionReceipt>} - 交易回执
+ */
+async function confirm(pending) {
+    return (await pending).wait();
+}
+
+/**
+ * 创建不真正等待的时钟: sleep只记录等待时间并让时间前进
+ * @param {number} [start] - 起始时间(毫秒)
+ * @returns {{now: Function, sleep: Function, sleeps: number[]}} - 时钟和每次等待的毫秒数
+ */
+function createFakeClock(start = Date.now()) {
+    let time = start;
+    const sleeps = [];
+    
+    return {
+        now: () => time,
+        sleep: async (ms) => {
+            sleeps.push(ms);
+            time += ms;
+        },
+        sleeps
+    };
+}
+
+/**
+ * 在本地链前启动一个RPC代理，可以让指定方法的请求返回JSON-RPC错误，同一批次中的其他请求正常转发
+ * 不让整个HTTP请求失败: ethers把eth_chainId和其他请求放在同一批次，检测网络失败时会真正等待1秒再重试
+ * failRequests的forward为true时先转发请求再返回错误，模拟节点已接受交易但响应丢失
+ * dropTransactions让交易广播返回交易哈希但不转发，模拟节点接受交易后没有传播出去
+ * @param {string} targetUrl - 本地链的RPC地址
+ * @returns {Promise<{url: string, network: Object, failRequests: Function, dropTransactions: Function, intercepted: Array<Object>, close: Function}>} - 代理地址、通过代理连接的网络配置、注入故障的函数和被拦截的请求
+ */
+async function startFaultyRpc(targetUrl) {
+    const faults = [];
+    const intercepted = [];
+    
+    const takeFault = (request) => {
+        const fault = faults.find(item => item.method === request.method && item.remaining > 0);
+        if (fault) {
+            fault.remaining--;
+            intercepted.push({ method: request.method, params: request.params });
+        }
+        return fault || null;
+    };
+    
+    const forward = async (body) => {
+        const response = await fetch(targetUrl, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        return response.json();
+    };
+    
+    const handle = async (body) => {
+        const requests = Array.isArray(body) ? body : [body];
+        const responses = await Promise.all(requests.map(async (request) => {
+            const fault = takeFault(request);
+            if (!fault) {
+                return forward(request);
+            }
+            if (fault.drop) {
+                return { jsonrpc: '2.0', id: request.id, result: ethers.keccak256(request.params[0]) };
+            }
+            if (fault.forward) {
+                await forward(request);
+            }
+            return { jsonrpc: '2.0', id: request.id, error: fault.error };
+        }));
+        return Array.isArray(body) ? responses : responses[0];
+    };
+    
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => data += chunk);
+        req.on('end', async () => {
+            try {
+                const result = await handle(JSON.parse(data));
+                res.setHeader('content-type', 'application/json');
+                res.end(JSON.stringify(result));
+            } catch (error) {
+                res.writeHead(502, 'Bad Gateway');
+                res.end(error.message);
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    const url = `http://127.0.0.1:${server.address().port}`;
+    return {
+        url,
+        network: getNetwork('localhost', url),
+        failRequests: (method, count, error, forward = false) => {
+            faults.push({ method, remaining: count, error, forward });
+        },
+        dropTransactions: (count) => {
+            faults.push({ method: 'eth_sendRawTransaction', remaining: count, drop: true });
+        },
+        intercepted,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+/**
+ * 记录测试前的批量分发合约地址文件，返回的函数还原测试前的内容
+ * @returns {Function} - 还原函数
+ */
+function preserveDisperseDeployments() {
+    const deployments = fs.existsSync(DISPERSE_DEPLOYMENTS_FILE) ? fs.readFileSync(DISPERSE_DEPLOYMENTS_FILE) : null;
+    
+    return () => {
+        if (deployments !== null) {
+            fs.writeFileSync(DISPERSE_DEPLOYMENTS_FILE, deployments);
+        } else if (fs.existsSync(DISPERSE_DEPLOYMENTS_FILE)) {
+            fs.unlinkSync(DISPERSE_DEPLOYMENTS_FILE);
+        }
+    };
+}
+
+module.exports = {
+    startChain,
+    deployMockHumanity,
+    deployMockToken,
+    deployMockMulticall3,
+    loadMockTask,
+    confirm,
+    createFakeClock,
+    startFaultyRpc,
+    preserveDisperseDeployments
+};
@@ -0,0 +1,208 @@
+// 多钱包签到集成测试: 检查一轮签到的统计、gas补充和持续运行时的等待时间
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_SETTINGS, runClaimCycle, runDaemon } = require('../hum/multiWalletClaim');
+const {
+    startChain,
+    deployMockHumanity,
+    loadMockTask,
+    confirm,
+    createFakeClock
+} = require('./helpers');
+
+const DAILY_REWARD = ethers.parseEther('1');
+const REWARD_KEY = '领取的奖励 (rewardType 0)';
+
+describe('多钱包签到', () => {
+    let chain;
+    let contract;
+    let task;
+    
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        chain = await startChain();
+        contract = await deployMockHumanity(chain, chain.keys[9]);
+        task = loadMockTask(contract);
+    });
+    
+    after(async () => {
+        await chain.close();
+        mock.restoreAll();
+    });
+    
+    /**
+     * 生成测试使用的运行参数，钱包之间固定暂停5秒
+     */
+    function createSettings(clock, overrides = {}) {
+        return { ...DEFAULT_SETTINGS, minPause: 5, maxPause: 5, maxRetries: 1, clock, ...overrides };
+    }
+    
+    /**
+     * 为私钥对应的地址设置每日奖励
+     */
+    async function setDailyReward(privateKey) {
+        await confirm(contract.setRewards(ethers.computeAddress(privateKey), DAILY_REWARD, 0n, 0n, 0n));
+    }
+    
+    /**
+     * 设置epoch: 当前epoch在100秒前开始
+     */
+    async function startEpoch(duration) {
+        const { timestamp } = await chain.provider.getBlock('latest');
+        await confirm(contract.setEpoch(timestamp - 100, duration));
+        task = { ...task, epoch: { ...task.epoch, duration } };
+    }
+    
+    it('统计一轮签到中成功、跳过、失败和gas不足的钱包', async () => {
+        const clock = createFakeClock();
+        const unfunded = ethers.Wallet.createRandom().privateKey;
+        await setDailyReward(chain.keys[1]);
+        await setDailyReward(chain.keys[3]);
+        await setDailyReward(unfunded);
+        await confirm(contract.setBlocked(ethers.computeAddress(chain.keys[3]), true));
+        
+        const stats = await runClaimCycle(
+            [chain.keys[1], chain.keys[2], chain.keys[3], unfunded],
+            [],
+            chain.network,
+            task,
+            false,
+            null,
+            createSettings(clock)
+        );
+        
+        assert.equal(stats.totalWallets, 4);
+        assert.equal(stats.successCount, 1);
+        assert.equal(stats.skippedCount, 1);
+        assert.equal(stats.failCount, 1);
+        assert.equal(stats.unfundedCount, 1);
+        assert.equal(stats.toppedUpCount, 0);
+        assert.deepEqual(stats.claimedByType, { [REWARD_KEY]: DAILY_REWARD });
+        
+        // 钱包之间的暂停只推进时钟，不真正等待
+        assert.ok(clock.sleeps.length >= 2);
+        assert.ok(clock.sleeps.every(ms => ms === 5000));
+        assert.equal(stats.endTime - stats.startTime, clock.sleeps.reduce((sum, ms) => sum + ms, 0));
+    });
+    
+    /**
+     * 列出项目目录中的转账日志和结果，以及临时目录中的gas补充目录
+     */
+    function listTopUpFiles() {
+        return [
+            ...fs.readdirSync(path.join(__dirname, '..')).filter(name => name.startsWith('转账')),
+            ...fs.readdirSync(os.tmpdir()).filter(name => name.startsWith('gas-topup-'))
+        ];
+    }
+    
+    it('从gas供应钱包为余额不足的钱包补充gas后签到', async () => {
+        const clock = createFakeClock();
+        const wallet = ethers.Wallet.createRandom();
+        await setDailyReward(wallet.privateKey);
+        const filesBefore = listTopUpFiles();
+        
+        const stats = await runClaimCycle(
+            [wallet.privateKey],
+            [],
+            chain.network,
+            task,
+            false,
+            { funderKey: chain.keys[0], budget: ethers.parseEther('0.01') },
+            createSettings(clock)
+        );
+        
+        assert.equal(stats.toppedUpCount, 1);
+        assert.ok(stats.topUpSpent > 0n);
+        assert.equal(stats.unfundedCount, 0);
+        assert.equal(stats.successCount, 1);
+        assert.equal(await contract.dailyRewardsAvailable(wallet.address), 0n);
+        // 补充成功后不在项目目录留下转账日志，临时目录也已删除
+        assert.deepEqual(listTopUpFiles(), filesBefore);
+    });
+    
+    it('无法估算签到的gas时按默认gas限制检查，余额不足的钱包本轮跳过', async () => {
+        const wallet = ethers.Wallet.createRandom();
+        await setDailyReward(wallet.privateKey);
+        // 签到会回滚，无法估算gas
+        await confirm(contract.setBlocked(wallet.address, true));
+        
+        const stats = await runClaimCycle([wallet.privateKey], [], chain.network, task, false, null, createSettings(createFakeClock()));
+        
+        assert.equal(stats.unfundedCount, 1);
+        assert.equal(stats.failCount, 0);
+        assert.equal(await chain.provider.getTransactionCount(wallet.address), 0);
+    });
+    
+    it('gas供应钱包本身也在签到钱包中且余额不足时不为它补充', async () => {
+        const funder = ethers.Wallet.createRandom();
+        await setDailyReward(funder.privateKey);
+        const filesBefore = listTopUpFiles();
+        
+        const stats = await runClaimCycle(
+            [funder.privateKey],
+            [],
+            chain.network,
+            task,
+            false,
+            { funderKey: funder.privateKey, budget: ethers.parseEther('0.01') },
+            createSettings(createFakeClock())
+        );
+        
+        assert.equal(stats.toppedUpCount, 0);
+        assert.equal(stats.unfundedCount, 1);
+        assert.ok(console.log.mock.calls.some(call => String(call.arguments[0]).includes('且是gas供应钱包本身')));
+        // 没有发起补充gas的批量转账
+        assert.deepEqual(listTopUpFiles(), filesBefore);
+    });
+    
+    it('持续运行时等到下一个epoch开始后再签到', async () => {
+        const clock = createFakeClock();
+        await startEpoch(3600);
+        await setDailyReward(chain.keys[4]);
+        await setDailyReward(chain.keys[5]);
+        
+        const stats = await runDaemon(
+            [chain.keys[4], chain.keys[5]],
+            [],
+            chain.network,
+            task,
+            null,
+            createSettings(clock, { maxCycles: 2 })
+        );
+        
+        // 第二轮仍在同一个epoch内，两个钱包都已签到
+        assert.equal(stats.skippedCount, 2);
+        
+        // 第一轮结束后等待到下一个epoch开始，再加上唤醒延迟
+        const [cycleStart, { timestamp }] = await Promise.all([
+            contract.cycleStartTimestamp(),
+            chain.provider.getBlock('latest')
+        ]);
+        const epochWait = (Number(cycleStart) + 3600 - timestamp) * 1000 + DEFAULT_SETTINGS.epochWakeDelay * 1000;
+        assert.deepEqual(clock.sleeps, [5000, epochWait, 5000]);
+    });
+    
+    it('持续运行时有钱包失败，按检查间隔提前重试', async () => {
+        const clock = createFakeClock();
+        await startEpoch(86400);
+        await setDailyReward(chain.keys[6]);
+        await confirm(contract.setBlocked(ethers.computeAddress(chain.keys[6]), true));
+        
+        const stats = await runDaemon(
+            [chain.keys[6]],
+            [],
+            chain.network,
+            task,
+            null,
+            createSettings(clock, { maxCycles: 2 })
+        );
+        
+        assert.equal(stats.failCount, 1);
+        assert.deepEqual(clock.sleeps, [DEFAULT_SETTINGS.checkInterval * 3600000]);
+    });
+});
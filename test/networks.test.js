@@ -0,0 +1,42 @@
+// 网络配置测试: 读取网络配置中的Rollup类型
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getNetwork } = require('../lib/networks');
+
+describe('getNetwork', () => {
+    let dir;
+    
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'networks-test-'));
+    });
+    
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+    
+    /**
+     * 写入只包含一个网络的配置文件
+     */
+    function writeNetworks(profile) {
+        const file = path.join(dir, 'networks.json');
+        fs.writeFileSync(file, JSON.stringify({
+            l2: { chainId: 8453, rpcUrls: ['http://127.0.0.1:8545'], nativeSymbol: 'ETH', ...profile }
+        }));
+        return file;
+    }
+    
+    it('返回配置的Rollup类型，未配置时为null', () => {
+        assert.equal(getNetwork('l2', null, {}, writeNetworks({ rollup: 'optimism' })).rollup, 'optimism');
+        assert.equal(getNetwork('l2', null, {}, writeNetworks({})).rollup, null);
+        assert.equal(getNetwork('base').rollup, 'optimism');
+        assert.equal(getNetwork('arbitrum').rollup, 'arbitrum');
+    });
+    
+    it('Rollup类型无效时抛出异常', () => {
+        const file = writeNetworks({ rollup: 'zksync' });
+        assert.throws(() => getNetwork('l2', null, {}, file), /rollup类型无效: zksync/);
+    });
+});
@@ -0,0 +1,59 @@
+// 接收地址检查测试: 在本地链上检查重复地址、销毁地址和合约地址
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { normalizeAddress, checkRecipients } = require('../lib/recipients');
+const { startChain, deployMockToken, startFaultyRpc } = require('./helpers');
+
+describe('接收地址检查', () => {
+    let chain;
+    let rpc;
+    
+    before(async () => {
+        chain = await startChain();
+        rpc = await startFaultyRpc(chain.url);
+    });
+    
+    after(async () => {
+        await rpc.close();
+        await chain.close();
+    });
+    
+    it('全小写地址转换为校验和格式，校验和错误的地址视为无效', () => {
+        // EIP-55中的示例地址
+        const address = '0x5aAeb6053F3E94C9b9A09f33669435E7Ef1BeAed';
+        
+        assert.equal(normalizeAddress(` ${address.toLowerCase()} `), address);
+        assert.equal(normalizeAddress('0x5AAeb6053F3E94C9b9A09f33669435E7Ef1BeAed'), null);
+        assert.equal(normalizeAddress('0x1234'), null);
+    });
+    
+    it('报告重复地址、销毁地址和合约地址及其所在行号', async () => {
+        const token = await deployMockToken(chain, chain.keys[0]);
+        const wallet = ethers.Wallet.createRandom().address;
+        const other = ethers.Wallet.createRandom().address;
+        const recipients = [wallet, ethers.ZeroAddress, token.target, wallet, other]
+            .map((address, index) => ({ address, row: index + 2 }));
+        
+        const report = await checkRecipients(chain.provider, recipients);
+        
+        assert.equal(report.total, 5);
+        assert.deepEqual(report.duplicates, [{ address: wallet, rows: [2, 5] }]);
+        assert.deepEqual(report.burn, [{ address: ethers.ZeroAddress, rows: [3], label: '零地址' }]);
+        assert.deepEqual(report.contracts, [{ address: token.target, rows: [4] }]);
+    });
+    
+    it('查询合约代码失败时抛出异常', async () => {
+        const provider = new ethers.JsonRpcProvider(rpc.url, 1337, { staticNetwork: true, cacheTimeout: -1 });
+        rpc.failRequests('eth_getCode', 1, { code: -32603, message: 'upstream request timeout' });
+        
+        try {
+            await assert.rejects(
+                checkRecipients(provider, [{ address: ethers.Wallet.createRandom().address, row: 2 }]),
+                /查询接收地址的合约代码失败/
+            );
+        } finally {
+            provider.destroy();
+        }
+    });
+});
@@ -0,0 +1,58 @@
+// RPC节点池测试: 在本地链前放两个代理节点，检查健康检查和节点故障时的切换
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { getNetwork, createNetworkProvider } = require('../lib/networks');
+const { getRpcPool, checkRpcHealth, rankEndpoints } = require('../lib/rpcPool');
+const { startChain, startFaultyRpc } = require('./helpers');
+
+describe('RPC节点池', () => {
+    let chain;
+    
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        chain = await startChain();
+    });
+    
+    after(async () => {
+        await chain.close();
+        mock.restoreAll();
+    });
+    
+    it('当前节点无法连接时切换到下一个节点，并把它标记为不健康', async () => {
+        const nodes = [await startFaultyRpc(chain.url), await startFaultyRpc(chain.url)];
+        const network = getNetwork('localhost', nodes.map(node => node.url).join(','));
+        const pool = await checkRpcHealth(getRpcPool(network));
+        assert.ok(pool.endpoints.every(endpoint => endpoint.healthy));
+        
+        // 关闭排在最前面的节点
+        const [first, second] = rankEndpoints(pool);
+        const down = nodes.find(node => node.url === first.url);
+        await down.close();
+        const provider = createNetworkProvider(network);
+        
+        try {
+            assert.equal(await provider.getBlockNumber(), await chain.provider.getBlockNumber());
+            assert.equal(pool.current, second.url);
+            assert.equal(first.healthy, false);
+            assert.deepEqual(rankEndpoints(pool).map(endpoint => endpoint.url), [second.url, first.url]);
+        } finally {
+            provider.destroy();
+            await nodes.find(node => node !== down).close();
+        }
+    });
+    
+    it('chainId与网络配置不一致的节点停用，没有可用节点时请求失败', async () => {
+        const network = { ...getNetwork('localhost', chain.url), name: 'wrong-chain', chainId: 5 };
+        const pool = await checkRpcHealth(getRpcPool(network));
+        
+        assert.equal(pool.endpoints[0].disabled, true);
+        assert.match(pool.endpoints[0].error, /chainId为 1337/);
+        
+        const provider = createNetworkProvider(network);
+        try {
+            await assert.rejects(provider.send('eth_blockNumber', []), /没有可用的RPC节点/);
+        } finally {
+            provider.destroy();
+        }
+    });
+});
@@ -0,0 +1,90 @@
+// 资金归集测试: 在本地链上归集原生代币和代币
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ethers } = require('ethers');
+const { sweepNative, sweepToken } = require('../sweep');
+const { resolveGasConfig } = require('../lib/gas');
+const { startChain, deployMockToken, confirm } = require('./helpers');
+
+describe('sweep', () => {
+    let chain;
+    
+    before(async () => {
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'error', () => {});
+        chain = await startChain();
+    });
+    
+    after(async () => {
+        await chain.close();
+        mock.restoreAll();
+    });
+    
+    /**
+     * 创建一个余额为指定数量的新钱包
+     */
+    async function fundWallet(amount) {
+        const wallet = ethers.Wallet.createRandom().connect(chain.provider);
+        const funder = new ethers.Wallet(chain.keys[0], chain.provider);
+        await (await funder.sendTransaction({ to: wallet.address, value: amount })).wait();
+        return wallet;
+    }
+    
+    it('按两倍基础费加小费预留gas，出块后多预留的gas费退回钱包', async () => {
+        const wallet = await fundWallet(ethers.parseEther('1'));
+        const target = ethers.Wallet.createRandom().address;
+        const block = await chain.provider.getBlock('pending');
+        
+        const result = await sweepNative(wallet, target, chain.network, 0n, '[1/1]');
+        
+        assert.equal(result.status, 'confirmed');
+        const tx = await chain.provider.getTransaction(result.txHash);
+        const receipt = await chain.provider.getTransactionReceipt(result.txHash);
+        assert.equal(tx.type, 2);
+        assert.equal(tx.gasLimit, receipt.gasUsed);
+        // 基础费上涨到两倍前交易都能打包
+        assert.ok(tx.maxFeePerGas >= block.baseFeePerGas * 2n + tx.maxPriorityFeePerGas);
+        assert.equal(await chain.provider.getBalance(wallet.address), (tx.maxFeePerGas - receipt.gasPrice) * receipt.gasUsed);
+        assert.equal(await chain.provider.getBalance(target), result.amount);
+    });
+    
+    it('配置了gas价格上限时预留的gas费不超过上限', async () => {
+        const wallet = await fundWallet(ethers.parseEther('1'));
+        // 固定gas价格低于上限，两倍基础费加小费高于上限
+        const baseFee = (await chain.provider.getBlock('pending')).baseFeePerGas;
+        const fixed = { maxFeePerGas: ethers.formatUnits(baseFee + ethers.parseUnits('1', 'gwei'), 'gwei'), maxPriorityFeePerGas: '1' };
+        const maxFeeCap = ethers.formatUnits(baseFee * 3n / 2n + ethers.parseUnits('1', 'gwei'), 'gwei');
+        const network = { ...chain.network, gas: resolveGasConfig({ strategy: 'fixed', fixed, maxFeeCap }) };
+        
+        const result = await sweepNative(wallet, ethers.Wallet.createRandom().address, network, 0n, '[1/1]');
+        
+        assert.equal(result.status, 'confirmed');
+        assert.equal((await chain.provider.getTransaction(result.txHash)).maxFeePerGas, ethers.parseUnits(maxFeeCap, 'gwei'));
+    });
+    
+    it('余额扣除gas后低于归集阈值时跳过，不发送交易', async () => {
+        const wallet = await fundWallet(ethers.parseEther('0.01'));
+        
+        const result = await sweepNative(wallet, ethers.Wallet.createRandom().address, chain.network, ethers.parseEther('0.01'), '[1/1]');
+        
+        assert.equal(result.status, 'skipped');
+        assert.equal(await chain.provider.getTransactionCount(wallet.address), 0);
+    });
+    
+    it('代币归集补充gas时在gas费上增加余量，补充后钱包留有剩余的原生代币', async () => {
+        const wallet = ethers.Wallet.createRandom().connect(chain.provider);
+        const funder = new ethers.Wallet(chain.keys[1], chain.provider);
+        const token = await deployMockToken(chain, chain.keys[1]);
+        await confirm(token.mint(wallet.address, ethers.parseUnits('5', 6)));
+        const target = ethers.Wallet.createRandom().address;
+        
+        const result = await sweepToken(wallet, token, target, chain.network, funder, 0n, '[1/1]');
+        
+        assert.equal(result.status, 'confirmed');
+        const tx = await chain.provider.getTransaction(result.txHash);
+        const reserved = tx.gasLimit * tx.maxFeePerGas;
+        assert.equal(result.topUp, reserved * 120n / 100n);
+        assert.ok(await chain.provider.getBalance(wallet.address) >= result.topUp - reserved);
+        assert.equal(await token.balanceOf(target), ethers.parseUnits('5', 6));
+    });
+});